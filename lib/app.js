@@ -0,0 +1,454 @@
+// The backend service. createApp() builds the Express app and every game room
+// (lib/room.js) for one config without side effects; start() and stop()
+// control the lifecycle (see index.js for the process entry point).
+
+const express = require('express');
+const cors = require('cors');
+const { createStore } = require('./stores');
+const { reloadConfig, describeConfig } = require('./config');
+const { createAuth } = require('./auth');
+const { runChecks } = require('./health');
+const { createLogger, requestLogger } = require('./logger');
+const { createRegistry, CONTENT_TYPE: METRICS_CONTENT_TYPE } = require('./metrics');
+const { DEFAULT_ROOM, roomConfigs } = require('./rooms');
+const { createRoom } = require('./room');
+const { beforeDeadline } = require('./deadline');
+const { PLAYER_ID_PATTERN } = require('./betting');
+const { buildSpec, listEndpoints, createContract } = require('./openapi');
+const { version } = require('../package.json');
+
+// Build the service for `config`. `options.store` replaces the configured store.
+function createApp(config, options = {}) {
+  const app = express();
+  app.use(cors());
+
+  // Structured logs (LOG_LEVEL, LOG_FORMAT); every request gets an id
+  const log = createLogger({ level: () => config.logLevel, format: () => config.logFormat });
+  app.use(requestLogger(log, { quietPaths: ['/ping', '/health', '/health/live', '/health/ready', '/metrics'] }));
+
+  // Storage backend: 'supabase' (default), 'memory' or 'file', unless one is
+  // passed in. This is the default room's store; other rooms get forRoom().
+  const store = options.store || createStore(config.store, {
+    url: config.supabaseUrl,
+    serviceKey: config.supabaseServiceKey,
+    filePath: config.storeFile
+  });
+
+  // API-key authentication: viewers read internal state, operators act
+  const { authenticate, requireRole, hasRole } = createAuth({
+    apiKeys: config.apiKeys,
+    internalApiSecret: config.internalApiSecret
+  });
+  app.use(authenticate);
+  if (!config.internalApiSecret && !config.apiKeys.some(key => key.role === 'operator')) {
+    log.warn('No operator key is configured (INTERNAL_API_SECRET or API_KEYS), so admin actions are refused');
+  }
+  if (!config.webhookSecret) {
+    log.warn('WEBHOOK_SECRET is not set, so webhooks are refused');
+  }
+
+  // Request and response checks against the OpenAPI contract (lib/openapi.js)
+  const { validate } = createContract({ responses: () => config.validateResponses });
+
+  // Lifecycle
+  const startedAt = Date.now();
+  let server = null; // HTTP server while started
+  let shuttingDown = false; // Set by stop(): no new batches are started
+  let stopPromise = null;
+
+  // Game rooms by id, the default room first
+  const rooms = new Map();
+
+  // Prometheus metrics, served on /metrics. Every series is labelled by room.
+  const registry = createRegistry({ prefix: 'aviator_' });
+  const metrics = {
+    batchesGenerated: registry.counter('batches_generated_total', 'Batches generated and stored'),
+    insertFailures: registry.counter('batch_insert_failures_total', 'Batch inserts that failed and were rolled back'),
+    deliveryFailures: registry.counter('socket_delivery_failures_total', 'Failed attempts to deliver a batch to the socket server'),
+    publishFailures: registry.counter('publish_failures_total', 'Failed attempts to publish a batch, by sink'),
+    conflicts: registry.counter('round_conflicts_total', 'Reserved round ranges that already had stored rounds'),
+    socketQueueSize: registry.gauge('socket_queue_size', 'Rounds queued on the socket server when it last reported'),
+    nextRound: registry.gauge('next_round_to_generate', 'Next round number this instance will generate', {
+      collect: () => Array.from(rooms.values()).map(room => ({
+        labels: { room: room.id },
+        value: room.getGenerationState().nextRoundToGenerate
+      }))
+    }),
+    leader: registry.gauge('generator_leader', '1 while this instance holds the generator lease', {
+      collect: () => Array.from(rooms.values()).map(room => ({
+        labels: { room: room.id },
+        value: room.getGenerationState().isLeader ? 1 : 0
+      }))
+    }),
+    multipliers: registry.histogram('generated_multiplier', 'Multipliers of generated rounds', {
+      buckets: [1.01, 1.3, 1.5, 2, 3, 5, 10, 25, 50]
+    })
+  };
+
+  // Write an admin action to the audit log. Failures are logged, never thrown,
+  // so a broken audit table cannot block operations.
+  // Room actions carry the room id; service-wide ones (config reload) have none.
+  async function recordAudit(req, action, { success, rounds = null, details = null, room = null }) {
+    try {
+      await store.insertAuditEntry({
+        actor: req.principal.name,
+        role: req.principal.role,
+        action,
+        success,
+        room_id: room,
+        start_round: rounds ? rounds.startRound : null,
+        end_round: rounds ? rounds.endRound : null,
+        details,
+        ip: req.ip
+      });
+    } catch (error) {
+      req.log.error('Error writing audit entry', { action, error: error.message });
+    }
+  }
+
+  for (const roomConfig of roomConfigs(config)) {
+    rooms.set(roomConfig.roomId, createRoom(roomConfig, {
+      store: roomConfig.roomId === DEFAULT_ROOM ? store : store.forRoom(roomConfig.roomId),
+      log,
+      metrics,
+      requireRole,
+      hasRole,
+      recordAudit,
+      validate
+    }));
+  }
+  const defaultRoom = rooms.get(DEFAULT_ROOM);
+  const apiSpec = buildSpec({ roomIds: Array.from(rooms.keys()), version });
+  // Listed by the 404 handler, room routes once
+  const availableEndpoints = listEndpoints(apiSpec)
+    .filter(path => !path.startsWith('/api/rooms/:roomId/'))
+    .concat('/api/rooms/:roomId/*');
+
+  // Remove round syncing - socket server handles its own round progression
+
+  // Root endpoint for uptime monitoring. Round state is the default room's.
+  app.get('/', validate('getService'), (req, res) => {
+    const state = defaultRoom.getGenerationState();
+    const response = { 
+      status: 'ok', 
+      service: 'aviator-backend',
+      timestamp: new Date().toISOString(),
+      currentRound: state.currentRound,
+      batchSize: config.batchSize,
+      queueCheckInterval: config.queueCheckInterval,
+      queueThreshold: config.queueThreshold,
+      isGenerating: state.isGenerating,
+      rooms: Array.from(rooms.keys())
+    };
+    res.setHeader('Content-Type', 'application/json');
+    res.status(200).json(response);
+  });
+
+  // Simple ping endpoint for basic uptime monitoring
+  app.get('/ping', validate('ping'), (req, res) => {
+    res.status(200).send('pong');
+  });
+
+  // Health check endpoint
+  app.get('/health', validate('getHealth'), (req, res) => {
+    const state = defaultRoom.getGenerationState();
+    const response = {
+      status: 'healthy',
+      service: 'aviator-backend',
+      timestamp: new Date().toISOString(),
+      currentRound: state.currentRound,
+      batchSize: config.batchSize,
+      queueCheckInterval: config.queueCheckInterval,
+      queueThreshold: config.queueThreshold,
+      isGenerating: state.isGenerating,
+      lastQueueCheck: state.lastQueueCheck ? new Date(state.lastQueueCheck).toISOString() : null,
+      rooms: Array.from(rooms.keys())
+    };
+    // Internal topology is only shown to authenticated callers
+    if (hasRole(req.principal, 'viewer')) {
+      response.socketServerUrl = config.socketServerUrl;
+    }
+    res.json(response);
+  });
+
+  // Liveness: the process is up and serving requests. Restart it if this fails.
+  app.get('/health/live', validate('getLiveness'), (req, res) => {
+    res.json({
+      status: 'alive',
+      uptimeMs: Date.now() - startedAt,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  // Readiness: each dependency is checked and reported separately. 200 when
+  // everything passes, 207 when degraded but still serving, 503 when this
+  // instance should be taken out of rotation.
+  app.get('/health/ready', validate('getReadiness'), async (req, res) => {
+    // Draining for shutdown: out of rotation regardless of the checks
+    if (shuttingDown) {
+      return res.status(503).json({ status: 'unavailable', shuttingDown: true, timestamp: new Date().toISOString(), checks: {} });
+    }
+
+    const checks = {
+      database: async () => {
+        await store.getHighestRoundNumber();
+        return { status: 'pass' };
+      }
+    };
+    for (const room of rooms.values()) Object.assign(checks, room.readinessChecks());
+    const result = await runChecks(checks, { timeoutMs: config.healthCheckTimeout });
+
+    // Error messages can name internal hosts, so only viewers see them
+    if (!hasRole(req.principal, 'viewer')) {
+      for (const check of Object.values(result.checks)) delete check.error;
+    }
+    res.status(result.httpStatus).json({
+      status: result.status,
+      timestamp: new Date().toISOString(),
+      checks: result.checks
+    });
+  });
+
+  // Prometheus scrape endpoint
+  app.get('/metrics', requireRole('viewer'), validate('getMetrics'), (req, res) => {
+    res.setHeader('Content-Type', METRICS_CONTENT_TYPE);
+    res.send(registry.render());
+  });
+  // Every room with its round state; socket server URLs are for viewers only
+  app.get('/api/rooms', validate('listRooms'), (req, res) => {
+    res.json({
+      rooms: Array.from(rooms.values()).map(room => {
+        const state = room.getGenerationState();
+        return {
+          id: room.id,
+          currentRound: state.currentRound,
+          nextRoundToGenerate: state.nextRoundToGenerate,
+          isGenerating: state.isGenerating,
+          batchSize: room.config.batchSize,
+          queueThreshold: room.config.queueThreshold,
+          provablyFair: room.config.provablyFair,
+          distributionSpec: { id: room.distributionSpec.id, version: room.distributionSpec.version },
+          ...(hasRole(req.principal, 'viewer') ? { socketServerUrl: room.config.socketServerUrl } : {})
+        };
+      })
+    });
+  });
+
+  // The OpenAPI document for every route
+  app.get('/api/docs', validate('getApiDocs'), (req, res) => {
+    res.json(apiSpec);
+  });
+
+  // Room routes: /api/rooms/:roomId/... for every room
+  app.use('/api/rooms/:roomId', (req, res, next) => {
+    const room = rooms.get(req.params.roomId);
+    if (!room) return res.status(404).json({ error: `Unknown room "${req.params.roomId}"` });
+    room.router(req, res, next);
+  });
+
+  // Effective runtime configuration, secrets redacted
+  app.get('/api/admin/config', requireRole('viewer'), validate('getConfig'), (req, res) => {
+    res.json({ success: true, ...describeConfig(config) });
+  });
+
+  // Re-read the config file and env, applying only the reloadable keys
+  app.post('/api/admin/config/reload', requireRole('operator'), validate('reloadConfig'), async (req, res) => {
+    try {
+      const { changed, requiresRestart } = applyConfigReload();
+      await recordAudit(req, 'config.reload', { success: true, details: { changed, requiresRestart } });
+      res.json({ success: true, changed, requiresRestart, ...describeConfig(config) });
+    } catch (error) {
+      await recordAudit(req, 'config.reload', { success: false, details: { error: error.message } });
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  // Query the audit log, newest first
+  app.get('/api/admin/audit', requireRole('viewer'), validate('listAuditEntries'), async (req, res) => {
+    const limit = req.query.limit ? parseInt(req.query.limit, 10) : 100;
+    if (isNaN(limit) || limit < 1 || limit > 1000) {
+      return res.status(400).json({ success: false, error: 'limit must be between 1 and 1000' });
+    }
+    for (const key of ['since', 'until']) {
+      if (req.query[key] && isNaN(Date.parse(req.query[key]))) {
+        return res.status(400).json({ success: false, error: `${key} must be an ISO timestamp` });
+      }
+    }
+    try {
+      const entries = await store.listAuditEntries({
+        actor: req.query.actor,
+        action: req.query.action,
+        room: req.query.room,
+        since: req.query.since ? new Date(req.query.since).toISOString() : undefined,
+        until: req.query.until ? new Date(req.query.until).toISOString() : undefined,
+        limit
+      });
+      res.json({ success: true, entries });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Credit a player's balance. Body: { amount, reference }. Balances are
+  // shared by every room; amounts are in minor units.
+  app.post('/api/admin/players/:player/deposits', requireRole('operator'), express.json(), validate('depositFunds'), async (req, res) => {
+    const { player } = req.params;
+    const { amount, reference = null } = req.body || {};
+    if (!PLAYER_ID_PATTERN.test(player)) return res.status(400).json({ success: false, error: 'Invalid player' });
+    if (!Number.isInteger(amount) || amount < 1) {
+      return res.status(400).json({ success: false, error: 'amount must be a positive whole amount' });
+    }
+    if (reference !== null && typeof reference !== 'string') {
+      return res.status(400).json({ success: false, error: 'reference must be a string' });
+    }
+
+    try {
+      const entry = await store.depositFunds(player, amount, reference);
+      await recordAudit(req, 'ledger.deposit', { success: true, details: { player, amount, reference } });
+      req.log.info('Funds deposited', { player, amount, actor: req.principal.name });
+      res.status(201).json({ success: true, entry, balance: entry.balance_after });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // A player's balance, ledger totals and most recent ledger entries
+  app.get('/api/admin/players/:player', requireRole('viewer'), validate('getPlayer'), async (req, res) => {
+    const { player } = req.params;
+    const limit = req.query.limit ? parseInt(req.query.limit, 10) : 100;
+    if (!PLAYER_ID_PATTERN.test(player)) return res.status(400).json({ success: false, error: 'Invalid player' });
+    if (isNaN(limit) || limit < 1 || limit > 1000) {
+      return res.status(400).json({ success: false, error: 'limit must be between 1 and 1000' });
+    }
+    try {
+      const [account, entries] = await Promise.all([
+        store.getPlayerAccount(player),
+        store.listLedgerEntries({ player, limit })
+      ]);
+      res.json({ success: true, player, ...account, entries });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // The unprefixed /api routes serve the default room
+  app.use('/api', defaultRoom.router);
+
+  // Catch-all route for 404s (must be last)
+  app.use('*', (req, res) => {
+    res.status(404).json({ 
+      error: 'Not Found', 
+      message: 'Endpoint not found',
+      availableEndpoints
+    });
+  });
+
+  // Reload the config and apply the reloadable keys. Throws if it is invalid.
+  function applyConfigReload() {
+    const result = reloadConfig(config);
+    if (result.changed.length > 0) {
+      log.info('Config reloaded', { changed: Object.fromEntries(result.changed.map(key => [key, config[key]])) });
+      for (const room of rooms.values()) room.reschedulePolling();
+    } else {
+      log.info('Config reloaded, no reloadable changes');
+    }
+    if (result.requiresRestart.length > 0) {
+      log.warn('Some config changes need a restart to take effect', { keys: result.requiresRestart });
+    }
+    return result;
+  }
+
+  // Snapshot of the default room's generation state, for tests and diagnostics.
+  // Other rooms: rooms.get(id).getGenerationState().
+  function getGenerationState() {
+    return defaultRoom.getGenerationState();
+  }
+
+  // Sync round numbers with the store, listen on `port` and, unless `polling`
+  // is false, start checking the socket queue. Resolves with the HTTP server.
+  async function start({ port = config.port, polling = true } = {}) {
+    if (server) throw new Error('The backend is already started');
+    for (const room of rooms.values()) await room.initialize();
+
+    server = await new Promise((resolve, reject) => {
+      const listening = app.listen(port, () => resolve(listening));
+      listening.once('error', reject);
+    });
+    log.info('Backend started', {
+      port: server.address().port,
+      rooms: Array.from(rooms.keys()),
+      currentRound: defaultRoom.getGenerationState().currentRound,
+      batchSize: config.batchSize
+    });
+
+    if (polling) {
+      for (const room of rooms.values()) room.startPolling();
+    }
+    return server;
+  }
+
+  async function shutdown(timeoutMs) {
+    const startedShutdownAt = Date.now();
+    const deadline = startedShutdownAt + timeoutMs;
+    shuttingDown = true;
+    for (const room of rooms.values()) room.beginShutdown();
+    log.info('Shutting down', { timeoutMs });
+
+    // Refuse new connections; requests already in flight may still finish
+    const closed = server ? new Promise(resolve => server.close(resolve)) : Promise.resolve();
+    if (server) server.closeIdleConnections();
+
+    // Every room settles its batch in flight and flushes its outbox
+    const drained = Object.fromEntries(await Promise.all(
+      Array.from(rooms.values()).map(async room => [room.id, await room.drain(deadline)])
+    ));
+    const generationSettled = Object.values(drained).every(room => room.generationSettled);
+    const pending = Object.values(drained).map(room => room.pendingDeliveries).filter(count => count !== null);
+    const pendingDeliveries = pending.length > 0 ? pending.reduce((sum, count) => sum + count, 0) : null;
+
+    // Cut off connections that are still open at the deadline
+    const serverClosed = await beforeDeadline(closed.then(() => true), deadline, false);
+    if (!serverClosed && server) {
+      server.closeAllConnections();
+      await closed;
+    }
+    server = null;
+
+    const result = {
+      clean: generationSettled && serverClosed,
+      generationSettled,
+      serverClosed,
+      pendingDeliveries,
+      rooms: drained,
+      durationMs: Date.now() - startedShutdownAt
+    };
+    log.info('Shutdown complete', result);
+    return result;
+  }
+
+  // Graceful shutdown within `timeoutMs`: stop polling and new batches, let a
+  // batch in flight finish or roll back, flush pending deliveries, release the
+  // generator lease and close the HTTP server. Resolves with { clean, ... };
+  // calling it again returns the same shutdown.
+  function stop({ timeoutMs = config.shutdownTimeout } = {}) {
+    if (!stopPromise) stopPromise = shutdown(timeoutMs);
+    return stopPromise;
+  }
+
+  return {
+    app,
+    config,
+    store,
+    log,
+    rooms,
+    start,
+    stop,
+    checkSocketQueueAndGenerate: defaultRoom.checkSocketQueueAndGenerate,
+    generateFullBatch: defaultRoom.generateFullBatch,
+    processOutbox: defaultRoom.processOutbox,
+    applyConfigReload,
+    getGenerationState
+  };
+}
+
+module.exports = { createApp };
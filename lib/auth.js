@@ -0,0 +1,74 @@
+const crypto = require('crypto');
+
+// API-key authentication with ordered roles. A key grants its own role and
+// every role below it, so an operator can do everything a viewer can.
+
+const ROLES = ['viewer', 'operator'];
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest();
+}
+
+// Parse "name:role:key" entries separated by commas (the API_KEYS format)
+function parseApiKeys(raw) {
+  return raw.split(',').map(entry => entry.trim()).filter(Boolean).map((entry) => {
+    const [name, role, ...rest] = entry.split(':');
+    return { name, role, key: rest.join(':') };
+  });
+}
+
+// `apiKeys` is a list of { name, role, key }. The internal API secret, when
+// one is configured, is accepted as an operator key named "internal" so the
+// socket server and existing tooling keep working.
+function createAuth({ apiKeys = [], internalApiSecret }) {
+  const principals = apiKeys.map(({ name, role, key }) => ({ name, role, hash: hashKey(key) }));
+  if (internalApiSecret) {
+    principals.push({ name: 'internal', role: 'operator', hash: hashKey(internalApiSecret) });
+  }
+
+  // Compare digests in constant time so keys cannot be guessed byte by byte
+  function findPrincipal(key) {
+    const hash = hashKey(key);
+    const match = principals.find(p => crypto.timingSafeEqual(p.hash, hash));
+    return match ? { name: match.name, role: match.role } : null;
+  }
+
+  function keyFromRequest(req) {
+    const auth = req.headers.authorization || '';
+    if (auth.startsWith('Bearer ')) return auth.slice('Bearer '.length);
+    return req.headers['x-api-key'] || null;
+  }
+
+  // Middleware: attach req.principal when a valid key is presented. Never
+  // rejects on its own, so public routes can use it to show extra detail.
+  function authenticate(req, res, next) {
+    const key = keyFromRequest(req);
+    req.principal = key ? findPrincipal(key) : null;
+    next();
+  }
+
+  function hasRole(principal, role) {
+    return Boolean(principal) && ROLES.indexOf(principal.role) >= ROLES.indexOf(role);
+  }
+
+  // Middleware factory: 401 without a valid key, 403 when the role is too low
+  function requireRole(role) {
+    return (req, res, next) => {
+      if (!req.principal) {
+        return res.status(401).json({ success: false, error: 'Unauthorized' });
+      }
+      if (!hasRole(req.principal, role)) {
+        return res.status(403).json({ success: false, error: `Requires ${role} role` });
+      }
+      next();
+    };
+  }
+
+  return { authenticate, requireRole, hasRole };
+}
+
+module.exports = {
+  ROLES,
+  parseApiKeys,
+  createAuth
+};
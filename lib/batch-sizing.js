@@ -0,0 +1,54 @@
+// Adaptive batch sizing.
+//
+// The consumption tracker turns successive observations of the socket
+// server's current round into a smoothed rounds-per-second rate. The batch
+// size is then enough rounds to cover `targetSeconds` of play, clamped to
+// [min, max], so fast rooms do not starve and slow rooms do not pile up
+// hundreds of pre-generated rounds.
+
+// Observations closer together than this are ignored, they are mostly noise
+const MIN_SAMPLE_MS = 1000;
+
+function createConsumptionTracker({ halfLifeMs = 60000 } = {}) {
+  let last = null;
+  let rate = null;
+
+  // Record that the socket server was on `round` at time `at`
+  function observe(round, at = Date.now()) {
+    if (typeof round !== 'number') return;
+    if (last === null || round < last.round) {
+      // First sample, or the socket server restarted its counter
+      last = { round, at };
+      return;
+    }
+    const elapsed = at - last.at;
+    if (elapsed < MIN_SAMPLE_MS) return;
+
+    const sample = ((round - last.round) * 1000) / elapsed;
+    const weight = 1 - Math.pow(0.5, elapsed / halfLifeMs);
+    rate = rate === null ? sample : rate + weight * (sample - rate);
+    last = { round, at };
+  }
+
+  return {
+    observe,
+    // Rounds per second, or null until two samples are far enough apart
+    ratePerSecond: () => rate,
+    reset() {
+      last = null;
+      rate = null;
+    }
+  };
+}
+
+// Batch size for the measured rate, or `fallback` when nothing is measured yet
+function chooseBatchSize({ ratePerSecond, targetSeconds, min, max, fallback }) {
+  if (ratePerSecond === null || ratePerSecond === undefined) return fallback;
+  const wanted = Math.ceil(ratePerSecond * targetSeconds);
+  return Math.min(max, Math.max(min, wanted));
+}
+
+module.exports = {
+  createConsumptionTracker,
+  chooseBatchSize
+};
@@ -0,0 +1,124 @@
+// Bets and the player ledger.
+//
+// Amounts (stakes, payouts, balances) are integers in minor units, so no
+// rounding error ever reaches a balance. A bet is placed on an upcoming round
+// with an optional auto cash-out target; a manual cash-out may be recorded
+// while the round is in play. Once the round completes the bet settles:
+//
+//   open -> won       cash-out at or below the round's multiplier,
+//                     pays floor(stake * cash-out). With both an auto and
+//                     a manual cash-out the lower one fires first and counts
+//        -> lost      no cash-out, or one above the multiplier
+//        -> refunded  the round was voided, the stake is returned
+//
+// Every balance change is a ledger entry (deposit, stake, payout, refund)
+// recording the balance after it, and a balance never goes negative. A bet
+// settles exactly once: settling a round again changes nothing.
+
+const BET_STATUSES = ['open', 'won', 'lost', 'refunded'];
+const LEDGER_KINDS = ['deposit', 'stake', 'payout', 'refund'];
+const PLAYER_ID_PATTERN = /^[A-Za-z0-9._:@-]{1,64}$/;
+const MIN_CASHOUT = 1.01;
+const MAX_CASHOUT = 10000;
+
+// Thrown by stores when a debit would take a balance below zero
+const INSUFFICIENT_FUNDS = 'INSUFFICIENT_FUNDS';
+
+function insufficientFunds(player, balance, amount) {
+  const error = new Error(`Insufficient balance for ${player}: ${balance} available, ${amount} required`);
+  error.code = INSUFFICIENT_FUNDS;
+  return error;
+}
+
+// A cash-out multiplier: 1.01-10000 with at most two decimals
+function isValidCashout(value) {
+  return typeof value === 'number' && value >= MIN_CASHOUT && value <= MAX_CASHOUT && Math.round(value * 100) === value * 100;
+}
+
+// Validate a bet request against the room's stake limits. Returns an error
+// message, or null when it is valid.
+function validateBet({ player, round, stake, autoCashout }, { minStake, maxStake }) {
+  if (typeof player !== 'string' || !PLAYER_ID_PATTERN.test(player)) return 'player must be an id of up to 64 characters';
+  if (!Number.isInteger(round) || round < 1) return 'round must be a round number';
+  if (!Number.isInteger(stake) || stake < minStake || stake > maxStake) {
+    return `stake must be a whole amount between ${minStake} and ${maxStake}`;
+  }
+  if (autoCashout !== undefined && autoCashout !== null && !isValidCashout(autoCashout)) {
+    return `autoCashout must be between ${MIN_CASHOUT} and ${MAX_CASHOUT} with at most two decimals`;
+  }
+  return null;
+}
+
+// floor(stake * cashout) without floating-point drift (cash-outs have two decimals)
+function payoutFor(stake, cashout) {
+  return Math.floor(stake * Math.round(cashout * 100) / 100);
+}
+
+// How a bet settles against its round: { status, payout, cashout_multiplier }
+function settleOutcome(bet, { multiplier, voided }) {
+  if (voided) return { status: 'refunded', payout: bet.stake, cashout_multiplier: null };
+  const targets = [bet.manual_cashout, bet.auto_cashout].filter(value => value !== null && value !== undefined);
+  const cashout = targets.length > 0 ? Math.min(...targets) : null;
+  if (cashout !== null && cashout <= Number(multiplier)) {
+    return { status: 'won', payout: payoutFor(bet.stake, cashout), cashout_multiplier: cashout };
+  }
+  return { status: 'lost', payout: 0, cashout_multiplier: null };
+}
+
+function emptyTotals() {
+  return { bets: 0, open: 0, won: 0, lost: 0, refunded: 0, staked: 0, paidOut: 0, refundedAmount: 0 };
+}
+
+function addBet(totals, bet) {
+  totals.bets++;
+  totals[bet.status]++;
+  totals.staked += bet.stake;
+  if (bet.status === 'won') totals.paidOut += bet.payout;
+  if (bet.status === 'refunded') totals.refundedAmount += bet.payout;
+  return totals;
+}
+
+// Reconciliation for one round. `houseNet` is what the house kept on the
+// settled bets; refunds are neither won nor lost.
+function roundReport(round, bets, roundRow) {
+  const totals = bets.reduce(addBet, emptyTotals());
+  const settledStakes = bets.filter(bet => bet.status === 'won' || bet.status === 'lost').reduce((sum, bet) => sum + bet.stake, 0);
+  return {
+    round_number: round,
+    roundStatus: roundRow ? roundRow.status : null,
+    multiplier: roundRow && roundRow.status === 'completed' ? Number(roundRow.multiplier) : null,
+    settled: totals.open === 0,
+    ...totals,
+    houseNet: settledStakes - totals.paidOut
+  };
+}
+
+// Reconciliation for one player: their bets in a room and their account,
+// which is shared by every room. `consistent` checks the stored balance
+// against the sum of the ledger.
+function playerReport(player, bets, account) {
+  const totals = bets.reduce(addBet, emptyTotals());
+  const ledgerSum = LEDGER_KINDS.reduce((sum, kind) => sum + account.totals[kind], 0);
+  return {
+    player,
+    ...totals,
+    net: totals.paidOut + totals.refundedAmount - totals.staked,
+    balance: account.balance,
+    ledger: account.totals,
+    consistent: ledgerSum === account.balance
+  };
+}
+
+module.exports = {
+  BET_STATUSES,
+  LEDGER_KINDS,
+  PLAYER_ID_PATTERN,
+  INSUFFICIENT_FUNDS,
+  insufficientFunds,
+  isValidCashout,
+  validateBet,
+  payoutFor,
+  settleOutcome,
+  roundReport,
+  playerReport
+};
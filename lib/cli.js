@@ -0,0 +1,26 @@
+// Argument parsing shared by the offline command-line tools
+// (lib/monte-carlo.js, lib/certification.js, lib/consistency.js).
+
+// Parse --key value and --key=value flags. --help and the names in `switches`
+// take no value and are set to true.
+function parseArgs(argv, { switches = [] } = {}) {
+  const names = new Set(['help', ...switches]);
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const match = /^--([^=]+)(?:=(.*))?$/.exec(argv[i]);
+    if (!match) throw new Error(`Unexpected argument: ${argv[i]}`);
+    const [, name, value] = match;
+    if (names.has(name)) {
+      if (value !== undefined) throw new Error(`--${name} takes no value`);
+      args[name] = true;
+    } else if (value !== undefined) {
+      args[name] = value;
+    } else {
+      if (i + 1 >= argv.length || argv[i + 1].startsWith('--')) throw new Error(`--${name} needs a value`);
+      args[name] = argv[++i];
+    }
+  }
+  return args;
+}
+
+module.exports = { parseArgs };
@@ -0,0 +1,339 @@
+const fs = require('fs');
+const os = require('os');
+const { loadDistributionSpec } = require('./distribution-spec');
+const { RECENT_WINDOW_SIZE } = require('./generator');
+const { ROLES, parseApiKeys } = require('./auth');
+const { LOG_LEVELS } = require('./logger');
+const { ROOM_KEYS, validateRoomEntries, createRoomConfig } = require('./rooms');
+const { validateSinkEntries, describeSink } = require('./publisher');
+const { RESPONSE_MODES } = require('./openapi');
+
+// Runtime configuration.
+//
+// Values come from the defaults below, then an optional JSON file
+// (CONFIG_FILE), then environment variables. Every value is parsed to its
+// declared type and the whole config is validated before it is used.
+// Keys marked `reloadable` can be changed at runtime with reloadConfig().
+
+// The sample secret from the docs. It is public, so it must never grant access.
+const PLACEHOLDER_SECRET = 'your-secret-token';
+
+const SCHEMA = {
+  port: { env: 'PORT', type: 'integer', default: 3000, min: 1 },
+  instanceId: { env: 'INSTANCE_ID', type: 'string', default: `${os.hostname()}-${process.pid}` },
+
+  // Socket server and internal API access
+  socketServerUrl: { env: 'SOCKET_SERVER_URL', type: 'string', default: 'https://aviator-socket-server-yhzu.onrender.com' },
+  socketServerSecret: { env: 'SOCKET_SERVER_SECRET', type: 'string', default: PLACEHOLDER_SECRET, secret: true },
+  internalApiSecret: { env: 'INTERNAL_API_SECRET', type: 'string', default: null, secret: true },
+  webhookSecret: { env: 'WEBHOOK_SECRET', type: 'string', default: null, secret: true },
+  apiKeys: { env: 'API_KEYS', type: 'apiKeys', default: [], secret: true },
+
+  // Game rooms besides the default one (see lib/rooms.js)
+  rooms: { env: 'ROOMS', type: 'rooms', default: [], secret: true },
+
+  // Where batches are published besides the socket server (see lib/publisher.js)
+  publishSinks: { env: 'PUBLISH_SINKS', type: 'sinks', default: [], secret: true },
+
+  // Graceful shutdown deadline (SIGTERM/SIGINT)
+  shutdownTimeout: { env: 'SHUTDOWN_TIMEOUT', type: 'integer', default: 25000, min: 1, reloadable: true },
+
+  // Logging
+  logLevel: { env: 'LOG_LEVEL', type: 'enum', values: LOG_LEVELS, default: 'info', reloadable: true },
+  logFormat: { env: 'LOG_FORMAT', type: 'enum', values: ['json', 'pretty'], default: 'json', reloadable: true },
+
+  // Storage
+  store: { env: 'STORE', type: 'enum', values: ['supabase', 'memory', 'file'], default: 'supabase' },
+  storeFile: { env: 'STORE_FILE', type: 'string', default: './data/multipliers.json' },
+  supabaseUrl: { env: 'SUPABASE_URL', type: 'string', default: null },
+  supabaseServiceKey: { env: 'SUPABASE_SERVICE_KEY', type: 'string', default: null, secret: true },
+
+  // Generation
+  startRound: { env: 'START_ROUND', type: 'integer', default: 1000, min: 0 },
+  batchSize: { env: 'BATCH_SIZE', type: 'integer', default: 100, min: 1 },
+  queueCheckInterval: { env: 'QUEUE_CHECK_INTERVAL', type: 'integer', default: 5000, min: 1, reloadable: true },
+  queueThreshold: { env: 'QUEUE_THRESHOLD', type: 'integer', default: 5, min: 0, reloadable: true },
+  // With the queue-low webhook on, polling only runs as a slower fallback
+  queueWebhook: { env: 'QUEUE_WEBHOOK', type: 'boolean', default: false, reloadable: true },
+  queueFallbackInterval: { env: 'QUEUE_FALLBACK_INTERVAL', type: 'integer', default: 30000, min: 1, reloadable: true },
+  // Adaptive batch size: enough rounds for batchTargetSeconds of play at the
+  // measured consumption rate, within batchSizeMin-batchSizeMax
+  adaptiveBatchSize: { env: 'ADAPTIVE_BATCH_SIZE', type: 'boolean', default: false, reloadable: true },
+  batchSizeMin: { env: 'BATCH_SIZE_MIN', type: 'integer', default: 20, min: 1, reloadable: true },
+  batchSizeMax: { env: 'BATCH_SIZE_MAX', type: 'integer', default: 500, min: 1, reloadable: true },
+  batchTargetSeconds: { env: 'BATCH_TARGET_SECONDS', type: 'integer', default: 300, min: 1, reloadable: true },
+  rng: { env: 'RNG', type: 'enum', values: ['crypto', 'seeded'], default: 'crypto' },
+  rngSeed: { env: 'RNG_SEED', type: 'string', default: null },
+  provablyFair: { env: 'PROVABLY_FAIR', type: 'boolean', default: false },
+  fairClientSeed: { env: 'FAIR_CLIENT_SEED', type: 'string', default: 'aviator-public-client-seed' },
+  // Rounds of history the generator window is restored from on startup (0 starts empty)
+  warmStartRounds: { env: 'WARM_START_ROUNDS', type: 'integer', default: RECENT_WINDOW_SIZE, min: 0 },
+
+  // Distribution spec file (see lib/distribution-spec.js), built-in spec when unset
+  distributionSpec: { env: 'DISTRIBUTION_SPEC', type: 'string', default: null },
+
+  // Round range routes (/api/multipliers, /api/commitments...)
+  rangeMaxRounds: { env: 'RANGE_MAX_ROUNDS', type: 'integer', default: 1000, min: 1, reloadable: true },
+
+  // Check responses against the OpenAPI contract (see lib/openapi.js)
+  validateResponses: { env: 'VALIDATE_RESPONSES', type: 'enum', values: RESPONSE_MODES, default: 'warn', reloadable: true },
+
+  // Statistics API
+  statsCacheTtl: { env: 'STATS_CACHE_TTL', type: 'integer', default: 60000, min: 0, reloadable: true },
+  statsMaxRounds: { env: 'STATS_MAX_ROUNDS', type: 'integer', default: 100000, min: 1, reloadable: true },
+
+  // Bets, in minor units (see lib/betting.js)
+  betMinStake: { env: 'BET_MIN_STAKE', type: 'integer', default: 1, min: 1, reloadable: true },
+  betMaxStake: { env: 'BET_MAX_STAKE', type: 'integer', default: 1000000, min: 1, reloadable: true },
+
+  // Readiness checks (/health/ready)
+  healthCheckTimeout: { env: 'HEALTH_CHECK_TIMEOUT', type: 'integer', default: 2000, min: 1, reloadable: true },
+  healthBatchMaxAge: { env: 'HEALTH_BATCH_MAX_AGE', type: 'integer', default: 15 * 60 * 1000, min: 1, reloadable: true },
+  healthGenerationStuckAfter: { env: 'HEALTH_GENERATION_STUCK_AFTER', type: 'integer', default: 2 * 60 * 1000, min: 1, reloadable: true },
+
+  // Delivery outbox
+  outboxRetryInterval: { env: 'OUTBOX_RETRY_INTERVAL', type: 'integer', default: 10000, min: 1, reloadable: true },
+  outboxBackoffBase: { env: 'OUTBOX_BACKOFF_BASE', type: 'integer', default: 5000, min: 1, reloadable: true },
+  outboxBackoffMax: { env: 'OUTBOX_BACKOFF_MAX', type: 'integer', default: 5 * 60 * 1000, min: 1, reloadable: true }
+};
+
+const RELOADABLE_KEYS = Object.keys(SCHEMA).filter(key => SCHEMA[key].reloadable);
+
+// Parse one raw value (string from env, or any JSON value from the file)
+function parseValue(key, raw, errors) {
+  const field = SCHEMA[key];
+  if (raw === null || raw === undefined || raw === '') return null;
+
+  switch (field.type) {
+    case 'string':
+      return String(raw);
+    case 'integer': {
+      const value = typeof raw === 'number' ? raw : Number(raw);
+      if (!Number.isInteger(value)) errors.push(`${key} must be an integer, got "${raw}"`);
+      return value;
+    }
+    case 'number': {
+      const value = typeof raw === 'number' ? raw : Number(raw);
+      if (!Number.isFinite(value)) errors.push(`${key} must be a number, got "${raw}"`);
+      return value;
+    }
+    case 'boolean':
+      if (raw === true || raw === 'true') return true;
+      if (raw === false || raw === 'false') return false;
+      errors.push(`${key} must be true or false, got "${raw}"`);
+      return null;
+    case 'enum':
+      if (!field.values.includes(raw)) errors.push(`${key} must be one of ${field.values.join(', ')}, got "${raw}"`);
+      return raw;
+    case 'apiKeys': {
+      // "name:role:key,..." from env, or an array of { name, role, key } from the file
+      const keys = typeof raw === 'string' ? parseApiKeys(raw) : raw;
+      if (!Array.isArray(keys)) {
+        errors.push(`${key} must be a list of { name, role, key }`);
+        return [];
+      }
+      keys.forEach((entry, i) => {
+        if (!entry || !entry.name || !entry.key) errors.push(`${key}[${i}] needs a name and a key`);
+        else if (!ROLES.includes(entry.role)) errors.push(`${key}[${i}] role must be one of ${ROLES.join(', ')}`);
+      });
+      return keys;
+    }
+    case 'rooms': {
+      // JSON list of room entries, each key parsed like its top-level key
+      let rooms = raw;
+      if (typeof raw === 'string') {
+        try {
+          rooms = JSON.parse(raw);
+        } catch (error) {
+          errors.push(`${key} must be JSON: ${error.message}`);
+          return [];
+        }
+      }
+      const entryErrors = validateRoomEntries(rooms);
+      if (entryErrors.length > 0) {
+        errors.push(...entryErrors.map(message => `${key}${message}`));
+        return [];
+      }
+      return rooms.map(room => {
+        const parsed = { id: room.id };
+        const roomErrors = [];
+        for (const roomKey of ROOM_KEYS) {
+          if (room[roomKey] !== undefined) parsed[roomKey] = parseValue(roomKey, room[roomKey], roomErrors);
+        }
+        errors.push(...roomErrors.map(message => `${key}[${room.id}].${message}`));
+        return parsed;
+      });
+    }
+    case 'sinks': {
+      // JSON list of { name, type, ... } sink entries
+      let sinks = raw;
+      if (typeof raw === 'string') {
+        try {
+          sinks = JSON.parse(raw);
+        } catch (error) {
+          errors.push(`${key} must be JSON: ${error.message}`);
+          return [];
+        }
+      }
+      const entryErrors = validateSinkEntries(sinks);
+      if (entryErrors.length > 0) {
+        errors.push(...entryErrors.map(message => `${key}${message}`));
+        return [];
+      }
+      return sinks;
+    }
+    default:
+      throw new Error(`Unknown config type ${field.type}`);
+  }
+}
+
+// Cross-field checks on a fully parsed config
+function validateConfig(config) {
+  const errors = [];
+
+  for (const [key, field] of Object.entries(SCHEMA)) {
+    const value = config[key];
+    if (field.min !== undefined && value !== null && value < field.min) {
+      errors.push(`${key} must be at least ${field.min}, got ${value}`);
+    }
+  }
+
+  // The internal API and webhook secrets grant access, so neither falls back
+  // to the socket secret or accepts the sample one
+  for (const key of ['internalApiSecret', 'webhookSecret']) {
+    if (config[key] === PLACEHOLDER_SECRET) errors.push(`${key} must not be the sample secret "${PLACEHOLDER_SECRET}"`);
+  }
+
+  if (config.queueThreshold >= config.batchSize) {
+    errors.push(`queueThreshold (${config.queueThreshold}) must be less than batchSize (${config.batchSize})`);
+  }
+  if (config.batchSizeMin > config.batchSizeMax) {
+    errors.push(`batchSizeMin (${config.batchSizeMin}) must not exceed batchSizeMax (${config.batchSizeMax})`);
+  }
+  if (config.adaptiveBatchSize && config.queueThreshold >= config.batchSizeMin) {
+    errors.push(`queueThreshold (${config.queueThreshold}) must be less than batchSizeMin (${config.batchSizeMin})`);
+  }
+  if (config.betMinStake > config.betMaxStake) {
+    errors.push(`betMinStake (${config.betMinStake}) must not exceed betMaxStake (${config.betMaxStake})`);
+  }
+  if (config.outboxBackoffBase > config.outboxBackoffMax) {
+    errors.push('outboxBackoffBase must not exceed outboxBackoffMax');
+  }
+  if (config.warmStartRounds > RECENT_WINDOW_SIZE) {
+    errors.push(`warmStartRounds (${config.warmStartRounds}) must not exceed the generator window of ${RECENT_WINDOW_SIZE} rounds`);
+  }
+  if (config.rng === 'seeded' && !config.rngSeed) {
+    errors.push('rng "seeded" requires rngSeed (RNG_SEED)');
+  }
+  if (config.store === 'supabase' && (!config.supabaseUrl || !config.supabaseServiceKey)) {
+    errors.push('store "supabase" requires supabaseUrl and supabaseServiceKey');
+  }
+
+  return errors;
+}
+
+// Read defaults, the optional config file and env into a validated config
+function loadConfig(env = process.env) {
+  const errors = [];
+  let fileValues = {};
+
+  if (env.CONFIG_FILE) {
+    try {
+      fileValues = JSON.parse(fs.readFileSync(env.CONFIG_FILE, 'utf8'));
+    } catch (error) {
+      throw new Error(`Invalid configuration: cannot read CONFIG_FILE ${env.CONFIG_FILE}: ${error.message}`);
+    }
+    for (const key of Object.keys(fileValues)) {
+      if (!SCHEMA[key]) errors.push(`Unknown key "${key}" in ${env.CONFIG_FILE}`);
+    }
+  }
+
+  const config = {};
+  for (const [key, field] of Object.entries(SCHEMA)) {
+    let raw = field.default;
+    if (fileValues[key] !== undefined) raw = fileValues[key];
+    if (field.env && env[field.env] !== undefined) raw = env[field.env];
+    config[key] = parseValue(key, raw, errors);
+  }
+
+  const configErrors = validateConfig(config);
+  errors.push(...configErrors);
+  if (config.distributionSpec) {
+    try {
+      loadDistributionSpec(config.distributionSpec);
+    } catch (error) {
+      errors.push(error.message);
+    }
+  }
+
+  // Each room must be valid with its overrides applied
+  for (const room of config.rooms) {
+    const roomErrors = validateConfig(createRoomConfig(config, room)).filter(message => !configErrors.includes(message));
+    errors.push(...roomErrors.map(message => `rooms[${room.id}]: ${message}`));
+    if (room.distributionSpec) {
+      try {
+        loadDistributionSpec(room.distributionSpec);
+      } catch (error) {
+        errors.push(`rooms[${room.id}]: ${error.message}`);
+      }
+    }
+  }
+  if (errors.length > 0) {
+    throw new Error(`Invalid configuration:\n - ${errors.join('\n - ')}`);
+  }
+  return config;
+}
+
+// Re-read the config and apply only the reloadable keys to `current` in place.
+// Throws without changing anything if the new config is invalid.
+function reloadConfig(current, env = process.env) {
+  const next = loadConfig(env);
+  const changed = RELOADABLE_KEYS.filter(key => next[key] !== current[key]);
+  const requiresRestart = Object.keys(SCHEMA).filter(key => (
+    !SCHEMA[key].reloadable && JSON.stringify(next[key]) !== JSON.stringify(current[key])
+  ));
+
+  const merged = { ...current };
+  for (const key of changed) merged[key] = next[key];
+  const errors = validateConfig(merged);
+  for (const room of merged.rooms) {
+    errors.push(...validateConfig(createRoomConfig(merged, room))
+      .filter(message => !errors.includes(message))
+      .map(message => `rooms[${room.id}]: ${message}`));
+  }
+  if (errors.length > 0) {
+    throw new Error(`Invalid configuration:\n - ${errors.join('\n - ')}`);
+  }
+
+  for (const key of changed) current[key] = next[key];
+  return { changed, requiresRestart };
+}
+
+// Effective config with secrets redacted, for the admin route
+function describeConfig(config) {
+  const values = {};
+  for (const [key, field] of Object.entries(SCHEMA)) {
+    if (key === 'apiKeys') {
+      values[key] = config[key].map(({ name, role }) => ({ name, role }));
+    } else if (key === 'rooms') {
+      values[key] = config[key].map(room => ({
+        ...room,
+        ...(room.socketServerSecret ? { socketServerSecret: '[redacted]' } : {}),
+        ...(room.webhookSecret ? { webhookSecret: '[redacted]' } : {})
+      }));
+    } else if (key === 'publishSinks') {
+      values[key] = config[key].map(describeSink);
+    } else {
+      values[key] = field.secret && config[key] ? '[redacted]' : config[key];
+    }
+  }
+  return { values, reloadable: RELOADABLE_KEYS };
+}
+
+module.exports = {
+  RELOADABLE_KEYS,
+  loadConfig,
+  reloadConfig,
+  validateConfig,
+  describeConfig
+};
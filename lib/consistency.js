@@ -0,0 +1,376 @@
+// Round table consistency checks.
+//
+// scanConsistency() walks the multipliers table in chunks and reports:
+//   - gaps: round numbers missing between the lowest and highest stored round
+//   - duplicates: round numbers stored more than once
+//   - out of bounds: multipliers outside the range of the spec that produced
+//     them (or the provably-fair range for rounds with a commitment)
+//
+// repairGaps() fills the reported gaps, and is a dry run unless told
+// otherwise. 'void' inserts placeholder rows in the voided status with no
+// multiplier, which is the only honest repair for rounds that were already
+// played. 'backfill' generates real rounds, and only for gaps the socket
+// server has not reached yet. Duplicates and out-of-bounds rows are reported
+// but never rewritten. Run it from the command line:
+//
+//   node lib/consistency.js --from 1 --to 50000 --format json
+//   node lib/consistency.js --repair void --reason "lost in outage" --apply
+//   node lib/consistency.js --room vip          # a room other than the default
+
+const { createGenerator } = require('./generator');
+const { specDefinition } = require('./distribution-spec');
+const { FAIR_MIN, FAIR_MAX, commitSeed, buildSeedChain, deriveFairMultiplier } = require('./fairness');
+const { SOCKET_SINK, toPublicRounds } = require('./publisher');
+const { parseArgs } = require('./cli');
+
+const SCAN_CHUNK_SIZE = 10000;
+// Longest list of gaps, duplicates or out-of-bounds rows kept in a report
+const MAX_LISTED = 1000;
+const REPAIR_MODES = ['void', 'backfill'];
+
+const SCAN_COLUMNS = [
+  'id', 'round_number', 'multiplier', 'status', 'server_seed_hash',
+  'distribution_spec_id', 'distribution_spec_version'
+];
+
+// Bounds check for each row: fair rounds use the fixed derivation range,
+// stamped rounds the spec they were generated with, older rows the active spec
+function createBoundsResolver(specs, activeSpec) {
+  const byKey = new Map(specs.map(s => [`${s.spec_id}@${s.version}`, s.definition]));
+  return row => {
+    if (row.server_seed_hash) return { min: FAIR_MIN, max: FAIR_MAX, source: 'provably-fair' };
+    const key = `${row.distribution_spec_id}@${row.distribution_spec_version}`;
+    const definition = row.distribution_spec_id && byKey.get(key);
+    if (definition) return { min: definition.min, max: definition.max, source: key };
+    return { min: activeSpec.min, max: activeSpec.max, source: `${activeSpec.id}@${activeSpec.version}` };
+  };
+}
+
+// Scan rounds `from`-`to` (default: the whole table) and report what is wrong
+async function scanConsistency(store, { from, to, activeSpec, chunkSize = SCAN_CHUNK_SIZE, maxListed = MAX_LISTED } = {}) {
+  const lowest = from !== undefined ? from : await store.getLowestRoundNumber();
+  const highest = to !== undefined ? to : await store.getHighestRoundNumber();
+  const report = {
+    from: lowest,
+    to: highest,
+    rows: 0,
+    gaps: [],
+    missingRounds: 0,
+    duplicates: [],
+    duplicateRows: 0,
+    outOfBounds: [],
+    truncated: false,
+    ok: true,
+    scannedAt: new Date().toISOString()
+  };
+  if (highest < lowest || highest === 0) return report;
+
+  const boundsFor = createBoundsResolver(await store.listDistributionSpecs(), activeSpec);
+  const list = (items, item) => {
+    if (items.length < maxListed) items.push(item);
+    else report.truncated = true;
+  };
+
+  let expected = lowest;
+  let previous = null;
+  for (let start = lowest; start <= highest; start += chunkSize) {
+    const end = Math.min(start + chunkSize - 1, highest);
+    const rows = await store.getRounds(start, end, SCAN_COLUMNS);
+    report.rows += rows.length;
+
+    for (const row of rows) {
+      if (previous && previous.round_number === row.round_number) {
+        // Rows for one round are adjacent, so extend the entry listed last
+        const last = report.duplicates[report.duplicates.length - 1];
+        if (last && last.round_number === row.round_number) {
+          last.ids.push(row.id);
+        } else {
+          list(report.duplicates, { round_number: row.round_number, ids: [previous.id, row.id] });
+        }
+        report.duplicateRows++;
+      } else if (row.round_number > expected) {
+        const count = row.round_number - expected;
+        list(report.gaps, { from: expected, to: row.round_number - 1, count });
+        report.missingRounds += count;
+      }
+
+      // Voided placeholders have no multiplier to check
+      if (!(row.status === 'voided' && row.multiplier === null)) {
+        const bounds = boundsFor(row);
+        const value = row.multiplier;
+        if (typeof value !== 'number' || !Number.isFinite(value) || value < bounds.min || value > bounds.max) {
+          list(report.outOfBounds, {
+            id: row.id,
+            round_number: row.round_number,
+            multiplier: value,
+            min: bounds.min,
+            max: bounds.max,
+            spec: bounds.source
+          });
+        }
+      }
+
+      previous = row;
+      expected = Math.max(expected, row.round_number + 1);
+    }
+  }
+
+  // A range given explicitly may end in missing rounds
+  if (expected <= highest) {
+    const count = highest - expected + 1;
+    list(report.gaps, { from: expected, to: highest, count });
+    report.missingRounds += count;
+  }
+
+  report.ok = report.missingRounds === 0 && report.duplicateRows === 0 && report.outOfBounds.length === 0;
+  return report;
+}
+
+// Generate the rounds for one gap. Rounds are generated without a recent
+// window, since the rounds around the gap were produced by other batches.
+function generateGapRounds(gap, { spec, rng, provablyFair, clientSeed, log }) {
+  const count = gap.to - gap.from + 1;
+  const rows = [];
+
+  if (provablyFair) {
+    const seedChain = buildSeedChain(count);
+    seedChain.forEach((serverSeed, i) => {
+      rows.push({
+        round_number: gap.from + i,
+        multiplier: deriveFairMultiplier(serverSeed, clientSeed).multiplier,
+        server_seed: serverSeed,
+        server_seed_hash: commitSeed(serverSeed),
+        client_seed: clientSeed
+      });
+    });
+  } else {
+    const distribution = { id: spec.id, version: spec.version, ...specDefinition(spec) };
+    const generator = createGenerator({ rng, recentMultipliers: [], distribution, log });
+    for (let round = gap.from; round <= gap.to; round++) {
+      const generated = generator.generateCrashRound(round);
+      rows.push({
+        round_number: round,
+        multiplier: generated.multiplier,
+        raw_multiplier: generated.rawMultiplier,
+        raw_tier: generated.rawTier,
+        adjustments: generated.adjustments,
+        distribution_spec_id: spec.id,
+        distribution_spec_version: spec.version
+      });
+    }
+  }
+
+  const batch = {
+    start_round: gap.from,
+    end_round: gap.to,
+    rng: provablyFair ? 'provably-fair' : rng.name,
+    rng_seed: provablyFair ? null : rng.seed,
+    recent_window: [],
+    distribution: provablyFair ? null : { id: spec.id, version: spec.version, ...specDefinition(spec) }
+  };
+  return { rows, batch };
+}
+
+// Fill the gaps in `report`. Options:
+//   mode          'void' or 'backfill'
+//   dryRun        only describe what would be done (default true)
+//   reason        stored on voided placeholders
+//   playedThrough highest round the socket server may have reached; backfill
+//                 refuses gaps at or below it
+//   spec, provablyFair, clientSeed, createRng(startRound), log
+//                 how backfilled rounds are generated
+//   toPayload     rows -> outbox payload for backfilled rounds
+//   sinks         publishing sinks each backfilled gap is queued for
+//                 (default the socket server only, see lib/publisher.js)
+async function repairGaps(store, report, options) {
+  const { mode, dryRun = true, reason, playedThrough, toPayload, sinks = [SOCKET_SINK] } = options;
+  if (!REPAIR_MODES.includes(mode)) throw new Error(`mode must be one of ${REPAIR_MODES.join(', ')}`);
+  if (mode === 'void' && (typeof reason !== 'string' || reason.trim() === '')) {
+    throw new Error('A reason is required to void missing rounds');
+  }
+  if (mode === 'backfill' && typeof playedThrough !== 'number') {
+    throw new Error('Backfill needs to know which rounds the socket server has played');
+  }
+
+  const result = { mode, dryRun, repaired: [], skipped: [], rounds: 0, deliveries: 0 };
+  for (const gap of report.gaps) {
+    if (mode === 'backfill' && gap.from <= playedThrough) {
+      result.skipped.push({ ...gap, reason: `The socket server has reached round ${playedThrough}, void these rounds instead` });
+      continue;
+    }
+    // The table may have changed since the scan
+    const existing = await store.getExistingRounds(gap.from, gap.to);
+    if (existing.length > 0) {
+      result.skipped.push({ ...gap, reason: `${existing.length} round(s) were stored after the scan` });
+      continue;
+    }
+
+    result.repaired.push({ ...gap, action: mode === 'void' ? 'voided' : 'backfilled' });
+    result.rounds += gap.count;
+    if (dryRun) continue;
+
+    if (mode === 'void') {
+      const rows = [];
+      for (let round = gap.from; round <= gap.to; round++) {
+        rows.push({ round_number: round, multiplier: null, status: 'voided', void_reason: reason });
+      }
+      await store.insertMultipliers(rows);
+    } else {
+      const { rows, batch } = generateGapRounds(gap, { ...options, rng: options.createRng(gap.from) });
+      await store.insertMultipliers(rows);
+      await store.insertBatch(batch);
+      for (const sink of sinks) {
+        await store.insertDelivery({
+          sink,
+          start_round: gap.from,
+          end_round: gap.to,
+          multipliers: toPayload(rows),
+          status: 'pending',
+          attempts: 0,
+          next_attempt_at: new Date().toISOString()
+        });
+      }
+      result.deliveries++;
+    }
+  }
+  return result;
+}
+
+// Plain-text report for the CLI
+function toText(report, repair) {
+  const lines = [
+    `Rounds ${report.from}-${report.to}: ${report.rows} row(s) scanned`,
+    `  Missing rounds: ${report.missingRounds} in ${report.gaps.length} gap(s)`,
+    ...report.gaps.map(g => `    ${g.from}-${g.to} (${g.count})`),
+    `  Duplicate rows: ${report.duplicateRows}`,
+    ...report.duplicates.map(d => `    round ${d.round_number}: ids ${d.ids.join(', ')}`),
+    `  Out of bounds: ${report.outOfBounds.length}`,
+    ...report.outOfBounds.map(o => `    round ${o.round_number} (id ${o.id}): ${o.multiplier} outside ${o.min}-${o.max} [${o.spec}]`)
+  ];
+  if (report.truncated) lines.push(`  Lists are truncated to ${MAX_LISTED} entries each`);
+  lines.push(report.ok ? '✅ Consistent' : '⚠️ Inconsistencies found');
+
+  if (repair) {
+    lines.push('', `Repair (${repair.mode}${repair.dryRun ? ', dry run' : ''}): ${repair.rounds} round(s)`);
+    lines.push(...repair.repaired.map(g => `  ${repair.dryRun ? 'would be ' : ''}${g.action}: ${g.from}-${g.to}`));
+    lines.push(...repair.skipped.map(g => `  skipped ${g.from}-${g.to}: ${g.reason}`));
+    if (repair.dryRun && repair.repaired.length > 0) lines.push('  Re-run with --apply to write these changes');
+  }
+  return lines.join('\n') + '\n';
+}
+
+function parseRound(value, name) {
+  if (value === undefined) return undefined;
+  const round = Number(value);
+  if (!Number.isInteger(round) || round < 1) throw new Error(`${name} must be a positive round number`);
+  return round;
+}
+
+module.exports = {
+  SCAN_CHUNK_SIZE,
+  REPAIR_MODES,
+  scanConsistency,
+  generateGapRounds,
+  repairGaps,
+  toText
+};
+
+if (require.main === module) {
+  require('dotenv').config({ quiet: true });
+  const fetch = require('node-fetch');
+  const { loadConfig } = require('./config');
+  const { loadDistributionSpec, specFingerprint } = require('./distribution-spec');
+  const { createStore } = require('./stores');
+  const { createRng } = require('./rng');
+  const { DEFAULT_ROOM, roomConfigs, generatorLeaseName } = require('./rooms');
+
+  const LEASE_TTL_MS = 5 * 60 * 1000;
+
+  const USAGE = `Usage: node lib/consistency.js [options]
+
+  --from <round> --to <round>   rounds to scan (default: every stored round)
+  --room <id>                   room to scan (default: ${DEFAULT_ROOM})
+  --repair ${REPAIR_MODES.join('|')}        fill the gaps found (dry run without --apply)
+  --reason <text>               void reason recorded on voided placeholders
+  --apply                       write the repair
+  --format text|json            report format (default: text)
+  --help                        show this help
+`;
+
+  (async () => {
+    const args = parseArgs(process.argv.slice(2), { switches: ['apply'] });
+    if (args.help) {
+      process.stdout.write(USAGE);
+      return;
+    }
+    const roomId = args.room || DEFAULT_ROOM;
+    const config = roomConfigs(loadConfig()).find(room => room.roomId === roomId);
+    if (!config) throw new Error(`Unknown room: ${roomId}`);
+    // Same lease the room's generator holds, so a repair never races a running backend
+    const leaseName = generatorLeaseName(roomId);
+    const format = args.format || 'text';
+    if (!['text', 'json'].includes(format)) throw new Error(`Unknown format: ${format}`);
+    if (args.repair && !REPAIR_MODES.includes(args.repair)) throw new Error(`--repair must be one of ${REPAIR_MODES.join(', ')}`);
+
+    const activeSpec = loadDistributionSpec(config.distributionSpec);
+    const baseStore = createStore(config.store, {
+      url: config.supabaseUrl,
+      serviceKey: config.supabaseServiceKey,
+      filePath: config.storeFile
+    });
+    const store = roomId === DEFAULT_ROOM ? baseStore : baseStore.forRoom(roomId);
+    const holder = `consistency-cli:${process.pid}`;
+    const apply = Boolean(args.repair && args.apply);
+
+    if (apply && !await store.acquireLease(leaseName, holder, LEASE_TTL_MS)) {
+      throw new Error('Another instance holds the generator lease; stop it or use the admin route');
+    }
+    try {
+      const report = await scanConsistency(store, {
+        from: parseRound(args.from, '--from'),
+        to: parseRound(args.to, '--to'),
+        activeSpec
+      });
+
+      let repair = null;
+      if (args.repair) {
+        let playedThrough;
+        if (args.repair === 'backfill') {
+          const response = await fetch(`${config.socketServerUrl}/health`);
+          if (!response.ok) throw new Error(`Socket server health check failed: ${response.status}`);
+          playedThrough = (await response.json()).currentRound;
+          if (apply && !config.provablyFair) {
+            await store.registerDistributionSpec({
+              spec_id: activeSpec.id,
+              version: activeSpec.version,
+              fingerprint: specFingerprint(activeSpec),
+              description: activeSpec.description || null,
+              definition: specDefinition(activeSpec)
+            });
+          }
+        }
+        repair = await repairGaps(store, report, {
+          mode: args.repair,
+          dryRun: !apply,
+          reason: args.reason,
+          playedThrough,
+          spec: activeSpec,
+          provablyFair: config.provablyFair,
+          clientSeed: config.fairClientSeed,
+          createRng: start => createRng(config.rng, config.rng === 'seeded' ? `${config.rngSeed}:${start}` : undefined),
+          toPayload: toPublicRounds,
+          sinks: [SOCKET_SINK, ...config.publishSinks.map(sink => sink.name)],
+          log: message => console.error(message)
+        });
+      }
+
+      process.stdout.write(format === 'json' ? JSON.stringify({ report, repair }, null, 2) + '\n' : toText(report, repair));
+      if (!report.ok && !apply) process.exitCode = 2;
+    } finally {
+      if (apply) await store.releaseLease(leaseName, holder);
+    }
+  })().catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,25 @@
+// Helpers for work that must finish before a deadline (a Date.now() value),
+// used by graceful shutdown.
+
+// Resolve with the promise's value, or `fallback` once the deadline passes
+function beforeDeadline(promise, deadline, fallback = null) {
+  let timer;
+  const expired = new Promise(resolve => {
+    timer = setTimeout(() => resolve(fallback), Math.max(deadline - Date.now(), 0));
+  });
+  return Promise.race([promise, expired]).finally(() => clearTimeout(timer));
+}
+
+// Wait until `condition()` holds or the deadline passes. Returns whether it held.
+async function waitUntil(condition, deadline) {
+  while (!condition()) {
+    if (Date.now() >= deadline) return false;
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  return true;
+}
+
+module.exports = {
+  beforeDeadline,
+  waitUntil
+};
@@ -0,0 +1,128 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { DEFAULT_DISTRIBUTION } = require('./generator');
+
+// Distribution specs: the bounds and probability tiers the generator draws
+// from, under an id and version. Every generated row records the spec it came
+// from, so a given (id, version) must never change once it has been used;
+// edit the tiers and bump the version instead.
+//
+// A spec file is JSON:
+//   { "id": "default", "version": 3, "description": "...", "clampMax": true,
+//     "min": 1.01, "max": 50, "enhancedTiers": [...], "hugeTiers": [...] }
+// Each tier is { below, base, spread }: it fires when the draw is below the
+// cumulative probability `below` and returns base + draw * spread. With
+// `clampMax`, final values above `max` are clamped to it. It changes
+// generated values, so it is part of the definition.
+
+// Version 1 is the same tiers without clampMax. Its batches still replay
+// without the clamp.
+const DEFAULT_SPEC = {
+  id: 'default',
+  version: 2,
+  description: 'Built-in tiers with a 1.01x-50x range',
+  ...DEFAULT_DISTRIBUTION,
+  clampMax: true
+};
+
+function validateTiers(key, tiers, spec, errors) {
+  if (!Array.isArray(tiers)) {
+    errors.push(`${key} must be an array of tiers`);
+    return null;
+  }
+
+  let previous = 0;
+  tiers.forEach((tier, i) => {
+    const label = `${key}[${i}]`;
+    if (!tier || typeof tier !== 'object') {
+      errors.push(`${label} must be an object with below, base and spread`);
+      return;
+    }
+    const { below, base, spread } = tier;
+    if (![below, base, spread].every(Number.isFinite)) {
+      errors.push(`${label} needs numeric below, base and spread`);
+      return;
+    }
+    if (below <= previous || below > 1) {
+      errors.push(`${label}.below must be greater than the previous tier and at most 1`);
+    }
+    if (spread < 0) errors.push(`${label}.spread must not be negative`);
+    if (base < spec.min || base + spread > spec.max) {
+      errors.push(`${label} range ${base}-${base + spread} is outside ${spec.min}-${spec.max}`);
+    }
+    previous = below;
+  });
+  return previous;
+}
+
+// Every problem with a spec, or [] when it is valid
+function validateSpec(spec) {
+  const errors = [];
+  if (!spec || typeof spec !== 'object') return ['spec must be a JSON object'];
+
+  if (typeof spec.id !== 'string' || !/^[a-z0-9][a-z0-9_-]*$/i.test(spec.id)) {
+    errors.push('id must be a non-empty string of letters, digits, "-" and "_"');
+  }
+  if (!Number.isInteger(spec.version) || spec.version < 1) {
+    errors.push('version must be a positive integer');
+  }
+  if (!Number.isFinite(spec.min) || spec.min < 1) errors.push('min must be a number of at least 1');
+  if (!Number.isFinite(spec.max)) errors.push('max must be a number');
+  if (Number.isFinite(spec.min) && Number.isFinite(spec.max) && spec.min >= spec.max) {
+    errors.push(`min (${spec.min}) must be less than max (${spec.max})`);
+  }
+  if (spec.clampMax !== undefined && typeof spec.clampMax !== 'boolean') errors.push('clampMax must be true or false');
+
+  const lastEnhanced = validateTiers('enhancedTiers', spec.enhancedTiers, spec, errors);
+  if (lastEnhanced !== null && lastEnhanced !== 1) {
+    errors.push('the last enhancedTiers entry must have below: 1 so every draw gets a value');
+  }
+  validateTiers('hugeTiers', spec.hugeTiers, spec, errors);
+
+  return errors;
+}
+
+// Load and validate a spec file, or return the built-in spec when no path is
+// configured
+function loadDistributionSpec(filePath) {
+  if (!filePath) return DEFAULT_SPEC;
+
+  let spec;
+  try {
+    spec = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid distribution spec: cannot read ${filePath}: ${error.message}`);
+  }
+
+  const errors = validateSpec(spec);
+  if (errors.length > 0) {
+    throw new Error(`Invalid distribution spec ${filePath}:\n  - ${errors.join('\n  - ')}`);
+  }
+  return spec;
+}
+
+// The parts of a spec that affect generated values, in a fixed key order
+function specDefinition(spec) {
+  const tiers = list => list.map(({ below, base, spread }) => ({ below, base, spread }));
+  return {
+    min: spec.min,
+    max: spec.max,
+    // Left out when off, so specs from before it keep their fingerprints
+    ...(spec.clampMax ? { clampMax: true } : {}),
+    enhancedTiers: tiers(spec.enhancedTiers),
+    hugeTiers: tiers(spec.hugeTiers)
+  };
+}
+
+// Hash of the definition, used to catch a spec edited without a version bump
+function specFingerprint(spec) {
+  return crypto.createHash('sha256').update(JSON.stringify(specDefinition(spec))).digest('hex');
+}
+
+module.exports = {
+  DEFAULT_SPEC,
+  validateSpec,
+  loadDistributionSpec,
+  specDefinition,
+  specFingerprint
+};
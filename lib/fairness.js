@@ -0,0 +1,83 @@
+const crypto = require('crypto');
+
+// Provably-fair multiplier derivation.
+//
+// Each batch gets its own hash chain: a random terminal seed is hashed
+// repeatedly and the chain is played back in reverse, so every round's seed
+// is the SHA-256 preimage of the previous round's seed. The commitment is
+// stored before the round is played; the seed itself is only revealed through
+// /api/verify/:round once the round is over. A commitment must never be a
+// link of the chain: the plain SHA-256 of round i's seed is round i-1's seed,
+// so commitments hash the seed under COMMITMENT_PREFIX instead.
+
+// Same bounds and house edge as generateRealisticMultiplier()
+const FAIR_MIN = 1.01;
+const FAIR_MAX = 50;
+const FAIR_HOUSE_EDGE = 0.50;
+
+// 52 bits fit exactly in a double, so the uniform draw has no rounding bias
+const HMAC_HEX_CHARS = 13;
+const TWO_POW_52 = Math.pow(2, 52);
+
+const COMMITMENT_PREFIX = 'aviator-commitment:';
+
+function generateServerSeed() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+function hashSeed(seed) {
+  return crypto.createHash('sha256').update(seed).digest('hex');
+}
+
+// The published commitment for a server seed
+function commitSeed(seed) {
+  return hashSeed(`${COMMITMENT_PREFIX}${seed}`);
+}
+
+// Build a chain of `length` seeds where chain[i] === hashSeed(chain[i + 1])
+function buildSeedChain(length) {
+  const chain = new Array(length);
+  let seed = generateServerSeed();
+  for (let i = length - 1; i >= 0; i--) {
+    chain[i] = seed;
+    seed = hashSeed(seed);
+  }
+  return chain;
+}
+
+// Derive a multiplier from a server seed and the public client seed, keeping
+// every intermediate value so the derivation can be shown step by step
+function deriveFairMultiplier(serverSeed, clientSeed) {
+  const hmac = crypto.createHmac('sha256', serverSeed).update(clientSeed).digest('hex');
+  const slice = hmac.slice(0, HMAC_HEX_CHARS);
+  const int = parseInt(slice, 16);
+  const uniform = int / TWO_POW_52;
+  const payout = (1 - FAIR_HOUSE_EDGE) / (1 - uniform);
+  const clamped = Math.max(FAIR_MIN, Math.min(payout, FAIR_MAX));
+  const multiplier = Math.round(clamped * 100) / 100;
+
+  return {
+    multiplier,
+    steps: [
+      { step: 'hmac', description: 'HMAC-SHA256(key = server seed, message = client seed)', value: hmac },
+      { step: 'slice', description: `First ${HMAC_HEX_CHARS} hex chars (52 bits) of the HMAC`, value: slice },
+      { step: 'integer', description: 'Slice parsed as an integer', value: int },
+      { step: 'uniform', description: 'Integer divided by 2^52, giving a value in [0, 1)', value: uniform },
+      { step: 'payout', description: `(1 - ${FAIR_HOUSE_EDGE}) / (1 - uniform)`, value: payout },
+      { step: 'clamp', description: `Clamped to [${FAIR_MIN}, ${FAIR_MAX}]`, value: clamped },
+      { step: 'round', description: 'Rounded to 2 decimals', value: multiplier }
+    ]
+  };
+}
+
+module.exports = {
+  FAIR_MIN,
+  FAIR_MAX,
+  FAIR_HOUSE_EDGE,
+  COMMITMENT_PREFIX,
+  generateServerSeed,
+  hashSeed,
+  commitSeed,
+  buildSeedChain,
+  deriveFairMultiplier
+};
@@ -0,0 +1,268 @@
+// Multiplier generation pipeline.
+//
+// createGenerator() binds the pipeline to an RNG and a recent-multiplier
+// window. The window is mutated in place, so the caller can share one window
+// across batches while swapping the RNG for each batch. Relief adjustments
+// are reported through `log`, which offline runs can silence.
+//
+// generateCrashRound() also returns the audit trail of a round: the raw tier
+// draw and every adjustment rule that fired, with the value before and after.
+// Recording the trail never consumes RNG draws, so values are unchanged.
+
+const { createRng } = require('./rng');
+
+const RECENT_WINDOW_SIZE = 100;
+
+// Default bounds and probability tiers. A tier fires when the draw is below
+// its cumulative `below` probability and returns base + draw * spread.
+const DEFAULT_DISTRIBUTION = {
+  min: 1.01,
+  max: 50, // Reduced max for 50% house edge
+  // Enhanced distribution to prevent too many lows in a row
+  enhancedTiers: [
+    { below: 0.0002, base: 40, spread: 10 },   // 0.02% chance for 40x-50x
+    { below: 0.001, base: 25, spread: 15 },    // 0.08% chance for 25x-40x
+    { below: 0.005, base: 15, spread: 10 },    // 0.4% chance for 15x-25x
+    { below: 0.02, base: 8, spread: 7 },       // 1.5% chance for 8x-15x
+    { below: 0.08, base: 4, spread: 4 },       // 6% chance for 4x-8x
+    { below: 0.25, base: 2, spread: 2 },       // 17% chance for 2x-4x
+    { below: 0.55, base: 1.3, spread: 0.7 },   // 30% chance for 1.3x-2x
+    { below: 1, base: 1.01, spread: 0.29 }     // 45% chance for 1.01x-1.3x
+  ],
+  // Much rarer huge multipliers with 50% house edge
+  hugeTiers: [
+    { below: 0.0001, base: 30, spread: 20 },   // 0.01% chance for 30x-50x
+    { below: 0.0005, base: 20, spread: 10 },   // 0.04% chance for 20x-30x
+    { below: 0.002, base: 10, spread: 10 }     // 0.15% chance for 10x-20x
+  ]
+};
+
+function createGenerator({ rng, recentMultipliers = [], distribution = DEFAULT_DISTRIBUTION, log = console.log }) {
+  function generateRealisticMultiplier() {
+    const MIN = distribution.min;
+    const MAX = distribution.max;
+  
+    // Use 50% house edge formula
+    const HOUSE_EDGE = 0.50; // 50% house edge for maximum profitability
+    const payout = (1 - HOUSE_EDGE) / (1 - rng.next());
+  
+    // Clamp to reasonable range
+    const multiplier = Math.max(MIN, Math.min(payout, MAX));
+  
+    return Math.round(multiplier * 100) / 100;
+  }
+
+  // One draw picks the first tier whose cumulative probability exceeds it,
+  // a second draw places the value inside that tier's range
+  function pickTier(name, tiers) {
+    const r = rng.next();
+    for (let i = 0; i < tiers.length; i++) {
+      if (r < tiers[i].below) return { tier: `${name}[${i}]`, value: tiers[i].base + rng.next() * tiers[i].spread };
+    }
+    return null;
+  }
+
+  function generateEnhancedDistribution() {
+    return pickTier('enhancedTiers', distribution.enhancedTiers);
+  }
+
+  function maybeHugeMultiplier() {
+    return pickTier('hugeTiers', distribution.hugeTiers); // null falls back to base logic
+  }
+
+  // Round to cents, recording the step under `rule` when it changes the value
+  function roundCents(multiplier, adjust, rule) {
+    const rounded = Math.round(multiplier * 100) / 100;
+    return rounded === multiplier ? rounded : adjust(rule, multiplier, rounded);
+  }
+
+  function applyBiasCorrection(multiplier, adjust) {
+    // Enhanced bias correction to prevent rigged appearance
+    const recentCount = recentMultipliers.length;
+    if (recentCount < 10) {
+      // Need enough data first
+      recordRecentMultiplier(multiplier);
+      return roundCents(multiplier, adjust, 'relief.rounding');
+    }
+  
+    // Analyze recent patterns more intelligently
+    const last5 = recentMultipliers.slice(-5);
+    const last10 = recentMultipliers.slice(-10);
+    const last15 = recentMultipliers.slice(-15);
+  
+    // Check for consecutive low multipliers
+    const consecutiveLows = last5.filter(m => m <= 1.3).length;
+    const consecutiveVeryLows = last5.filter(m => m <= 1.1).length;
+    const consecutiveCrashes = last5.filter(m => m === 1.01).length;
+  
+    // Check for extended low periods
+    const lowCount10 = last10.filter(m => m <= 1.3).length;
+    const lowCount15 = last15.filter(m => m <= 1.3).length;
+  
+    // Progressive relief system
+    if (consecutiveCrashes >= 3) {
+      // 3 crashes in a row - guaranteed relief
+      multiplier = adjust('relief.progressive', multiplier, 2.5 + rng.next() * 3.5); // 2.5x-6x relief
+      log(`🎯 Progressive relief: ${consecutiveCrashes} consecutive crashes → ${multiplier.toFixed(2)}x`);
+    } else if (consecutiveVeryLows >= 4) {
+      // 4 very lows in a row - strong relief
+      multiplier = adjust('relief.strong', multiplier, 2 + rng.next() * 2); // 2x-4x relief
+      log(`📈 Strong relief: ${consecutiveVeryLows} consecutive very lows → ${multiplier.toFixed(2)}x`);
+    } else if (consecutiveLows >= 4) {
+      // 4 lows in a row - moderate relief
+      multiplier = adjust('relief.moderate', multiplier, 1.8 + rng.next() * 1.7); // 1.8x-3.5x relief
+      log(`📊 Moderate relief: ${consecutiveLows} consecutive lows → ${multiplier.toFixed(2)}x`);
+    } else if (lowCount10 >= 7) {
+      // 7+ lows in last 10 - small relief
+      multiplier = adjust('relief.small', multiplier, 1.5 + rng.next() * 1.5); // 1.5x-3x relief
+      log(`📊 Small relief: ${lowCount10}/10 lows → ${multiplier.toFixed(2)}x`);
+    } else if (lowCount15 >= 10 && multiplier < 1.5) {
+      // 10+ lows in last 15 - minimal relief
+      multiplier = adjust('relief.minimal', multiplier, 1.4 + rng.next() * 0.6); // 1.4x-2x relief
+      log(`📊 Minimal relief: ${lowCount15}/15 lows → ${multiplier.toFixed(2)}x`);
+    }
+  
+    // Add to recent history
+    recordRecentMultiplier(multiplier);
+
+    return roundCents(multiplier, adjust, 'relief.rounding');
+  }
+
+  // Keep the last RECENT_WINDOW_SIZE multipliers for bias correction and stats
+  function recordRecentMultiplier(multiplier) {
+    recentMultipliers.push(multiplier);
+    if (recentMultipliers.length > RECENT_WINDOW_SIZE) recentMultipliers.shift();
+  }
+
+  // Generate one round with its audit trail:
+  // { multiplier, rawMultiplier, rawTier, adjustments: [{ rule, before, after }] }
+  function generateCrashRound(round) {
+    const adjustments = [];
+    const adjust = (rule, before, after) => {
+      adjustments.push({ rule, before, after });
+      return after;
+    };
+  
+    // Add entropy to prevent patterns
+    const entropy = rng.next() * 0.1; // Small random factor
+  
+    // Try for huge multiplier first (much rarer)
+    let draw = maybeHugeMultiplier();
+  
+    if (!draw) {
+      // Use enhanced distribution for better variety
+      draw = generateEnhancedDistribution();
+    }
+    let multiplier = draw.value;
+  
+    // Add entropy to break patterns
+    multiplier = adjust('entropy', multiplier, multiplier + entropy);
+  
+    // Apply enhanced loss patterns
+    multiplier = applyEnhancedLossPatterns(multiplier, round, adjust);
+  
+    // Apply enhanced bias correction
+    multiplier = applyBiasCorrection(multiplier, adjust);
+  
+    // Ensure we don't get stuck on the same value by adding micro-variation
+    const microVariation = (rng.next() - 0.5) * 0.01; // ±0.005 variation
+    multiplier = adjust('micro_variation', multiplier, multiplier + microVariation);
+  
+    // Final rounding to prevent floating point issues
+    multiplier = roundCents(multiplier, adjust, 'rounding');
+
+    // Entropy and pattern breaking can push a top-tier draw past the spec.
+    // Only specs that declare clampMax are clamped, so older batches replay
+    // exactly.
+    if (distribution.clampMax) multiplier = clampToMax(multiplier, adjust);
+  
+    return { multiplier, rawMultiplier: draw.value, rawTier: draw.tier, adjustments };
+  }
+
+  function generateCrashMultiplier(round) {
+    return generateCrashRound(round).multiplier;
+  }
+
+  // Never let a pattern push the value below the spec minimum
+  function clampToMin(multiplier, adjust) {
+    return multiplier < distribution.min ? adjust('loss.min_clamp', multiplier, distribution.min) : multiplier;
+  }
+
+  // Never let the final value exceed the spec maximum
+  function clampToMax(multiplier, adjust) {
+    return multiplier > distribution.max ? adjust('max_clamp', multiplier, distribution.max) : multiplier;
+  }
+
+  function applyEnhancedLossPatterns(multiplier, round, adjust) {
+    const recentCount = recentMultipliers.length;
+  
+    if (recentCount < 8) {
+      // Not enough data yet, just add pattern breaking
+      const patternBreak = (rng.next() - 0.5) * 0.2;
+      return clampToMin(adjust('loss.pattern_break', multiplier, multiplier + patternBreak), adjust);
+    }
+  
+    // Enhanced pattern detection and prevention
+    const last8 = recentMultipliers.slice(-8);
+    const last12 = recentMultipliers.slice(-12);
+  
+    // Check for various problematic patterns
+    const consecutiveLows = last8.filter(m => m <= 1.3).length;
+    const consecutiveHighs = last12.filter(m => m >= 15).length;
+    const consecutiveCrashes = last8.filter(m => m === 1.01).length;
+  
+    // Progressive intervention system
+    if (consecutiveCrashes >= 2) {
+      // 2+ crashes in last 8 - force a decent multiplier
+      return adjust('loss.forced_after_crashes', multiplier, 2 + rng.next() * 3); // 2x-5x
+    } else if (consecutiveLows >= 6) {
+      // 6+ lows in last 8 - force a good multiplier
+      return adjust('loss.forced_after_lows', multiplier, 3 + rng.next() * 4); // 3x-7x
+    } else if (consecutiveHighs >= 3) {
+      // 3+ highs in last 12 - reduce temporarily
+      if (multiplier > 10) {
+        multiplier = adjust('loss.high_reduction', multiplier, multiplier * (0.3 + rng.next() * 0.4)); // Reduce by 30-70%
+      }
+    }
+  
+    // Add enhanced pattern breaking
+    const patternBreak = (rng.next() - 0.5) * 0.3; // ±0.15 variation
+    const microVariation = Math.sin(round * 0.1) * 0.05; // Subtle wave pattern
+    multiplier = adjust('loss.pattern_break', multiplier, multiplier + patternBreak + microVariation);
+  
+    return clampToMin(multiplier, adjust);
+  }
+
+  return {
+    rng,
+    recentMultipliers,
+    generateRealisticMultiplier,
+    generateCrashRound,
+    generateCrashMultiplier,
+    recordRecentMultiplier
+  };
+}
+
+// Regenerate a batch offline from its recorded RNG, seed, starting window and
+// distribution. Relief messages go to `log`, silent by default.
+function replayBatch({ rngName, rngSeed, startRound, count, recentWindow = [], distribution = DEFAULT_DISTRIBUTION, log = () => {} }) {
+  const generator = createGenerator({
+    rng: createRng(rngName, rngSeed),
+    recentMultipliers: recentWindow.slice(),
+    distribution,
+    log
+  });
+  const rounds = [];
+  for (let i = 0; i < count; i++) {
+    const round = startRound + i;
+    rounds.push({ round_number: round, multiplier: generator.generateCrashMultiplier(round) });
+  }
+  return rounds;
+}
+
+module.exports = {
+  RECENT_WINDOW_SIZE,
+  DEFAULT_DISTRIBUTION,
+  createGenerator,
+  replayBatch
+};
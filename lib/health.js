@@ -0,0 +1,52 @@
+// Readiness checks.
+//
+// Each check is an async function resolving to { status, ...details } where
+// status is 'pass', 'warn' or 'fail'. A check that throws or runs past the
+// timeout counts as 'fail'. The overall status is the worst of the checks:
+//   ok          every check passed                    -> 200
+//   degraded    some check warned, still serving      -> 207
+//   unavailable some check failed, take out of rotation -> 503
+
+const CHECK_STATUSES = ['pass', 'warn', 'fail'];
+const OVERALL_STATUS = { pass: 'ok', warn: 'degraded', fail: 'unavailable' };
+// Degraded is still a 2xx, so load balancers keep sending traffic, but
+// monitors can tell it apart from ok by the code alone
+const HTTP_STATUS = { ok: 200, degraded: 207, unavailable: 503 };
+
+function withTimeout(promise, timeoutMs) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${timeoutMs}ms`)), timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Run every check in parallel. Returns { status, httpStatus, checks }.
+async function runChecks(checks, { timeoutMs }) {
+  const names = Object.keys(checks);
+  const results = await Promise.all(names.map(async name => {
+    const started = Date.now();
+    try {
+      const result = await withTimeout(Promise.resolve().then(checks[name]), timeoutMs);
+      if (!CHECK_STATUSES.includes(result.status)) throw new Error(`Invalid check status "${result.status}"`);
+      return { ...result, durationMs: Date.now() - started };
+    } catch (error) {
+      return { status: 'fail', error: error.message, durationMs: Date.now() - started };
+    }
+  }));
+
+  const worst = CHECK_STATUSES.reduce((found, status) => (
+    results.some(result => result.status === status) ? status : found
+  ), 'pass');
+  const status = OVERALL_STATUS[worst];
+  const byName = {};
+  names.forEach((name, i) => {
+    byName[name] = results[i];
+  });
+  return { status, httpStatus: HTTP_STATUS[status], checks: byName };
+}
+
+module.exports = {
+  HTTP_STATUS,
+  runChecks
+};
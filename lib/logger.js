@@ -0,0 +1,84 @@
+const crypto = require('crypto');
+
+// Leveled logger. Every entry is one line: JSON by default, so logs can be
+// queried by field, or a readable `pretty` line for local runs.
+//
+//   log.info('Batch stored', { startRound: 1001, endRound: 1100 })
+//   -> {"time":"...","level":"info","msg":"Batch stored","startRound":1001,"endRound":1100}
+//
+// `level` may be a function so a config reload takes effect immediately.
+// child() returns a logger that adds its fields to every entry, which is how
+// request ids are attached.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const LOG_LEVELS = Object.keys(LEVELS);
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{1,128}$/;
+
+// Errors do not serialize to JSON on their own
+function serialize(value) {
+  if (value instanceof Error) return { message: value.message, stack: value.stack };
+  return value;
+}
+
+function formatPretty(entry) {
+  const { time, level, msg, ...fields } = entry;
+  const extra = Object.entries(fields)
+    .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+    .join(' ');
+  return `${time} ${level.toUpperCase().padEnd(5)} ${msg}${extra ? ` ${extra}` : ''}`;
+}
+
+function createLogger({ level = 'info', format = 'json', fields = {}, write = line => process.stdout.write(`${line}\n`) } = {}) {
+  const currentLevel = typeof level === 'function' ? level : () => level;
+  const currentFormat = typeof format === 'function' ? format : () => format;
+
+  function emit(entryLevel, msg, entryFields) {
+    if (LEVELS[entryLevel] < LEVELS[currentLevel()]) return;
+    const entry = { time: new Date().toISOString(), level: entryLevel, msg, ...fields };
+    for (const [key, value] of Object.entries(entryFields || {})) {
+      entry[key] = serialize(value);
+    }
+    write(currentFormat() === 'pretty' ? formatPretty(entry) : JSON.stringify(entry));
+  }
+
+  return {
+    debug: (msg, entryFields) => emit('debug', msg, entryFields),
+    info: (msg, entryFields) => emit('info', msg, entryFields),
+    warn: (msg, entryFields) => emit('warn', msg, entryFields),
+    error: (msg, entryFields) => emit('error', msg, entryFields),
+    isEnabled: entryLevel => LEVELS[entryLevel] >= LEVELS[currentLevel()],
+    child: childFields => createLogger({ level: currentLevel, format: currentFormat, fields: { ...fields, ...childFields }, write })
+  };
+}
+
+// Middleware: give every request an id (the caller's X-Request-Id when it is
+// sane, otherwise a new one), echo it back, attach `req.log` with the id, and
+// log the response when it finishes. `quietPaths` are logged at debug level
+// so health probes and scrapes do not flood the logs.
+function requestLogger(logger, { quietPaths = [] } = {}) {
+  return (req, res, next) => {
+    const incoming = req.headers['x-request-id'];
+    req.id = typeof incoming === 'string' && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    req.log = logger.child({ requestId: req.id });
+    res.setHeader('X-Request-Id', req.id);
+
+    const started = process.hrtime.bigint();
+    res.on('finish', () => {
+      const durationMs = Number(process.hrtime.bigint() - started) / 1e6;
+      const entryLevel = res.statusCode >= 500 ? 'warn' : quietPaths.includes(req.path) ? 'debug' : 'info';
+      req.log[entryLevel]('Request completed', {
+        method: req.method,
+        path: req.originalUrl.split('?')[0],
+        status: res.statusCode,
+        durationMs: Math.round(durationMs * 10) / 10
+      });
+    });
+    next();
+  };
+}
+
+module.exports = {
+  LOG_LEVELS,
+  createLogger,
+  requestLogger
+};
@@ -0,0 +1,141 @@
+// Prometheus metrics in the text exposition format (version 0.0.4).
+//
+// A registry holds counters, gauges and histograms and renders them all for
+// the /metrics endpoint. Metrics may have labels; a gauge may instead read
+// its value from a `collect` function at scrape time, returning a number or a
+// list of { labels, value }.
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function labelString(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+function createRegistry({ prefix = '' } = {}) {
+  const metrics = [];
+
+  function register(metric) {
+    metric.name = `${prefix}${metric.name}`;
+    if (metrics.some(m => m.name === metric.name)) throw new Error(`Metric ${metric.name} is already registered`);
+    metrics.push(metric);
+    return metric;
+  }
+
+  // Values kept per label set, keyed by the rendered labels
+  function createSeries() {
+    const series = new Map();
+    return {
+      get(labels, init) {
+        const key = labelString(labels);
+        if (!series.has(key)) series.set(key, { labels, value: init() });
+        return series.get(key);
+      },
+      entries: () => Array.from(series.values())
+    };
+  }
+
+  function counter(name, help) {
+    const series = createSeries();
+    const metric = register({
+      name,
+      help,
+      type: 'counter',
+      inc(amount = 1, labels = {}) {
+        if (amount < 0) throw new Error('Counters can only increase');
+        series.get(labels, () => 0).value += amount;
+      },
+      lines: () => {
+        const entries = series.entries();
+        if (entries.length === 0) return [`${metric.name} 0`];
+        return entries.map(entry => `${metric.name}${labelString(entry.labels)} ${formatValue(entry.value)}`);
+      }
+    });
+    return metric;
+  }
+
+  function gauge(name, help, { collect } = {}) {
+    const series = createSeries();
+    const metric = register({
+      name,
+      help,
+      type: 'gauge',
+      set(value, labels = {}) {
+        series.get(labels, () => 0).value = value;
+      },
+      lines: () => {
+        if (collect) {
+          const value = collect();
+          if (Array.isArray(value)) {
+            return value.map(entry => `${metric.name}${labelString(entry.labels)} ${formatValue(entry.value)}`);
+          }
+          return value === null || value === undefined ? [] : [`${metric.name} ${formatValue(value)}`];
+        }
+        return series.entries().map(entry => `${metric.name}${labelString(entry.labels)} ${formatValue(entry.value)}`);
+      }
+    });
+    return metric;
+  }
+
+  function histogram(name, help, { buckets }) {
+    const bounds = buckets.slice().sort((a, b) => a - b);
+    const series = createSeries();
+    const metric = register({
+      name,
+      help,
+      type: 'histogram',
+      observe(value, labels = {}) {
+        const entry = series.get(labels, () => ({ counts: bounds.map(() => 0), sum: 0, count: 0 }));
+        bounds.forEach((bound, i) => {
+          if (value <= bound) entry.value.counts[i]++;
+        });
+        entry.value.sum += value;
+        entry.value.count++;
+      },
+      lines: () => {
+        const entries = series.entries();
+        if (entries.length === 0) entries.push({ labels: {}, value: { counts: bounds.map(() => 0), sum: 0, count: 0 } });
+        const lines = [];
+        for (const { labels, value } of entries) {
+          bounds.forEach((bound, i) => {
+            lines.push(`${metric.name}_bucket${labelString({ ...labels, le: formatValue(bound) })} ${value.counts[i]}`);
+          });
+          lines.push(`${metric.name}_bucket${labelString({ ...labels, le: '+Inf' })} ${value.count}`);
+          lines.push(`${metric.name}_sum${labelString(labels)} ${formatValue(value.sum)}`);
+          lines.push(`${metric.name}_count${labelString(labels)} ${value.count}`);
+        }
+        return lines;
+      }
+    });
+    return metric;
+  }
+
+  // Every metric with its HELP and TYPE lines
+  function render() {
+    const lines = [];
+    for (const metric of metrics) {
+      lines.push(`# HELP ${metric.name} ${metric.help}`);
+      lines.push(`# TYPE ${metric.name} ${metric.type}`);
+      lines.push(...metric.lines());
+    }
+    return `${lines.join('\n')}\n`;
+  }
+
+  return { counter, gauge, histogram, render };
+}
+
+module.exports = {
+  CONTENT_TYPE,
+  createRegistry
+};
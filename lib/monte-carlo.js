@@ -0,0 +1,374 @@
+// Offline Monte Carlo runs of the multiplier pipeline.
+//
+// runSimulation() drives the real generator (or the provably-fair derivation)
+// for N rounds in memory, without a store or socket server, and reports the
+// resulting distribution, theoretical and empirical RTP, and the return of
+// common cash-out strategies. Run it from the command line to compare a
+// distribution change before deploying it:
+//
+//   node lib/monte-carlo.js --spec candidate.json --rounds 5000000 --format json
+
+const fs = require('fs');
+const { createGenerator } = require('./generator');
+const { DEFAULT_SPEC, loadDistributionSpec } = require('./distribution-spec');
+const { createRng } = require('./rng');
+const { FAIR_MIN, FAIR_MAX, FAIR_HOUSE_EDGE, hashSeed, generateServerSeed, deriveFairMultiplier } = require('./fairness');
+const { BUCKETS, DEFAULT_CASHOUT_TARGETS, percentile, createAdjustmentTally } = require('./stats');
+const { parseArgs } = require('./cli');
+
+const PERCENTILES = [1, 10, 25, 50, 75, 90, 95, 99, 99.9];
+const DEFAULT_STRATEGY_TARGET = 2;
+// Table limit: no strategy may stake more than this per round
+const MAX_STAKE = 1024;
+
+// Betting strategies replayed over the simulated rounds. Each one cashes out
+// at `target` and picks the next stake from the previous stake and outcome,
+// capped at MAX_STAKE.
+const STRATEGIES = {
+  flat: {
+    description: 'Stake 1 every round',
+    nextStake: () => 1
+  },
+  martingale: {
+    description: 'Double the stake after a loss, reset after a win or 10 straight losses',
+    nextStake: (stake, won, state) => {
+      state.losses = won ? 0 : (state.losses || 0) + 1;
+      if (won || state.losses >= 10) {
+        if (state.losses >= 10) state.resets = (state.resets || 0) + 1;
+        state.losses = 0;
+        return 1;
+      }
+      return stake * 2;
+    }
+  },
+  dalembert: {
+    description: 'Add 1 to the stake after a loss, remove 1 after a win',
+    nextStake: (stake, won) => Math.max(1, won ? stake - 1 : stake + 1)
+  },
+  paroli: {
+    description: 'Double the stake after a win, reset after a loss or 3 straight wins',
+    nextStake: (stake, won, state) => {
+      state.wins = won ? (state.wins || 0) + 1 : 0;
+      if (!won || state.wins >= 3) {
+        state.wins = 0;
+        return 1;
+      }
+      return stake * 2;
+    }
+  }
+};
+
+// Probability that a value drawn uniformly from [base, base + spread) reaches
+// the target
+function tierReaches(tier, target) {
+  if (tier.spread <= 0) return tier.base >= target ? 1 : 0;
+  return Math.min(1, Math.max(0, (tier.base + tier.spread - target) / tier.spread));
+}
+
+// RTP implied by the tier tables alone: the huge tiers are tried first, the
+// enhanced tiers otherwise. The entropy, loss-pattern and bias-correction
+// stages are not included, which is exactly the gap the empirical numbers show.
+function theoreticalTierRtp(distribution, targets) {
+  return targets.map((target) => {
+    let winRate = 0;
+    let previous = 0;
+    for (const tier of distribution.hugeTiers) {
+      winRate += (tier.below - previous) * tierReaches(tier, target);
+      previous = tier.below;
+    }
+    const noHuge = 1 - previous;
+    previous = 0;
+    for (const tier of distribution.enhancedTiers) {
+      winRate += noHuge * (tier.below - previous) * tierReaches(tier, target);
+      previous = tier.below;
+    }
+    return { target, winRate, rtp: winRate * target };
+  });
+}
+
+// Provably-fair RTP: P(payout >= t) = (1 - edge) / t, shifted by half a cent
+// for the final rounding and bounded by the clamp
+function theoreticalFairRtp(targets) {
+  return targets.map((target) => {
+    let winRate;
+    if (target <= FAIR_MIN) winRate = 1;
+    else if (target > FAIR_MAX) winRate = 0;
+    else winRate = Math.min(1, (1 - FAIR_HOUSE_EDGE) / (target - 0.005));
+    return { target, winRate, rtp: winRate * target };
+  });
+}
+
+function replayStrategy(name, multipliers, target) {
+  const strategy = STRATEGIES[name];
+  const state = {};
+  let stake = 1;
+  let wagered = 0;
+  let returned = 0;
+  let balance = 0;
+  let peak = 0;
+  let maxDrawdown = 0;
+  let maxStake = 1;
+
+  for (let i = 0; i < multipliers.length; i++) {
+    const won = multipliers[i] >= target;
+    wagered += stake;
+    balance -= stake;
+    if (won) {
+      returned += stake * target;
+      balance += stake * target;
+    }
+    if (balance > peak) peak = balance;
+    if (peak - balance > maxDrawdown) maxDrawdown = peak - balance;
+    stake = Math.min(strategy.nextStake(stake, won, state), MAX_STAKE);
+    if (stake > maxStake) maxStake = stake;
+  }
+
+  return {
+    strategy: name,
+    description: strategy.description,
+    target,
+    wagered,
+    returned,
+    returnRate: wagered > 0 ? returned / wagered : null,
+    netPerRound: multipliers.length > 0 ? balance / multipliers.length : null,
+    maxStake,
+    maxDrawdown,
+    ...(state.resets !== undefined ? { capResets: state.resets } : {})
+  };
+}
+
+// Build a next() function for one simulated round in the given mode. In
+// generator mode every round's adjustments go into `tally`.
+function createRoundSource({ mode, rngName, seed, distribution, clientSeed, tally }) {
+  if (mode === 'fair') {
+    // Server seeds derive from the run seed so a run can be repeated
+    const seedFor = seed === undefined || seed === null
+      ? () => generateServerSeed()
+      : (round) => hashSeed(`${seed}:${round}`);
+    return {
+      rng: null,
+      next: (round) => deriveFairMultiplier(seedFor(round), clientSeed).multiplier
+    };
+  }
+
+  const rng = createRng(rngName, seed === null ? undefined : seed);
+  const generator = createGenerator({ rng, recentMultipliers: [], distribution, log: () => {} });
+  return {
+    rng,
+    next: (round) => {
+      const generated = generator.generateCrashRound(round);
+      tally.add(generated.adjustments);
+      return generated.multiplier;
+    }
+  };
+}
+
+// Run `rounds` rounds and summarise them. Options mirror the CLI flags.
+function runSimulation({
+  rounds = 1000000,
+  mode = 'generator',
+  rng = 'crypto',
+  seed = null,
+  startRound = 1,
+  distribution = DEFAULT_SPEC,
+  clientSeed = 'monte-carlo',
+  cashoutTargets = DEFAULT_CASHOUT_TARGETS,
+  strategyTarget = DEFAULT_STRATEGY_TARGET,
+  strategies = Object.keys(STRATEGIES)
+} = {}) {
+  if (!Number.isInteger(rounds) || rounds < 1) throw new Error('rounds must be a positive integer');
+  if (mode !== 'generator' && mode !== 'fair') throw new Error(`Unknown mode: ${mode}`);
+  for (const name of strategies) {
+    if (!STRATEGIES[name]) throw new Error(`Unknown strategy: ${name}`);
+  }
+
+  const startedAt = Date.now();
+  const tally = createAdjustmentTally();
+  const source = createRoundSource({ mode, rngName: rng, seed, distribution, clientSeed, tally });
+  const multipliers = new Float64Array(rounds);
+  const bucketCounts = Object.fromEntries(BUCKETS.map(bucket => [bucket.name, 0]));
+  let sum = 0;
+
+  for (let i = 0; i < rounds; i++) {
+    const multiplier = source.next(startRound + i);
+    multipliers[i] = multiplier;
+    sum += multiplier;
+    const bucket = BUCKETS.find(b => b.test(multiplier));
+    if (bucket) bucketCounts[bucket.name]++;
+  }
+
+  const strategyResults = strategies.map(name => replayStrategy(name, multipliers, strategyTarget));
+  const empirical = cashoutTargets.map((target) => {
+    let wins = 0;
+    for (let i = 0; i < rounds; i++) {
+      if (multipliers[i] >= target) wins++;
+    }
+    return { target, winRate: wins / rounds, rtp: (wins / rounds) * target };
+  });
+
+  const sorted = multipliers.slice().sort();
+  const percentiles = {};
+  for (const p of PERCENTILES) percentiles[`p${p}`] = percentile(sorted, p);
+
+  return {
+    mode,
+    rounds,
+    rng: mode === 'fair' ? null : source.rng.name,
+    seed: mode === 'fair' ? seed : source.rng.seed,
+    spec: mode === 'fair' || !distribution.id ? null : `${distribution.id}@${distribution.version}`,
+    distribution: mode === 'fair' ? null : distribution,
+    durationMs: Date.now() - startedAt,
+    mean: sum / rounds,
+    min: sorted[0],
+    max: sorted[rounds - 1],
+    percentiles,
+    histogram: BUCKETS.map(bucket => ({
+      bucket: bucket.name,
+      range: bucket.label,
+      count: bucketCounts[bucket.name],
+      share: bucketCounts[bucket.name] / rounds
+    })),
+    rtp: {
+      nominalHouseEdge: FAIR_HOUSE_EDGE,
+      theoretical: mode === 'fair' ? theoreticalFairRtp(cashoutTargets) : theoreticalTierRtp(distribution, cashoutTargets),
+      empirical
+    },
+    strategies: strategyResults,
+    adjustments: mode === 'fair' ? null : tally.summary().rules
+  };
+}
+
+// Flatten a report into section,name,value rows
+function toCsv(report) {
+  const rows = [['section', 'name', 'value']];
+  for (const key of ['mode', 'spec', 'rounds', 'rng', 'seed', 'durationMs', 'mean', 'min', 'max']) {
+    rows.push(['summary', key, report[key]]);
+  }
+  for (const [name, value] of Object.entries(report.percentiles)) rows.push(['percentile', name, value]);
+  for (const entry of report.histogram) {
+    rows.push(['histogram', `${entry.bucket}.count`, entry.count]);
+    rows.push(['histogram', `${entry.bucket}.share`, entry.share]);
+  }
+  for (const kind of ['theoretical', 'empirical']) {
+    for (const entry of report.rtp[kind]) {
+      rows.push([`rtp.${kind}`, `${entry.target}x.winRate`, entry.winRate]);
+      rows.push([`rtp.${kind}`, `${entry.target}x.rtp`, entry.rtp]);
+    }
+  }
+  for (const result of report.strategies) {
+    for (const key of ['target', 'wagered', 'returned', 'returnRate', 'netPerRound', 'maxStake', 'maxDrawdown', 'capResets']) {
+      if (result[key] !== undefined) rows.push([`strategy.${result.strategy}`, key, result[key]]);
+    }
+  }
+  for (const entry of report.adjustments || []) {
+    rows.push(['adjustment', `${entry.rule}.rate`, entry.rate]);
+    rows.push(['adjustment', `${entry.rule}.meanChange`, entry.meanChange]);
+  }
+  return rows
+    .map(row => row.map(value => (value === null || value === undefined ? '' : String(value))).join(','))
+    .join('\n') + '\n';
+}
+
+function formatPercent(value) {
+  return `${(value * 100).toFixed(2)}%`;
+}
+
+function toText(report) {
+  const lines = [
+    `🎲 ${report.rounds} rounds in ${report.mode} mode${report.spec ? ` with spec ${report.spec}` : ''}${report.rng ? ` (${report.rng} RNG, seed ${report.seed})` : ''} in ${report.durationMs}ms`,
+    `📊 Mean ${report.mean.toFixed(4)}x, min ${report.min}x, max ${report.max}x`,
+    `📈 Percentiles: ${Object.entries(report.percentiles).map(([name, value]) => `${name}=${value}x`).join(' ')}`,
+    '📊 Distribution:'
+  ];
+  for (const entry of report.histogram) {
+    lines.push(`   ${entry.range.padEnd(10)} ${String(entry.count).padStart(10)} (${formatPercent(entry.share)})`);
+  }
+  lines.push(`💰 RTP by cash-out target (nominal house edge ${formatPercent(report.rtp.nominalHouseEdge)}):`);
+  report.rtp.empirical.forEach((entry, i) => {
+    const theoretical = report.rtp.theoretical[i];
+    lines.push(`   ${`${entry.target}x`.padEnd(6)} theoretical ${formatPercent(theoretical.rtp).padStart(8)}   empirical ${formatPercent(entry.rtp).padStart(8)}`);
+  });
+  lines.push('🧮 Strategies:');
+  for (const result of report.strategies) {
+    lines.push(`   ${result.strategy.padEnd(11)} @${result.target}x return ${formatPercent(result.returnRate).padStart(8)}, net/round ${result.netPerRound.toFixed(4)}, max drawdown ${result.maxDrawdown.toFixed(2)}`);
+  }
+  if (report.adjustments) {
+    lines.push('🔧 Adjustment rules:');
+    for (const entry of report.adjustments) {
+      lines.push(`   ${entry.rule.padEnd(26)} fired ${formatPercent(entry.rate).padStart(8)}, mean change ${entry.meanChange >= 0 ? '+' : ''}${entry.meanChange.toFixed(3)}x`);
+    }
+  }
+  return lines.join('\n') + '\n';
+}
+
+function parseNumberList(value, name) {
+  const numbers = String(value).split(',').map(Number);
+  if (numbers.some(n => !Number.isFinite(n) || n < 1)) throw new Error(`${name} must be comma-separated numbers >= 1`);
+  return numbers;
+}
+
+module.exports = {
+  STRATEGIES,
+  theoreticalTierRtp,
+  theoreticalFairRtp,
+  createRoundSource,
+  runSimulation,
+  toCsv,
+  toText
+};
+
+if (require.main === module) {
+  require('dotenv').config({ quiet: true });
+  const { loadConfig } = require('./config');
+
+  const USAGE = `Usage: node lib/monte-carlo.js [options]
+
+  --rounds <n>              rounds to simulate
+  --mode generator|fair     pipeline to run (default: the configured mode)
+  --rng <name>              RNG for generator mode (default: RNG)
+  --seed <seed>             RNG or server seed (default: RNG_SEED)
+  --spec <file>             distribution spec (default: DISTRIBUTION_SPEC)
+  --targets <list>          comma-separated cash-out targets for the RTP table
+  --strategy-target <x>     cash-out target of the betting strategies
+  --strategies <list>       comma-separated strategies (${Object.keys(STRATEGIES).join(', ')})
+  --format text|json|csv    report format (default: text)
+  --out <file>              write the report to a file instead of stdout
+  --help                    show this help
+`;
+
+  try {
+    const args = parseArgs(process.argv.slice(2));
+    if (args.help) {
+      process.stdout.write(USAGE);
+      process.exit(0);
+    }
+    const config = loadConfig();
+    const format = args.format || 'text';
+    if (!['text', 'json', 'csv'].includes(format)) throw new Error(`Unknown format: ${format}`);
+
+    const report = runSimulation({
+      rounds: args.rounds ? Number(args.rounds) : undefined,
+      mode: args.mode || (config.provablyFair ? 'fair' : 'generator'),
+      rng: args.rng || config.rng,
+      seed: args.seed !== undefined ? args.seed : config.rngSeed,
+      distribution: loadDistributionSpec(args.spec || config.distributionSpec),
+      clientSeed: config.fairClientSeed,
+      cashoutTargets: args.targets ? parseNumberList(args.targets, '--targets') : undefined,
+      strategyTarget: args['strategy-target'] ? parseNumberList(args['strategy-target'], '--strategy-target')[0] : undefined,
+      strategies: args.strategies ? args.strategies.split(',') : undefined
+    });
+
+    const output = format === 'json' ? JSON.stringify(report, null, 2) + '\n'
+      : format === 'csv' ? toCsv(report)
+        : toText(report);
+    if (args.out) {
+      fs.writeFileSync(args.out, output);
+      console.error(`💾 Report written to ${args.out}`);
+    } else {
+      process.stdout.write(output);
+    }
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,824 @@
+// OpenAPI contract for every route.
+//
+// OPERATIONS below is the single list of routes: buildSpec() turns it into
+// the OpenAPI 3.0 document served at /api/docs, and createContract() turns it
+// into validate(operationId) middleware that each route runs after its auth
+// and body parsing. Path and query parameters and JSON bodies are checked
+// against their schemas before the handler runs; invalid requests get a 400
+// with every problem listed in `details`. Responses sent with res.json() are
+// checked too, per VALIDATE_RESPONSES:
+//   off   no response checks
+//   warn  log responses that break the contract (default)
+//   fail  replace them with a 500, for tests
+//
+// Room operations are served twice: for the default room under /api, and for
+// every room under /api/rooms/{roomId}.
+
+const { validateSchema, coerceParameter } = require('./schema');
+const { ROUND_STATUSES } = require('./round-status');
+const { BET_STATUSES, PLAYER_ID_PATTERN } = require('./betting');
+const { ROLES } = require('./auth');
+
+const RESPONSE_MODES = ['off', 'warn', 'fail'];
+const ROOM_PREFIX = '/api/rooms/{roomId}';
+
+// Schema shorthands
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+// OpenAPI 3.0 ignores keywords next to a $ref, so a nullable reference wraps it
+const nullable = schema => (schema.$ref ? { nullable: true, allOf: [schema] } : { ...schema, nullable: true });
+const arrayOf = items => ({ type: 'array', items });
+const object = (properties, required = Object.keys(properties)) => ({ type: 'object', required, properties });
+const string = { type: 'string' };
+const integer = { type: 'integer' };
+const number = { type: 'number' };
+const boolean = { type: 'boolean' };
+const timestamp = { type: 'string', format: 'date-time' };
+const roundNumber = { type: 'integer', minimum: 0 };
+const limit = { type: 'integer', minimum: 1, maximum: 1000 };
+const player = { type: 'string', pattern: PLAYER_ID_PATTERN.source };
+const anyObject = { type: 'object' };
+
+const COMPONENTS = {
+  securitySchemes: {
+    apiKey: {
+      type: 'http',
+      scheme: 'bearer',
+      description: `An API key from API_KEYS, or INTERNAL_API_SECRET. Roles: ${ROLES.join(', ')}; each role can do everything the roles before it can.`
+    },
+    webhookSignature: {
+      type: 'apiKey',
+      in: 'header',
+      name: 'X-Webhook-Signature',
+      description: 'sha256=HMAC-SHA256(WEBHOOK_SECRET, `${X-Webhook-Timestamp}.${rawBody}`), see lib/webhook.js'
+    }
+  },
+  schemas: {
+    Error: {
+      type: 'object',
+      required: ['error'],
+      properties: { error: string, message: string, details: arrayOf(string) }
+    },
+    AdminError: {
+      type: 'object',
+      required: ['success'],
+      properties: { success: { type: 'boolean', enum: [false] }, error: string, message: string, details: arrayOf(string) }
+    },
+    RoundMultiplier: object({ round_number: integer, multiplier: nullable(number) }),
+    RoundRange: object({ startRound: integer, endRound: integer }),
+    Bet: object({
+      id: integer,
+      player: string,
+      round_number: integer,
+      stake: integer,
+      auto_cashout: nullable(number),
+      manual_cashout: nullable(number),
+      cashout_multiplier: nullable(number),
+      status: { type: 'string', enum: BET_STATUSES },
+      payout: nullable(integer),
+      placed_at: timestamp,
+      settled_at: nullable(timestamp)
+    }, ['id', 'player', 'round_number', 'stake', 'status']),
+    LedgerEntry: object({
+      id: integer,
+      player: string,
+      amount: integer,
+      kind: { type: 'string', enum: ['deposit', 'stake', 'payout', 'refund'] },
+      balance_after: integer,
+      room_id: nullable(string),
+      bet_id: nullable(integer),
+      reference: nullable(string),
+      created_at: timestamp
+    }, ['id', 'player', 'amount', 'kind', 'balance_after']),
+    LedgerTotals: object({ deposit: integer, stake: integer, payout: integer, refund: integer }),
+    OutboxEntry: object({
+      id: integer,
+      sink: string,
+      start_round: integer,
+      end_round: integer,
+      status: { type: 'string', enum: ['pending', 'delivered', 'cancelled'] },
+      attempts: integer,
+      last_error: nullable(string),
+      next_attempt_at: nullable(timestamp),
+      delivered_at: nullable(timestamp)
+    }, ['id', 'start_round', 'end_round', 'status', 'attempts']),
+    AuditEntry: object({
+      id: integer,
+      actor: string,
+      role: nullable(string),
+      action: string,
+      success: boolean,
+      room_id: nullable(string),
+      start_round: nullable(integer),
+      end_round: nullable(integer),
+      details: nullable(anyObject),
+      created_at: timestamp
+    }, ['id', 'actor', 'action', 'success', 'created_at']),
+    DistributionSpecRef: object({ id: string, version: integer }),
+    CertificationReport: object({
+      certified: boolean,
+      rounds: integer,
+      model: string,
+      alpha: number,
+      failed: arrayOf(string),
+      tests: arrayOf(object({ test: string, pValue: nullable(number), passed: boolean }, ['test', 'passed'])),
+      source: anyObject,
+      generatedAt: timestamp
+    }, ['certified', 'rounds', 'model', 'alpha', 'failed', 'tests']),
+    ConsistencyReport: object({
+      from: nullable(integer),
+      to: nullable(integer),
+      rows: integer,
+      gaps: arrayOf(object({ from: integer, to: integer })),
+      missingRounds: integer,
+      duplicates: arrayOf(anyObject),
+      duplicateRows: integer,
+      outOfBounds: arrayOf(anyObject),
+      truncated: boolean,
+      ok: boolean,
+      scannedAt: timestamp
+    }, ['rows', 'gaps', 'missingRounds', 'duplicates', 'outOfBounds', 'ok'])
+  }
+};
+
+// A route parameter or filter. `schema` may carry a description.
+const param = (schema, description, required = false) => ({ schema, description, required });
+
+const OPERATIONS = [
+  // Service
+  {
+    id: 'getService', method: 'get', path: '/', tag: 'Service',
+    summary: 'Uptime probe with the default room\'s round state',
+    responses: {
+      200: object({
+        status: string, service: string, timestamp, currentRound: integer, batchSize: integer,
+        queueCheckInterval: integer, queueThreshold: integer, isGenerating: boolean, rooms: arrayOf(string)
+      })
+    }
+  },
+  {
+    id: 'ping', method: 'get', path: '/ping', tag: 'Service',
+    summary: 'Plain-text liveness probe',
+    responses: { 200: { description: 'pong', text: true } }
+  },
+  {
+    id: 'getHealth', method: 'get', path: '/health', tag: 'Service',
+    summary: 'Health summary; viewers also see the socket server URL',
+    responses: {
+      200: object({
+        status: string, service: string, timestamp, currentRound: integer, batchSize: integer,
+        queueCheckInterval: integer, queueThreshold: integer, isGenerating: boolean,
+        lastQueueCheck: nullable(timestamp), rooms: arrayOf(string), socketServerUrl: string
+      }, ['status', 'service', 'timestamp', 'currentRound', 'rooms'])
+    }
+  },
+  {
+    id: 'getLiveness', method: 'get', path: '/health/live', tag: 'Service',
+    summary: 'Liveness: the process is serving requests',
+    responses: { 200: object({ status: string, uptimeMs: integer, timestamp }) }
+  },
+  {
+    id: 'getReadiness', method: 'get', path: '/health/ready', tag: 'Service',
+    summary: 'Readiness, per dependency: 200 ok, 207 degraded, 503 unavailable',
+    responses: Object.fromEntries([200, 207, 503].map(status => [status, object({
+      status: { type: 'string', enum: ['ok', 'degraded', 'unavailable'] },
+      timestamp,
+      shuttingDown: boolean,
+      checks: { type: 'object', additionalProperties: object({ status: { type: 'string', enum: ['pass', 'warn', 'fail'] } }) }
+    }, ['status', 'timestamp', 'checks'])]))
+  },
+  {
+    id: 'getMetrics', method: 'get', path: '/metrics', tag: 'Service', auth: 'viewer',
+    summary: 'Prometheus metrics',
+    responses: { 200: { description: 'Prometheus text exposition format', text: true } }
+  },
+  {
+    id: 'getApiDocs', method: 'get', path: '/api/docs', tag: 'Service',
+    summary: 'This OpenAPI document',
+    responses: { 200: object({ openapi: string, info: anyObject, paths: anyObject }) }
+  },
+  {
+    id: 'listRooms', method: 'get', path: '/api/rooms', tag: 'Service',
+    summary: 'Every room with its round state; viewers also see socket server URLs',
+    responses: {
+      200: object({
+        rooms: arrayOf(object({
+          id: string, currentRound: integer, nextRoundToGenerate: integer, isGenerating: boolean,
+          batchSize: integer, queueThreshold: integer, provablyFair: boolean,
+          distributionSpec: ref('DistributionSpecRef'), socketServerUrl: string
+        }, ['id', 'currentRound', 'nextRoundToGenerate', 'isGenerating', 'provablyFair', 'distributionSpec']))
+      })
+    }
+  },
+
+  // Configuration and audit
+  {
+    id: 'getConfig', method: 'get', path: '/api/admin/config', tag: 'Admin', auth: 'viewer',
+    summary: 'Effective configuration, secrets redacted',
+    responses: { 200: object({ success: boolean, values: anyObject, reloadable: arrayOf(string) }) }
+  },
+  {
+    id: 'reloadConfig', method: 'post', path: '/api/admin/config/reload', tag: 'Admin', auth: 'operator',
+    summary: 'Re-read the config file and env and apply the reloadable keys',
+    responses: {
+      200: object({ success: boolean, changed: arrayOf(string), requiresRestart: arrayOf(string), values: anyObject, reloadable: arrayOf(string) }),
+      400: 'The new configuration is invalid'
+    }
+  },
+  {
+    id: 'listAuditEntries', method: 'get', path: '/api/admin/audit', tag: 'Admin', auth: 'viewer',
+    summary: 'Audit log, newest first',
+    query: {
+      actor: param(string, 'Key name'),
+      action: param(string, 'e.g. generation.force'),
+      room: param(string, 'Room id'),
+      since: param(timestamp),
+      until: param(timestamp),
+      limit: param(limit, 'Default 100')
+    },
+    responses: { 200: object({ success: boolean, entries: arrayOf(ref('AuditEntry')) }) }
+  },
+
+  // Players (balances are shared by every room)
+  {
+    id: 'depositFunds', method: 'post', path: '/api/admin/players/{player}/deposits', tag: 'Bets', auth: 'operator',
+    summary: 'Credit a player\'s balance, in minor units',
+    params: { player },
+    body: object({ amount: { type: 'integer', minimum: 1 }, reference: nullable(string) }, ['amount']),
+    responses: { 201: object({ success: boolean, entry: ref('LedgerEntry'), balance: integer }) }
+  },
+  {
+    id: 'getPlayer', method: 'get', path: '/api/admin/players/{player}', tag: 'Bets', auth: 'viewer',
+    summary: 'A player\'s balance, ledger totals and latest ledger entries',
+    params: { player },
+    query: { limit: param(limit, 'Ledger entries, default 100') },
+    responses: {
+      200: object({ success: boolean, player: string, balance: integer, totals: ref('LedgerTotals'), entries: arrayOf(ref('LedgerEntry')) })
+    }
+  },
+
+  // Rounds (room operations)
+  {
+    id: 'getMultiplier', room: true, method: 'get', path: '/multiplier/{round}', tag: 'Rounds', embargo: true,
+    summary: 'A played round\'s multiplier',
+    params: { round: roundNumber },
+    responses: {
+      200: ref('RoundMultiplier'),
+      403: object({ error: string, round_number: integer, lastPlayedRound: integer }),
+      404: 'Round not found'
+    }
+  },
+  {
+    id: 'listMultipliers', room: true, method: 'get', path: '/multipliers', tag: 'Rounds', embargo: true,
+    summary: 'Played rounds from-to, up to RANGE_MAX_ROUNDS of them',
+    query: { from: param(roundNumber, null, true), to: param(roundNumber, null, true) },
+    responses: {
+      200: arrayOf(ref('RoundMultiplier')),
+      403: object({ error: string, from: integer, to: integer, lastPlayedRound: integer })
+    }
+  },
+  {
+    id: 'getCurrentRound', room: true, method: 'get', path: '/current', tag: 'Rounds', embargo: true,
+    summary: 'The round in play (multiplier hidden) and the last played round',
+    responses: {
+      200: object({
+        round_number: integer,
+        status: nullable(string),
+        gamePhase: nullable(string),
+        multiplier: nullable(number),
+        server_seed_hash: nullable(string),
+        client_seed: nullable(string),
+        created_at: nullable(timestamp),
+        previous: nullable(anyObject)
+      }, ['round_number', 'status', 'multiplier', 'previous']),
+      404: 'No rounds stored'
+    }
+  },
+  {
+    id: 'getRoundCounter', room: true, method: 'get', path: '/current-round', tag: 'Rounds',
+    summary: 'The generator\'s round counters and server time',
+    responses: { 200: object({ currentRound: integer, nextRoundToGenerate: integer, now: integer }) }
+  },
+  {
+    id: 'listUpcomingMultipliers', room: true, method: 'get', path: '/internal/multipliers', tag: 'Rounds', auth: 'operator',
+    summary: 'Any stored rounds from-to, including unplayed ones, up to RANGE_MAX_ROUNDS',
+    query: { from: param(roundNumber, null, true), to: param(roundNumber, null, true) },
+    responses: { 200: arrayOf(object({ round_number: integer, multiplier: nullable(number), server_seed_hash: nullable(string) }, ['round_number'])) }
+  },
+  {
+    id: 'listCommitments', room: true, method: 'get', path: '/commitments', tag: 'Provably fair',
+    summary: 'Server seed commitments from-to, up to RANGE_MAX_ROUNDS',
+    query: { from: param(roundNumber, null, true), to: param(roundNumber, null, true) },
+    responses: { 200: arrayOf(object({ round_number: integer, server_seed_hash: string, client_seed: nullable(string) }, ['round_number', 'server_seed_hash'])) }
+  },
+  {
+    id: 'verifyRound', room: true, method: 'get', path: '/verify/{round}', tag: 'Provably fair', embargo: true,
+    summary: 'Reveal a played round\'s server seed and derive its multiplier',
+    params: { round: roundNumber },
+    responses: {
+      200: object({
+        round_number: integer,
+        revealed: boolean,
+        server_seed: string,
+        server_seed_hash: string,
+        client_seed: nullable(string),
+        multiplier: number,
+        derivation: arrayOf(anyObject),
+        verified: boolean
+      }, ['round_number', 'revealed', 'server_seed_hash']),
+      404: 'Round not found, or not provably fair'
+    }
+  },
+  {
+    id: 'replayBatch', room: true, method: 'get', path: '/internal/batches/{startRound}/replay', tag: 'Rounds', auth: 'operator',
+    summary: 'Regenerate a recorded batch and compare it with the stored rounds',
+    params: { startRound: roundNumber },
+    responses: {
+      200: object({
+        start_round: integer,
+        end_round: integer,
+        rng: string,
+        matches: boolean,
+        mismatches: arrayOf(object({ round_number: integer, replayed: number, stored: nullable(number) }))
+      }),
+      404: 'Batch not found'
+    }
+  },
+  {
+    id: 'getRoundAudit', room: true, method: 'get', path: '/rounds/{round}/audit', tag: 'Rounds', auth: 'viewer', embargo: true,
+    summary: 'How a round\'s value was reached; operators may audit unplayed rounds',
+    params: { round: roundNumber },
+    responses: {
+      200: object({
+        success: boolean,
+        round_number: integer,
+        multiplier: number,
+        provablyFair: boolean,
+        verify: string,
+        distributionSpec: anyObject,
+        generatedAt: nullable(timestamp),
+        raw: anyObject,
+        adjustments: arrayOf(anyObject)
+      }, ['success', 'round_number', 'multiplier']),
+      403: 'Round has not been played yet',
+      404: 'Round not found, or generated before adjustments were recorded'
+    }
+  },
+  {
+    id: 'getStats', room: true, method: 'get', path: '/stats', tag: 'Rounds', embargo: true,
+    summary: 'Distribution statistics over played rounds from-to or since-until (the last 1000 by default)',
+    query: {
+      from: param(roundNumber),
+      to: param(roundNumber),
+      since: param(timestamp),
+      until: param(timestamp),
+      targets: param({ type: 'string', pattern: '^[0-9.]+(,[0-9.]+)*$' }, 'Comma-separated cash-out targets')
+    },
+    responses: {
+      200: object({
+        lastPlayedRound: integer,
+        computedAt: timestamp,
+        count: integer,
+        mean: nullable(number),
+        min: nullable(number),
+        max: nullable(number),
+        histogram: arrayOf(anyObject),
+        cached: boolean
+      }, ['lastPlayedRound', 'computedAt', 'count', 'histogram', 'cached'])
+    }
+  },
+
+  // Generation
+  {
+    id: 'triggerGeneration', room: true, method: 'post', path: '/trigger-generation', tag: 'Generation', auth: 'operator',
+    summary: 'Check the socket queue now and generate if it is low',
+    responses: {
+      200: object({ success: boolean, message: string, generated: nullable(ref('RoundRange')), isGenerating: boolean, lastQueueCheck: nullable(timestamp) })
+    }
+  },
+  {
+    id: 'forceGeneration', room: true, method: 'post', path: '/force-generation', tag: 'Generation', auth: 'operator',
+    summary: 'Generate a batch regardless of the socket queue',
+    responses: {
+      200: object({ success: boolean, message: string, generated: ref('RoundRange'), currentRound: integer }),
+      400: 'Already generating',
+      409: 'This instance is not the generator leader'
+    }
+  },
+  {
+    id: 'getQueueStatus', room: true, method: 'get', path: '/queue-status', tag: 'Generation', auth: 'viewer',
+    summary: 'Generator state next to the socket server\'s queue',
+    responses: { 200: object({ success: boolean, backend: anyObject, socket: anyObject }) }
+  },
+  {
+    id: 'getGeneratorWindow', room: true, method: 'get', path: '/admin/generator/window', tag: 'Generation', auth: 'operator',
+    summary: 'The generator\'s recent-multiplier window and where it was restored from',
+    responses: {
+      200: object({
+        success: boolean,
+        isLeader: boolean,
+        nextRoundToGenerate: integer,
+        capacity: integer,
+        size: integer,
+        restoredFrom: object({ source: nullable(string), throughRound: nullable(integer), restoredAt: nullable(timestamp) }),
+        histogram: anyObject,
+        window: arrayOf(number)
+      })
+    }
+  },
+  {
+    id: 'listDistributionSpecs', room: true, method: 'get', path: '/admin/distribution-specs', tag: 'Generation', auth: 'viewer',
+    summary: 'The active distribution spec and every spec that generated rounds',
+    responses: { 200: object({ success: boolean, active: anyObject, specs: arrayOf(anyObject) }) }
+  },
+  {
+    id: 'getAdjustments', room: true, method: 'get', path: '/admin/adjustments', tag: 'Generation', auth: 'viewer', embargo: true,
+    summary: 'How often each adjustment rule fired over from-to (the last 1000 rounds by default). Viewers only see played rounds.',
+    query: { from: param(roundNumber), to: param(roundNumber) },
+    responses: { 200: object({ success: boolean, from: integer, to: integer, rules: arrayOf(anyObject) }, ['success', 'from', 'to']) }
+  },
+  {
+    id: 'getCertification', room: true, method: 'get', path: '/admin/certification', tag: 'Generation', auth: 'viewer', embargo: true,
+    summary: 'Randomness certification over played rounds from-to (the last 10000 by default)',
+    query: {
+      from: param(roundNumber),
+      to: param(roundNumber),
+      alpha: param({ type: 'number', minimum: 0, maximum: 1 }, 'Significance level, default 0.01'),
+      maxLag: param({ type: 'integer', minimum: 1, maximum: 100 }, 'Autocorrelation lags, default 10')
+    },
+    responses: { 200: object({ success: boolean, report: ref('CertificationReport') }) }
+  },
+
+  // Delivery
+  {
+    id: 'listOutbox', room: true, method: 'get', path: '/admin/outbox', tag: 'Delivery', auth: 'viewer',
+    summary: 'Outbox entries, pending ones by default',
+    query: {
+      status: param({ type: 'string', enum: ['pending', 'delivered', 'all'] }),
+      sink: param(string, 'Only this publishing sink\'s entries')
+    },
+    responses: {
+      200: object({ success: boolean, entries: arrayOf({ ...ref('OutboxEntry'), description: 'With `rounds`, the batch size' }) })
+    }
+  },
+  {
+    id: 'replayOutbox', room: true, method: 'post', path: '/admin/outbox/replay', tag: 'Delivery', auth: 'operator',
+    summary: 'Retry every pending batch now, ignoring backoff',
+    responses: {
+      200: object({ success: boolean, delivered: integer, pending: integer }),
+      409: 'Outbox delivery already in progress'
+    }
+  },
+  {
+    id: 'replayOutboxEntry', room: true, method: 'post', path: '/admin/outbox/{id}/replay', tag: 'Delivery', auth: 'operator',
+    summary: 'Retry one pending batch now',
+    params: { id: { type: 'integer', minimum: 1 } },
+    responses: {
+      200: object({ success: boolean, entry: ref('OutboxEntry') }),
+      404: 'Outbox entry not found',
+      409: 'The entry is not pending, or its sink is no longer configured',
+      502: object({ success: boolean, entry: ref('OutboxEntry') })
+    }
+  },
+  {
+    id: 'listSinks', room: true, method: 'get', path: '/admin/sinks', tag: 'Delivery', auth: 'viewer',
+    summary: 'Publishing sinks with their delivery backlog',
+    responses: {
+      200: object({
+        success: boolean,
+        sinks: arrayOf(object({
+          name: string,
+          type: { type: 'string', enum: ['http', 'file', 'redis'] },
+          primary: boolean,
+          pending: integer,
+          oldestPending: nullable(object({
+            id: integer, startRound: integer, attempts: integer, lastError: nullable(string), createdAt: nullable(timestamp)
+          }, ['id', 'startRound', 'attempts']))
+        }))
+      })
+    }
+  },
+
+  // Webhooks from the socket server
+  {
+    id: 'queueLowWebhook', room: true, method: 'post', path: '/webhooks/queue-low', tag: 'Webhooks', auth: 'webhook',
+    summary: 'The socket server\'s queue reached its low-water mark',
+    body: object({ queueSize: { type: 'integer', minimum: 0 }, currentRound: nullable(integer) }, ['queueSize']),
+    responses: {
+      200: object({ success: boolean, generated: nullable(ref('RoundRange')) }),
+      202: object({ success: boolean, generated: nullable(ref('RoundRange')), message: string }),
+      409: 'This instance is not the generator leader'
+    }
+  },
+  {
+    id: 'roundStatusWebhook', room: true, method: 'post', path: '/webhooks/round-status', tag: 'Webhooks', auth: 'webhook',
+    summary: 'A round started playing or completed',
+    body: object({ round: integer, status: { type: 'string', enum: ['in_play', 'completed'] } }),
+    responses: { 200: object({ success: boolean }) }
+  },
+
+  // Round lifecycle and consistency
+  {
+    id: 'listRoundsByStatus', room: true, method: 'get', path: '/admin/rounds', tag: 'Rounds', auth: 'viewer',
+    summary: 'Rounds in one status, oldest first, with the count in every status',
+    query: {
+      status: param({ type: 'string', enum: ROUND_STATUSES }, 'Default delivered'),
+      limit: param(limit, 'Default 100'),
+      stuckFor: param({ type: 'integer', minimum: 0 }, 'Only rounds unchanged for this many ms')
+    },
+    responses: { 200: object({ success: boolean, status: string, counts: anyObject, rounds: arrayOf(anyObject) }) }
+  },
+  {
+    id: 'voidRounds', room: true, method: 'post', path: '/admin/rounds/void', tag: 'Rounds', auth: 'operator',
+    summary: 'Void rounds the socket server has not reached or never acknowledged; their bets are refunded',
+    body: object({ from: roundNumber, to: roundNumber, reason: { type: 'string', minLength: 1 } }, ['from', 'reason']),
+    responses: {
+      200: object({ success: boolean, voided: integer, cancelledDeliveries: integer, refundedBets: integer }),
+      409: 'The socket server may already have played these rounds',
+      503: 'The socket server could not confirm which rounds were played'
+    }
+  },
+  {
+    id: 'scanConsistency', room: true, method: 'get', path: '/admin/consistency', tag: 'Rounds', auth: 'viewer',
+    summary: 'Gaps, duplicates and out-of-bounds multipliers across the round table',
+    query: { from: param({ type: 'integer', minimum: 1 }), to: param({ type: 'integer', minimum: 1 }) },
+    responses: { 200: object({ success: boolean, report: ref('ConsistencyReport') }) }
+  },
+  {
+    id: 'repairConsistency', room: true, method: 'post', path: '/admin/consistency/repair', tag: 'Rounds', auth: 'operator',
+    summary: 'Fill the gaps found by a fresh scan; a dry run unless dryRun is false',
+    body: object({
+      mode: { type: 'string', enum: ['void', 'backfill'] },
+      reason: string,
+      from: { type: 'integer', minimum: 1 },
+      to: { type: 'integer', minimum: 1 },
+      dryRun: boolean
+    }, ['mode']),
+    responses: {
+      200: object({ success: boolean, report: ref('ConsistencyReport'), repair: anyObject }),
+      409: 'Generation is in progress, or this instance is not the generator leader',
+      503: 'The socket server could not confirm which rounds were played'
+    }
+  },
+
+  // Bets
+  {
+    id: 'placeBet', room: true, method: 'post', path: '/bets', tag: 'Bets', auth: 'operator', embargo: true,
+    summary: 'Bet on an upcoming round; the stake is debited at once',
+    body: object({
+      player,
+      round: roundNumber,
+      stake: { type: 'integer', minimum: 1 },
+      autoCashout: nullable({ type: 'number', minimum: 1.01 })
+    }, ['player', 'round', 'stake']),
+    responses: {
+      201: object({ success: boolean, bet: ref('Bet'), balance: integer }),
+      404: 'Round not found',
+      409: 'The round is closed for bets, or the balance is too low'
+    }
+  },
+  {
+    id: 'listBets', room: true, method: 'get', path: '/bets', tag: 'Bets', auth: 'viewer',
+    summary: 'Bets by round, player and status, oldest first',
+    query: {
+      round: param(roundNumber),
+      player: param(player),
+      status: param({ type: 'string', enum: BET_STATUSES }),
+      limit: param(limit, 'Default 100')
+    },
+    responses: { 200: object({ success: boolean, bets: arrayOf(ref('Bet')) }) }
+  },
+  {
+    id: 'getBet', room: true, method: 'get', path: '/bets/{id}', tag: 'Bets', auth: 'viewer',
+    summary: 'One bet',
+    params: { id: { type: 'integer', minimum: 1 } },
+    responses: { 200: object({ success: boolean, bet: ref('Bet') }), 404: 'Bet not found' }
+  },
+  {
+    id: 'cashOutBet', room: true, method: 'post', path: '/bets/{id}/cashout', tag: 'Bets', auth: 'operator', embargo: true,
+    summary: 'Record a manual cash-out while the bet\'s round is in play',
+    params: { id: { type: 'integer', minimum: 1 } },
+    body: object({ multiplier: { type: 'number', minimum: 1.01 } }),
+    responses: {
+      200: object({ success: boolean, bet: ref('Bet') }),
+      404: 'Bet not found',
+      409: 'The round is not in play, or the bet is settled'
+    }
+  },
+  {
+    id: 'settleBets', room: true, method: 'post', path: '/admin/bets/settle', tag: 'Bets', auth: 'operator',
+    summary: 'Settle every bet whose round completed or was voided',
+    responses: { 200: object({ success: boolean, settled: integer }), 409: 'Settlement already in progress' }
+  },
+  {
+    id: 'getRoundReport', room: true, method: 'get', path: '/admin/reports/rounds/{round}', tag: 'Bets', auth: 'viewer',
+    summary: 'Reconciliation report for one round\'s bets',
+    params: { round: roundNumber },
+    responses: {
+      200: object({
+        success: boolean,
+        report: object({ round_number: integer, roundStatus: nullable(string), multiplier: nullable(number), settled: boolean, houseNet: integer }, ['round_number', 'settled'])
+      })
+    }
+  },
+  {
+    id: 'getPlayerReport', room: true, method: 'get', path: '/admin/reports/players/{player}', tag: 'Bets', auth: 'viewer',
+    summary: 'Reconciliation report for one player\'s bets in the room',
+    params: { player },
+    responses: {
+      200: object({
+        success: boolean,
+        report: object({ player: string, net: integer, balance: integer, ledger: ref('LedgerTotals'), consistent: boolean })
+      })
+    }
+  }
+];
+
+const OPERATIONS_BY_ID = new Map(OPERATIONS.map(operation => [operation.id, operation]));
+
+// Public routes answer errors with { error }, authenticated ones with
+// { success: false, error }
+function errorSchema(operation) {
+  return ref(operation.auth ? 'AdminError' : 'Error');
+}
+
+// Every documented response of an operation as { status: { description, schema, text } },
+// including the ones its middleware can send
+function operationResponses(operation) {
+  const responses = {};
+  const error = (status, description) => {
+    if (!responses[status]) responses[status] = { description, schema: errorSchema(operation) };
+  };
+
+  for (const [status, response] of Object.entries(operation.responses)) {
+    if (typeof response === 'string') {
+      responses[status] = { description: response, schema: errorSchema(operation) };
+    } else if (response.text) {
+      responses[status] = { description: response.description, text: true };
+    } else {
+      responses[status] = { description: status < 300 ? 'Success' : 'Error', schema: response };
+    }
+  }
+  if (operation.params || operation.query || operation.body) error(400, 'Invalid request');
+  if (operation.auth === 'webhook') {
+    error(401, 'Missing, stale or invalid webhook signature');
+    error(503, 'WEBHOOK_SECRET is not configured');
+  } else if (operation.auth) {
+    error(401, 'Missing or unknown API key');
+    error(403, `Requires the ${operation.auth} role`);
+  }
+  if (operation.embargo) error(503, 'The socket server could not say which rounds were played');
+  error(500, 'Unexpected error');
+  return responses;
+}
+
+function toOpenApiOperation(operation, { inRoom = false, roomIds = [] } = {}) {
+  const parameters = [];
+  if (inRoom) {
+    parameters.push({ name: 'roomId', in: 'path', required: true, schema: { type: 'string', enum: roomIds } });
+  }
+  for (const [name, schema] of Object.entries(operation.params || {})) {
+    parameters.push({ name, in: 'path', required: true, schema });
+  }
+  for (const [name, { schema, description, required }] of Object.entries(operation.query || {})) {
+    parameters.push({ name, in: 'query', required, schema, ...(description ? { description } : {}) });
+  }
+
+  const responses = {};
+  for (const [status, response] of Object.entries(operationResponses(operation))) {
+    const schema = inRoom && status === '404' && response.schema
+      ? { anyOf: [ref('Error'), response.schema] } // unknown room
+      : response.schema;
+    responses[status] = {
+      description: response.description,
+      content: response.text ? { 'text/plain': { schema: string } } : { 'application/json': { schema } }
+    };
+  }
+  if (inRoom && !responses[404]) {
+    responses[404] = { description: 'Unknown room', content: { 'application/json': { schema: ref('Error') } } };
+  }
+
+  let security = [];
+  if (operation.auth === 'webhook') security = [{ webhookSignature: [] }];
+  else if (operation.auth) security = [{ apiKey: [] }];
+
+  return {
+    operationId: inRoom ? `${operation.id}InRoom` : operation.id,
+    tags: [operation.tag],
+    summary: operation.summary,
+    ...(operation.auth && operation.auth !== 'webhook' ? { 'x-required-role': operation.auth } : {}),
+    security,
+    ...(parameters.length > 0 ? { parameters } : {}),
+    ...(operation.body
+      ? { requestBody: { required: true, content: { 'application/json': { schema: operation.body } } } }
+      : {}),
+    responses
+  };
+}
+
+// The OpenAPI document for a service with rooms `roomIds`
+function buildSpec({ roomIds = ['default'], version = '1.0.0' } = {}) {
+  const paths = {};
+  const add = (path, method, operation) => {
+    paths[path] = paths[path] || {};
+    paths[path][method] = operation;
+  };
+  for (const operation of OPERATIONS) {
+    if (operation.room) {
+      add(`/api${operation.path}`, operation.method, toOpenApiOperation(operation));
+      add(`${ROOM_PREFIX}${operation.path}`, operation.method, toOpenApiOperation(operation, { inRoom: true, roomIds }));
+    } else {
+      add(operation.path, operation.method, toOpenApiOperation(operation));
+    }
+  }
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Aviator backend',
+      version,
+      description: 'Round generation, delivery and bets. Room routes are served for the default room under /api and for every room under /api/rooms/{roomId}.'
+    },
+    paths,
+    components: COMPONENTS
+  };
+}
+
+// Express-style paths of every documented route, e.g. /api/multiplier/:round
+function listEndpoints(spec) {
+  return Object.keys(spec.paths).map(path => path.replace(/\{(\w+)\}/g, ':$1'));
+}
+
+// Check a request against `operation`. Returns error messages.
+function validateRequest(operation, req) {
+  const errors = [];
+  const checkParameter = (schema, raw, at) => {
+    errors.push(...validateSchema(schema, coerceParameter(schema, raw), { components: COMPONENTS, path: at }));
+  };
+
+  for (const [name, schema] of Object.entries(operation.params || {})) {
+    checkParameter(schema, req.params[name], name);
+  }
+  for (const [name, { schema, required }] of Object.entries(operation.query || {})) {
+    const raw = req.query[name];
+    if (raw === undefined) {
+      if (required) errors.push(`${name} is required`);
+    } else if (Array.isArray(raw) || typeof raw === 'object') {
+      errors.push(`${name} must be given once`);
+    } else {
+      checkParameter(schema, raw, name);
+    }
+  }
+  if (operation.body) {
+    errors.push(...validateSchema(operation.body, req.body === undefined ? {} : req.body, { components: COMPONENTS, path: 'body' }));
+  }
+  return errors;
+}
+
+// Check a JSON response against `operation`. Returns error messages.
+function validateResponse(operation, status, body) {
+  const response = operationResponses(operation)[status];
+  if (!response) return [`status ${status} is not documented`];
+  if (response.text) return ['a JSON body was sent for a text response'];
+  return validateSchema(response.schema, body, { components: COMPONENTS, path: 'response' });
+}
+
+// validate(operationId) middleware for every route. `responses()` returns
+// the VALIDATE_RESPONSES mode.
+function createContract({ responses = () => 'warn' } = {}) {
+  function validate(operationId) {
+    const operation = OPERATIONS_BY_ID.get(operationId);
+    if (!operation) throw new Error(`Unknown operation ${operationId}`);
+
+    return (req, res, next) => {
+      const mode = responses();
+      if (mode !== 'off') {
+        const json = res.json.bind(res);
+        res.json = (body) => {
+          const errors = validateResponse(operation, res.statusCode, body);
+          if (errors.length === 0) return json(body);
+          req.log.warn('Response does not match the API contract', { operationId, status: res.statusCode, errors });
+          if (mode !== 'fail') return json(body);
+          res.status(500);
+          return json({ success: false, error: 'Response does not match the API contract', details: errors });
+        };
+      }
+
+      const errors = validateRequest(operation, req);
+      if (errors.length === 0) return next();
+      const error = `Invalid request: ${errors.join('; ')}`;
+      res.status(400).json(operation.auth ? { success: false, error, details: errors } : { error, details: errors });
+    };
+  }
+
+  return { validate };
+}
+
+module.exports = {
+  RESPONSE_MODES,
+  OPERATIONS,
+  buildSpec,
+  listEndpoints,
+  validateRequest,
+  validateResponse,
+  createContract
+};
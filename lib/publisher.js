@@ -0,0 +1,229 @@
+// Batch publishing.
+//
+// Every stored batch is published to each configured sink through the
+// delivery outbox, one outbox row per sink, so each sink keeps its own
+// delivery status and retries. The room's socket server is always the
+// primary sink ('socket'): only its acknowledgement marks rounds delivered,
+// and only its backlog holds up generation. Extra sinks come from
+// PUBLISH_SINKS (a JSON list, or `publishSinks` in the config file):
+//
+//   PUBLISH_SINKS='[
+//     {"name":"analytics","type":"http","url":"https://analytics.example/batches","secret":"..."},
+//     {"name":"replay","type":"file","path":"./data/batches.ndjson"},
+//     {"name":"stream","type":"redis","url":"redis://localhost:6379","mode":"stream","key":"aviator:batches"}
+//   ]'
+//
+// Sinks are shared by every room; each message carries its room id.
+
+const fs = require('fs');
+const path = require('path');
+const fetch = require('node-fetch');
+const { runCommands } = require('./redis');
+
+const SOCKET_SINK = 'socket';
+const SINK_TYPES = ['http', 'file', 'redis'];
+const REDIS_MODES = ['stream', 'pubsub'];
+const SINK_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+const DEFAULT_TIMEOUT_MS = 10000;
+
+// Keys each sink type accepts besides name and type
+const SINK_KEYS = {
+  http: ['url', 'secret', 'timeoutMs'],
+  file: ['path'],
+  redis: ['url', 'mode', 'key', 'maxLen', 'timeoutMs']
+};
+
+// Shape checks on the raw sink list. Returns error messages.
+function validateSinkEntries(sinks) {
+  if (!Array.isArray(sinks)) return [' must be a list of { name, type, ... }'];
+  const errors = [];
+  const seen = new Set();
+  sinks.forEach((sink, i) => {
+    if (!sink || typeof sink !== 'object') {
+      errors.push(`[${i}] must be an object`);
+      return;
+    }
+    if (typeof sink.name !== 'string' || !SINK_NAME_PATTERN.test(sink.name)) {
+      errors.push(`[${i}] name must match ${SINK_NAME_PATTERN}`);
+    } else if (sink.name === SOCKET_SINK) {
+      errors.push(`[${i}] name "${SOCKET_SINK}" is reserved for the socket server`);
+    } else if (seen.has(sink.name)) {
+      errors.push(`[${i}] duplicate name "${sink.name}"`);
+    }
+    seen.add(sink.name);
+
+    if (!SINK_TYPES.includes(sink.type)) {
+      errors.push(`[${i}] type must be one of ${SINK_TYPES.join(', ')}`);
+      return;
+    }
+    for (const key of Object.keys(sink)) {
+      if (key !== 'name' && key !== 'type' && !SINK_KEYS[sink.type].includes(key)) {
+        errors.push(`[${i}] unknown key "${key}" for a ${sink.type} sink`);
+      }
+    }
+    if (sink.timeoutMs !== undefined && !(Number.isInteger(sink.timeoutMs) && sink.timeoutMs > 0)) {
+      errors.push(`[${i}] timeoutMs must be a positive integer`);
+    }
+
+    if (sink.type === 'http' && !/^https?:\/\//.test(sink.url || '')) {
+      errors.push(`[${i}] http sink needs an http(s) url`);
+    }
+    if (sink.type === 'file' && (typeof sink.path !== 'string' || sink.path === '')) {
+      errors.push(`[${i}] file sink needs a path`);
+    }
+    if (sink.type === 'redis') {
+      if (!/^redis:\/\//.test(sink.url || '')) errors.push(`[${i}] redis sink needs a redis:// url`);
+      if (typeof sink.key !== 'string' || sink.key === '') errors.push(`[${i}] redis sink needs a key`);
+      if (sink.mode !== undefined && !REDIS_MODES.includes(sink.mode)) {
+        errors.push(`[${i}] mode must be one of ${REDIS_MODES.join(', ')}`);
+      }
+      if (sink.maxLen !== undefined && !(Number.isInteger(sink.maxLen) && sink.maxLen > 0)) {
+        errors.push(`[${i}] maxLen must be a positive integer`);
+      }
+      if (sink.maxLen !== undefined && sink.mode === 'pubsub') {
+        errors.push(`[${i}] maxLen only applies to stream mode`);
+      }
+    }
+  });
+  return errors;
+}
+
+// Hide credentials in a URL
+function redactUrl(url) {
+  try {
+    const parsed = new URL(url);
+    if (parsed.password) parsed.password = 'redacted';
+    return parsed.toString();
+  } catch (error) {
+    return url;
+  }
+}
+
+// A sink entry with its secrets redacted, for the admin routes
+function describeSink(sink) {
+  return {
+    ...sink,
+    ...(sink.url ? { url: redactUrl(sink.url) } : {}),
+    ...(sink.secret ? { secret: '[redacted]' } : {})
+  };
+}
+
+// Strip a batch down to what consumers need. Never hand out the server seeds,
+// only the commitments.
+function toPublicRounds(multipliers) {
+  return multipliers.map(({ round_number, multiplier, server_seed_hash }) => (
+    server_seed_hash ? { round_number, multiplier, server_seed_hash } : { round_number, multiplier }
+  ));
+}
+
+// One message per batch, the same for every sink but the socket server
+function toMessage(batch) {
+  return {
+    room: batch.room,
+    startRound: batch.startRound,
+    endRound: batch.endRound,
+    multipliers: toPublicRounds(batch.multipliers),
+    publishedAt: new Date().toISOString()
+  };
+}
+
+// POST to an HTTP endpoint. A 2xx response is the acknowledgement. `target`
+// returns { url, secret, timeoutMs }, read on every publish.
+function createHttpSink(target, body) {
+  return async (batch) => {
+    const { url, secret, timeoutMs = DEFAULT_TIMEOUT_MS } = target();
+    const headers = { 'Content-Type': 'application/json', 'X-Aviator-Room': batch.room };
+    if (secret) headers.Authorization = `Bearer ${secret}`;
+    const response = await fetch(url, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(body(batch)),
+      timeout: timeoutMs
+    });
+    if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+  };
+}
+
+// Append one NDJSON line per batch, for replays and offline analysis
+function createFileSink({ path: filePath }) {
+  return async (batch) => {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.appendFile(filePath, `${JSON.stringify(toMessage(batch))}\n`);
+  };
+}
+
+// XADD to a stream (fields room, start_round, end_round, multipliers) or
+// PUBLISH the JSON message to a channel
+function createRedisSink({ url, mode = 'stream', key, maxLen, timeoutMs = DEFAULT_TIMEOUT_MS }) {
+  return async (batch) => {
+    const message = toMessage(batch);
+    if (mode === 'pubsub') {
+      await runCommands(url, [['PUBLISH', key, JSON.stringify(message)]], { timeoutMs });
+      return;
+    }
+    const trim = maxLen ? ['MAXLEN', '~', maxLen] : [];
+    await runCommands(url, [[
+      'XADD', key, ...trim, '*',
+      'room', message.room,
+      'start_round', message.startRound,
+      'end_round', message.endRound,
+      'multipliers', JSON.stringify(message.multipliers),
+      'published_at', message.publishedAt
+    ]], { timeoutMs });
+  };
+}
+
+function createSink(entry) {
+  switch (entry.type) {
+    case 'http':
+      return createHttpSink(() => entry, toMessage);
+    case 'file':
+      return createFileSink(entry);
+    case 'redis':
+      return createRedisSink(entry);
+    default:
+      throw new Error(`Unknown sink type ${entry.type}`);
+  }
+}
+
+// The sinks a room publishes to: its socket server first, then PUBLISH_SINKS.
+// Each sink is { name, type, primary, describe(), publish(batch) } where
+// batch is { room, startRound, endRound, multipliers }; publish() resolves
+// once the sink has accepted the batch and throws otherwise.
+function createPublisher(config) {
+  // The socket server reads its URL and secret through the room config so a
+  // room's overrides apply. Its body is the socket server's /queue contract.
+  const socketSink = {
+    name: SOCKET_SINK,
+    type: 'http',
+    primary: true,
+    describe: () => ({ name: SOCKET_SINK, type: 'http', url: redactUrl(`${config.socketServerUrl}/queue`) }),
+    publish: createHttpSink(
+      () => ({ url: `${config.socketServerUrl}/queue`, secret: config.socketServerSecret }),
+      ({ multipliers, startRound }) => ({ multipliers: toPublicRounds(multipliers), startRound })
+    )
+  };
+
+  const extraSinks = (config.publishSinks || []).map(entry => ({
+    name: entry.name,
+    type: entry.type,
+    primary: false,
+    describe: () => describeSink(entry),
+    publish: createSink(entry)
+  }));
+
+  const sinks = [socketSink, ...extraSinks];
+  return {
+    sinks,
+    get: name => sinks.find(sink => sink.name === name) || null
+  };
+}
+
+module.exports = {
+  SOCKET_SINK,
+  SINK_TYPES,
+  validateSinkEntries,
+  describeSink,
+  toPublicRounds,
+  createPublisher
+};
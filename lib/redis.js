@@ -0,0 +1,122 @@
+// Minimal Redis client for the publishing sinks (lib/publisher.js).
+//
+// Speaks RESP2 over a plain TCP connection, one connection per call: batches
+// are published every few minutes, so a pooled client is not worth a
+// dependency. Supports redis://[user:password@]host[:port][/db] URLs; AUTH
+// and SELECT are sent before the commands when the URL asks for them.
+
+const net = require('net');
+
+// RESP array of bulk strings
+function encodeCommand(args) {
+  const parts = [`*${args.length}\r\n`];
+  for (const arg of args) {
+    const value = String(arg);
+    parts.push(`$${Buffer.byteLength(value)}\r\n${value}\r\n`);
+  }
+  return parts.join('');
+}
+
+// Parse one reply from `buffer` at `offset`. Returns { value, offset } or null
+// while the reply is incomplete. Error replies parse to an Error value.
+function parseReply(buffer, offset = 0) {
+  const lineEnd = buffer.indexOf('\r\n', offset);
+  if (lineEnd === -1) return null;
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString('utf8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case '+':
+      return { value: line, offset: next };
+    case '-':
+      return { value: new Error(line), offset: next };
+    case ':':
+      return { value: Number(line), offset: next };
+    case '$': {
+      const length = Number(line);
+      if (length === -1) return { value: null, offset: next };
+      if (buffer.length < next + length + 2) return null;
+      return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+    }
+    case '*': {
+      const count = Number(line);
+      if (count === -1) return { value: null, offset: next };
+      const items = [];
+      let position = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buffer, position);
+        if (!item) return null;
+        items.push(item.value);
+        position = item.offset;
+      }
+      return { value: items, offset: position };
+    }
+    default:
+      throw new Error(`Unexpected Redis reply type "${type}"`);
+  }
+}
+
+function parseRedisUrl(url) {
+  const parsed = new URL(url);
+  if (parsed.protocol !== 'redis:') throw new Error(`Redis URL must start with redis://, got ${parsed.protocol}//`);
+  const db = parsed.pathname.replace(/^\//, '');
+  return {
+    host: parsed.hostname || '127.0.0.1',
+    port: parsed.port ? Number(parsed.port) : 6379,
+    username: decodeURIComponent(parsed.username) || null,
+    password: decodeURIComponent(parsed.password) || null,
+    db: db === '' ? null : Number(db)
+  };
+}
+
+// Run `commands` (arrays of arguments) in order on one connection. Resolves
+// with the reply to the last command; rejects on the first error reply.
+function runCommands(url, commands, { timeoutMs = 5000 } = {}) {
+  const target = parseRedisUrl(url);
+  const all = [];
+  if (target.password) all.push(target.username ? ['AUTH', target.username, target.password] : ['AUTH', target.password]);
+  if (target.db !== null) all.push(['SELECT', target.db]);
+  all.push(...commands);
+
+  return new Promise((resolve, reject) => {
+    const socket = net.createConnection({ host: target.host, port: target.port });
+    let buffer = Buffer.alloc(0);
+    const replies = [];
+    let settled = false;
+
+    const finish = (error, value) => {
+      if (settled) return;
+      settled = true;
+      socket.destroy();
+      if (error) reject(error);
+      else resolve(value);
+    };
+
+    socket.setTimeout(timeoutMs, () => finish(new Error(`Redis at ${target.host}:${target.port} timed out after ${timeoutMs}ms`)));
+    socket.on('error', error => finish(error));
+    socket.on('close', () => finish(new Error('Redis connection closed before every reply arrived')));
+    socket.on('connect', () => socket.write(all.map(encodeCommand).join('')));
+    socket.on('data', (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      let reply;
+      try {
+        while ((reply = parseReply(buffer)) !== null) {
+          buffer = buffer.subarray(reply.offset);
+          if (reply.value instanceof Error) return finish(reply.value);
+          replies.push(reply.value);
+          if (replies.length === all.length) return finish(null, reply.value);
+        }
+      } catch (error) {
+        finish(error);
+      }
+    });
+  });
+}
+
+module.exports = {
+  encodeCommand,
+  parseReply,
+  parseRedisUrl,
+  runCommands
+};
@@ -0,0 +1,1964 @@
+// One game room: its round sequence, socket server, distribution spec and
+// generator state, and the routes that serve them. createApp() mounts each
+// room's router under /api/rooms/:roomId, and the default room's under /api.
+
+const express = require('express');
+const fetch = require('node-fetch');
+const { COMMITMENT_PREFIX, commitSeed, buildSeedChain, deriveFairMultiplier } = require('./fairness');
+const { createSeededRng, createCryptoRng } = require('./rng');
+const { RECENT_WINDOW_SIZE, createGenerator, replayBatch } = require('./generator');
+const { loadDistributionSpec, specDefinition, specFingerprint } = require('./distribution-spec');
+const { verifyWebhook } = require('./webhook');
+const { SOCKET_SINK, createPublisher, toPublicRounds } = require('./publisher');
+const { createConsumptionTracker, chooseBatchSize } = require('./batch-sizing');
+const { ROUND_STATUSES, TRANSITIONS } = require('./round-status');
+const { scanConsistency, repairGaps, REPAIR_MODES } = require('./consistency');
+const { MIN_ROUNDS: MIN_CERTIFICATION_ROUNDS, certify, tierModel, fairModel, loadMultipliers } = require('./certification');
+const { BET_STATUSES, INSUFFICIENT_FUNDS, PLAYER_ID_PATTERN, isValidCashout, validateBet, roundReport, playerReport } = require('./betting');
+const { DEFAULT_ROOM, generatorLeaseName } = require('./rooms');
+const { beforeDeadline, waitUntil } = require('./deadline');
+const { histogram, computeStats, createAdjustmentTally, createStatsCache, DEFAULT_CASHOUT_TARGETS } = require('./stats');
+
+// Build the room for `config` (a room config, see lib/rooms.js). `store` is
+// scoped to the room; the logger, metrics, auth, audit log and contract
+// validation (lib/openapi.js) are shared.
+function createRoom(config, { store, log: parentLog, metrics, requireRole, hasRole, recordAudit: recordSharedAudit, validate }) {
+  const id = config.roomId;
+  const log = parentLog.child({ room: id });
+  const labels = { room: id };
+  const router = express.Router();
+
+  // Where batches are published: the socket server, then PUBLISH_SINKS
+  const publisher = createPublisher(config);
+
+  // Versioned distribution spec the generator draws from (DISTRIBUTION_SPEC, or
+  // the built-in spec). Changing it requires a restart.
+  const distributionSpec = loadDistributionSpec(config.distributionSpec);
+  let distributionSpecRegistered = false;
+
+  // Global variables
+  let currentRound = config.startRound; // Start from a reasonable round number
+
+  // Leader election: only the instance holding the room's lease generates and delivers
+  const LEADER_LEASE_NAME = generatorLeaseName(id);
+
+  // Array to collect multipliers before storing
+  let multiplierBuffer = [];
+  let nextRoundToGenerate = currentRound + 1; // Track the next round to generate
+
+  // Track recent multipliers for bias correction
+  let recentMultipliers = [];
+  let windowRestore = { source: null, throughRound: null, restoredAt: null }; // Where the window came from
+
+  // Queue monitoring state
+  let isGenerating = false; // Prevent multiple simultaneous generation attempts
+  let lastQueueCheck = 0; // Track last queue check time
+  let isDeliveringOutbox = false; // Prevent overlapping outbox runs
+  let isLeader = false; // Whether this instance currently holds the generator lease
+
+  // Polling timers, rescheduled when the intervals are reloaded
+  let pollingStarted = false;
+  let queueCheckTimer = null;
+  let statsTimer = null;
+  let outboxTimer = null;
+  let initialCheckTimer = null;
+
+  // Set once shutdown begins: no new batches are started
+  let shuttingDown = false;
+
+  // Cached /api/stats results, keyed by the effective query
+  const statsCache = createStatsCache({ ttlMs: () => config.statsCacheTtl });
+
+  // Socket server consumption rate, for adaptive batch sizes
+  const consumption = createConsumptionTracker();
+  let lastWebhookAt = 0; // When the socket server last reported a low queue
+
+  // Embargo state: public routes only serve rounds the socket server has played
+  let socketCurrentRound = null; // Round the socket server reported as current
+  let socketRoundCheckedAt = 0; // When socketCurrentRound was last refreshed
+  let socketGamePhase = null; // Phase the socket server last reported
+  let lastStatusSyncRound = null; // Socket round the round statuses last followed
+  let isSettling = false; // Prevent overlapping bet settlement runs
+
+  // Readiness tracking
+  const startedAt = Date.now();
+  let generatingSince = 0; // When isGenerating was last set
+  let lastBatchAt = 0; // When the last batch was stored
+  let lastBatchFailure = null; // { at, reason } of the last batch that stored nothing
+  let lastSocketOkAt = 0; // When the socket server last answered a health check
+
+  // Create the RNG for a batch. Seeded batches derive their seed from RNG_SEED
+  // and the start round so every batch gets its own reproducible stream.
+  function createBatchRng(startRound) {
+    if (config.rng === 'seeded') return createSeededRng(`${config.rngSeed}:${startRound}`);
+    return createCryptoRng();
+  }
+
+  // Delay before the next attempt after `attempts` failures
+  function outboxBackoff(attempts) {
+    return Math.min(config.outboxBackoffBase * Math.pow(2, Math.max(attempts - 1, 0)), config.outboxBackoffMax);
+  }
+
+  // Try to deliver one outbox entry to its sink and record the outcome. Only
+  // the socket server's acknowledgement marks the rounds delivered.
+  async function deliverOutboxEntry(entry) {
+    const sink = publisher.get(entry.sink || SOCKET_SINK);
+    if (!sink) throw new Error(`Sink "${entry.sink}" is not configured`);
+    const attempts = entry.attempts + 1;
+    let error = null;
+    try {
+      await sink.publish({ room: id, startRound: entry.start_round, endRound: entry.end_round, multipliers: entry.multipliers });
+    } catch (publishError) {
+      error = publishError.message;
+    }
+
+    if (!error) {
+      log.info('Batch published', { sink: sink.name, startRound: entry.start_round, endRound: entry.end_round });
+      await store.updateDelivery(entry.id, {
+        status: 'delivered',
+        attempts,
+        last_error: null,
+        delivered_at: new Date().toISOString()
+      });
+      if (sink.primary) await markRounds(entry.start_round, entry.end_round, 'delivered');
+      return true;
+    }
+
+    if (sink.primary) metrics.deliveryFailures.inc(1, labels);
+    metrics.publishFailures.inc(1, { ...labels, sink: sink.name });
+    const nextAttemptAt = new Date(Date.now() + outboxBackoff(attempts)).toISOString();
+    await store.updateDelivery(entry.id, {
+      attempts,
+      last_error: error,
+      next_attempt_at: nextAttemptAt
+    });
+    log.warn('Batch publish failed, will retry', {
+      sink: sink.name,
+      startRound: entry.start_round,
+      endRound: entry.end_round,
+      attempts,
+      error,
+      nextAttemptAt
+    });
+    return false;
+  }
+
+  // Deliver pending batches oldest first, sink by sink. Each sink stops at its
+  // first failure so it always receives rounds in order, and a failing sink
+  // never holds up the others. Entries still in backoff are skipped unless
+  // ignoreBackoff is set (startup, new batch, admin replay).
+  async function processOutbox({ ignoreBackoff = false } = {}) {
+    if (isDeliveringOutbox) return { delivered: 0, skipped: true };
+    isDeliveringOutbox = true;
+
+    let delivered = 0;
+    try {
+      for (const sink of publisher.sinks) {
+        try {
+          const pending = await store.listDeliveries('pending', 100, sink.name);
+          for (const entry of pending) {
+            if (!ignoreBackoff && new Date(entry.next_attempt_at).getTime() > Date.now()) break;
+            if (!await deliverOutboxEntry(entry)) break;
+            delivered++;
+          }
+        } catch (error) {
+          log.error('Error processing delivery outbox', { sink: sink.name, error: error.message });
+        }
+      }
+    } finally {
+      isDeliveringOutbox = false;
+    }
+
+    return { delivered, skipped: false };
+  }
+
+  // Number of batches stored but not yet accepted by `sinkName`, or by any
+  // configured sink
+  async function countPendingDeliveries(sinkName = null) {
+    const names = sinkName ? [sinkName] : publisher.sinks.map(sink => sink.name);
+    let pending = 0;
+    for (const name of names) pending += (await store.listDeliveries('pending', 100, name)).length;
+    return pending;
+  }
+
+  // Queue a stored batch in the outbox, once for every sink
+  async function queueBatch(rows) {
+    for (const sink of publisher.sinks) {
+      await store.insertDelivery({
+        sink: sink.name,
+        start_round: rows[0].round_number,
+        end_round: rows[rows.length - 1].round_number,
+        multipliers: toPublicRounds(rows),
+        status: 'pending',
+        attempts: 0,
+        next_attempt_at: new Date().toISOString()
+      });
+    }
+  }
+
+  // Fetch the socket server's /health payload (queueSize, gamePhase, currentRound)
+  // A socket server that stops answering must not hold up queue checks or
+  // the embargo cutoff, so the call gives up after HEALTH_CHECK_TIMEOUT
+  async function fetchSocketHealth() {
+    const response = await fetch(`${config.socketServerUrl}/health`, {
+      method: 'GET',
+      headers: { 'Content-Type': 'application/json' },
+      timeout: config.healthCheckTimeout
+    });
+
+    if (!response.ok) {
+      throw new Error(`Socket server health check failed: ${response.status} ${response.statusText}`);
+    }
+
+    return response.json();
+  }
+
+  // Remember the socket server's current round for the embargo cutoff
+  function recordSocketRound(socketData) {
+    if (socketData && typeof socketData.currentRound === 'number') {
+      socketCurrentRound = socketData.currentRound;
+      socketRoundCheckedAt = Date.now();
+      lastSocketOkAt = socketRoundCheckedAt;
+      consumption.observe(socketData.currentRound, socketRoundCheckedAt);
+    }
+    if (socketData && typeof socketData.queueSize === 'number') {
+      metrics.socketQueueSize.set(socketData.queueSize, labels);
+    }
+    if (socketData && typeof socketData.gamePhase === 'string') {
+      socketGamePhase = socketData.gamePhase;
+    }
+  }
+
+  // Move the rounds in a range to `status` from whichever statuses allow it.
+  // Failures are logged, never thrown: status tracking must not block delivery.
+  async function markRounds(from, to, status, fields) {
+    try {
+      return await store.updateRoundStatus(from, to, status, TRANSITIONS[status], fields);
+    } catch (error) {
+      log.error('Error updating round status', { from, to, status, error: error.message });
+      return 0;
+    }
+  }
+
+  // Follow the socket server's current round: every earlier delivered round
+  // has been played and the current one is in play
+  async function syncRoundStatuses(socketRound) {
+    if (typeof socketRound !== 'number' || socketRound === lastStatusSyncRound) return;
+    // Catch up from the last synced round, or everything after a restart
+    const from = lastStatusSyncRound !== null && lastStatusSyncRound < socketRound ? lastStatusSyncRound : 0;
+    await markRounds(from, socketRound - 1, 'completed');
+    await markRounds(socketRound, socketRound, 'in_play');
+    lastStatusSyncRound = socketRound;
+    await settleBets();
+  }
+
+  // Settle open bets whose round has completed (at its multiplier) or was
+  // voided (refunded). Safe to run any time: settled bets are never touched.
+  async function settleBets() {
+    if (isSettling) return { settled: 0, skipped: true };
+    isSettling = true;
+
+    let settled = 0;
+    try {
+      const open = await store.listBets({ status: 'open' });
+      for (const round of new Set(open.map(bet => bet.round_number))) {
+        const row = await store.getRound(round, ['multiplier', 'status']);
+        if (!row || !['completed', 'voided'].includes(row.status)) continue;
+        const bets = await store.settleRoundBets(round, row.status === 'voided'
+          ? { voided: true }
+          : { multiplier: Number(row.multiplier) });
+        if (bets.length > 0) log.info('Bets settled', { round, bets: bets.length, roundStatus: row.status });
+        settled += bets.length;
+      }
+    } catch (error) {
+      log.error('Error settling bets', { error: error.message });
+    } finally {
+      isSettling = false;
+    }
+
+    return { settled, skipped: false };
+  }
+
+  // How often the queue is polled. With the webhook on, polling is a fallback.
+  function queuePollInterval() {
+    return config.queueWebhook ? config.queueFallbackInterval : config.queueCheckInterval;
+  }
+
+  // Rounds to generate in the next batch: BATCH_SIZE, or sized from the
+  // measured consumption rate when adaptive sizing is on
+  function currentBatchSize() {
+    if (!config.adaptiveBatchSize) return config.batchSize;
+    return chooseBatchSize({
+      ratePerSecond: consumption.ratePerSecond(),
+      targetSeconds: config.batchTargetSeconds,
+      min: config.batchSizeMin,
+      max: config.batchSizeMax,
+      fallback: config.batchSize
+    });
+  }
+
+  // Highest round the socket server has finished playing. Uses the value from the
+  // last queue check while it is fresh, otherwise asks the socket server directly.
+  // `live` always asks, for decisions that must not lag the game.
+  async function getLastPlayedRound({ live = false } = {}) {
+    const maxAge = config.queueCheckInterval * 2;
+    if (live || socketCurrentRound === null || Date.now() - socketRoundCheckedAt > maxAge) {
+      recordSocketRound(await fetchSocketHealth());
+    }
+    if (socketCurrentRound === null) {
+      throw new Error('Socket server did not report a current round');
+    }
+    // The current round is still in play, so it stays embargoed too
+    return socketCurrentRound - 1;
+  }
+
+  // Middleware factory: resolve the embargo cutoff or refuse to serve round data
+  function embargoCutoff({ live }) {
+    return async (req, res, next) => {
+      try {
+        req.lastPlayedRound = await getLastPlayedRound({ live });
+        res.setHeader('X-Last-Played-Round', String(req.lastPlayedRound));
+        next();
+      } catch (error) {
+        req.log.error('Error resolving embargo cutoff', { error: error.message });
+        res.status(503).json({ error: 'Unable to determine which rounds have been played' });
+      }
+    };
+  }
+  const requireEmbargoCutoff = embargoCutoff({ live: false });
+  // Bets and cash-outs read the socket server's round on every request
+  const requireLiveCutoff = embargoCutoff({ live: true });
+
+  // Write an admin action to the shared audit log, tagged with this room
+  function recordAudit(req, action, entry) {
+    return recordSharedAudit(req, action, { ...entry, room: id });
+  }
+
+
+  // Acquire or renew the generator lease. Returns whether this instance leads.
+  async function acquireLeadership() {
+    let acquired = false;
+    try {
+      // The lease survives two missed queue checks
+      acquired = await store.acquireLease(LEADER_LEASE_NAME, config.instanceId, queuePollInterval() * 3);
+    } catch (error) {
+      log.error('Error acquiring leader lease', { error: error.message });
+    }
+
+    if (acquired !== isLeader) {
+      log.info(acquired ? 'Became the generator leader' : 'Lost the generator lease, standing by', {
+        instanceId: config.instanceId
+      });
+      // Another instance may have generated since this one last did
+      if (acquired) await restoreRecentWindow();
+    }
+    isLeader = acquired;
+    return isLeader;
+  }
+
+  // Restore the generator window from the store, so the first rounds after a
+  // restart or failover see the same history as steady state. The latest
+  // batch's end_window is exact; when that batch is not the highest stored
+  // round (or predates the snapshot), the window is rebuilt from the last
+  // warmStartRounds stored multipliers instead.
+  async function restoreRecentWindow() {
+    const limit = config.warmStartRounds;
+    if (limit === 0) {
+      windowRestore = { source: 'disabled', throughRound: null, restoredAt: null };
+      return;
+    }
+
+    try {
+      const highestRound = await store.getHighestRoundNumber();
+      let window = [];
+      let source = 'empty';
+      if (highestRound > 0) {
+        const batch = await store.getLatestBatch();
+        if (batch && batch.end_round === highestRound && Array.isArray(batch.end_window)) {
+          window = batch.end_window.map(Number);
+          source = 'batch';
+        } else {
+          // Voided placeholders have no multiplier and are skipped
+          const rows = await store.getLatestRounds(highestRound, limit, ['multiplier']);
+          window = rows.filter(row => row.multiplier !== null).map(row => Number(row.multiplier));
+          source = 'rounds';
+        }
+      }
+      recentMultipliers.splice(0, recentMultipliers.length, ...window.slice(-limit));
+      windowRestore = { source, throughRound: highestRound || null, restoredAt: new Date().toISOString() };
+      log.info('Generator window restored', { source, rounds: recentMultipliers.length, throughRound: highestRound });
+    } catch (error) {
+      log.error('Error restoring the generator window, keeping the current one', { error: error.message });
+    }
+  }
+
+  // Claim the generation slot. The check and the claim happen before any
+  // await, so a poll, a webhook and an admin call can never all pass the
+  // check for the same low queue. Returns a release function, or null when
+  // something else holds the slot.
+  function claimGeneration() {
+    if (isGenerating) return null;
+    isGenerating = true;
+    generatingSince = Date.now();
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      isGenerating = false;
+    };
+  }
+
+  // Check socket server queue and generate if needed. Returns the generated
+  // round range, or null when no batch was stored.
+  async function checkSocketQueueAndGenerate() {
+    let generated = null;
+
+    if (shuttingDown) return null;
+
+    // Prevent multiple simultaneous checks
+    const release = claimGeneration();
+    if (!release) {
+      log.debug('Already generating, skipping queue check');
+      return null;
+    }
+
+    try {
+      // Only the leader generates, other replicas stand by
+      if (!await acquireLeadership()) {
+        return null;
+      }
+
+      // Check socket server health endpoint for queue size
+      const data = await fetchSocketHealth();
+      recordSocketRound(data);
+      await syncRoundStatuses(data.currentRound);
+      const queueSize = data.queueSize || 0;
+      const gamePhase = data.gamePhase || 'unknown';
+
+      log.debug('Socket queue checked', { queueSize, gamePhase });
+
+      generated = await replenishQueue(queueSize);
+      lastQueueCheck = Date.now();
+
+    } catch (error) {
+      log.error('Error checking socket queue', { error: error.message });
+    } finally {
+      release();
+    }
+
+    return generated;
+  }
+
+  // Act on a reported queue size, from polling or the queue-low webhook.
+  // Pending outbox deliveries go out before anything new is generated. The
+  // caller holds the generation slot (claimGeneration()). Returns the
+  // generated round range, or null.
+  async function replenishQueue(queueSize) {
+    if (queueSize > config.queueThreshold) {
+      log.debug('Queue healthy, no generation needed', { queueSize, threshold: config.queueThreshold });
+      return null;
+    }
+
+    if (await countPendingDeliveries(SOCKET_SINK) > 0) {
+      // Rounds are already waiting for the socket server, deliver those first.
+      // Other sinks catch up on their own and never hold up generation.
+      log.info('Queue low, flushing pending deliveries before generating', { queueSize, threshold: config.queueThreshold });
+      await processOutbox({ ignoreBackoff: true });
+      return null;
+    }
+
+    log.info('Queue low, generating a new batch', { queueSize, threshold: config.queueThreshold });
+    return generateFullBatch();
+  }
+
+  // Get the highest round number from database
+  async function getHighestRoundNumber() {
+    try {
+      return await store.getHighestRoundNumber();
+    } catch (error) {
+      log.error('Error reading the highest round number', { error });
+      return 0;
+    }
+  }
+
+  // Check for existing round numbers to prevent conflicts
+  async function checkExistingRounds(startRound, endRound) {
+    try {
+      const existing = await store.getExistingRounds(startRound, endRound);
+
+      if (existing.length > 0) {
+        log.warn('Rounds already exist in range', { startRound, endRound, existing: existing.length });
+        return true;
+      }
+
+      return false;
+    } catch (error) {
+      log.error('Error checking for existing rounds', { startRound, endRound, error });
+      return false;
+    }
+  }
+
+  // Store the RNG and starting window a batch was generated with
+  async function recordBatch(batch) {
+    try {
+      await store.insertBatch(batch);
+    } catch (error) {
+      log.error('Failed to record batch', { startRound: batch.start_round, endRound: batch.end_round, error: error.message });
+    }
+  }
+
+  // Mark a reservation as committed, released (reusable) or conflicted
+  async function settleReservation(reservation, status) {
+    try {
+      await store.settleReservation(reservation.id, status);
+    } catch (error) {
+      log.error('Error settling reservation', {
+        startRound: reservation.start_round,
+        endRound: reservation.end_round,
+        status,
+        error: error.message
+      });
+    }
+  }
+
+  // Record the active spec in the store before any round is written with it.
+  // Fails if the same id and version was registered with a different definition.
+  async function registerDistributionSpec() {
+    if (distributionSpecRegistered) return true;
+    try {
+      await store.registerDistributionSpec({
+        spec_id: distributionSpec.id,
+        version: distributionSpec.version,
+        fingerprint: specFingerprint(distributionSpec),
+        description: distributionSpec.description || null,
+        definition: specDefinition(distributionSpec)
+      });
+      distributionSpecRegistered = true;
+      log.info('Distribution spec is active', { specId: distributionSpec.id, specVersion: distributionSpec.version });
+      return true;
+    } catch (error) {
+      log.error('Error registering distribution spec', { error: error.message });
+      return false;
+    }
+  }
+
+  // Remember why the last batch failed for the readiness check
+  function batchFailed(reason) {
+    lastBatchFailure = { at: Date.now(), reason };
+    return null;
+  }
+
+  // Generate a full batch of multipliers. Returns the stored round range, or
+  // null when nothing was stored.
+  async function generateFullBatch() {
+    // No new batch once shutdown has begun
+    if (shuttingDown) return null;
+    const requestedSize = currentBatchSize();
+
+    // Provably-fair rounds use the fixed derivation, not the spec
+    if (!config.provablyFair && !await registerDistributionSpec()) {
+      log.error('Skipping batch generation until the distribution spec is registered');
+      return batchFailed('distribution spec is not registered');
+    }
+
+    // Reserve the round range atomically in the store so replicas never overlap
+    let reservation;
+    try {
+      reservation = await store.reserveRoundRange(requestedSize, config.instanceId, nextRoundToGenerate);
+    } catch (error) {
+      log.error('Error reserving round range', { requestedSize, error: error.message });
+      return batchFailed(`cannot reserve a round range: ${error.message}`);
+    }
+
+    const batchStartRound = reservation.start_round;
+    const batchEndRound = reservation.end_round;
+    // A reused range keeps its own size, which may differ from the request
+    const batchSize = batchEndRound - batchStartRound + 1;
+    nextRoundToGenerate = batchStartRound;
+
+    log.info('Generating batch', { startRound: batchStartRound, endRound: batchEndRound, requestedSize });
+
+    // Check if any of these rounds already exist in the database
+    const hasExistingRounds = await checkExistingRounds(batchStartRound, batchEndRound);
+    if (hasExistingRounds) {
+      log.error('Round conflict, skipping batch generation', { startRound: batchStartRound, endRound: batchEndRound });
+      metrics.conflicts.inc(1, labels);
+      await settleReservation(reservation, 'conflicted');
+      return batchFailed(`rounds ${batchStartRound}-${batchEndRound} already exist`);
+    }
+
+    // In provably-fair mode the whole batch is committed to up front
+    const seedChain = config.provablyFair ? buildSeedChain(batchSize) : null;
+    if (seedChain) {
+      log.info('Committed provably-fair seed chain', { startRound: batchStartRound, endRound: batchEndRound });
+    }
+
+    // Snapshot the window before generating so the batch can be replayed
+    const recentWindow = recentMultipliers.slice();
+    const rng = createBatchRng(batchStartRound);
+    const distribution = { id: distributionSpec.id, version: distributionSpec.version, ...specDefinition(distributionSpec) };
+    const generator = createGenerator({ rng, recentMultipliers, distribution, log: message => log.debug(message) });
+
+    for (let i = 0; i < batchSize; i++) {
+      const currentRoundNumber = nextRoundToGenerate;
+      let multiplier;
+
+      if (seedChain) {
+        const serverSeed = seedChain[i];
+        multiplier = deriveFairMultiplier(serverSeed, config.fairClientSeed).multiplier;
+        generator.recordRecentMultiplier(multiplier);
+
+        multiplierBuffer.push({
+          round_number: currentRoundNumber,
+          multiplier,
+          server_seed: serverSeed,
+          server_seed_hash: commitSeed(serverSeed),
+          client_seed: config.fairClientSeed
+        });
+      } else {
+        const generated = generator.generateCrashRound(currentRoundNumber);
+        multiplier = generated.multiplier;
+
+        // Add to buffer with the correct round number and its audit trail
+        multiplierBuffer.push({
+          round_number: currentRoundNumber,
+          multiplier,
+          raw_multiplier: generated.rawMultiplier,
+          raw_tier: generated.rawTier,
+          adjustments: generated.adjustments,
+          distribution_spec_id: distributionSpec.id,
+          distribution_spec_version: distributionSpec.version
+        });
+      }
+
+      log.debug('Round generated', { round: currentRoundNumber, multiplier });
+
+      // Increment for next generation
+      nextRoundToGenerate++;
+    }
+
+    // Verify round number sequence
+    const actualBatchEndRound = nextRoundToGenerate - 1;
+    const expectedRounds = actualBatchEndRound - batchStartRound + 1;
+    if (expectedRounds !== batchSize) {
+      log.error('Round number sequence mismatch', {
+        expected: batchSize,
+        generated: expectedRounds,
+        startRound: batchStartRound,
+        endRound: actualBatchEndRound
+      });
+    }
+
+    // Store all multipliers in database
+
+    try {
+      await store.insertMultipliers(multiplierBuffer);
+    } catch (error) {
+      log.error('Error inserting batch', { startRound: batchStartRound, endRound: batchEndRound, error: error.message });
+      metrics.insertFailures.inc(1, labels);
+
+      // Roll back: the range goes back to the store for reuse and the
+      // generator forgets the rounds it never persisted
+      multiplierBuffer = [];
+      recentMultipliers.splice(0, recentMultipliers.length, ...recentWindow);
+      nextRoundToGenerate = batchStartRound;
+      await settleReservation(reservation, 'released');
+      log.warn('Released rounds for reuse', { startRound: batchStartRound, endRound: batchEndRound });
+      return batchFailed(`insert failed: ${error.message}`);
+    }
+
+    await settleReservation(reservation, 'committed');
+
+    // Record how the batch was generated so it can be regenerated offline
+    await recordBatch({
+      start_round: batchStartRound,
+      end_round: actualBatchEndRound,
+      rng: seedChain ? 'provably-fair' : rng.name,
+      rng_seed: seedChain ? null : rng.seed,
+      recent_window: recentWindow,
+      end_window: recentMultipliers.slice(),
+      distribution
+    });
+
+    // Safety check: ensure buffer has data before accessing
+    if (multiplierBuffer.length === 0) {
+      log.error('Multiplier buffer is empty after insert');
+      return batchFailed('multiplier buffer is empty');
+    }
+
+    const startRound = multiplierBuffer[0].round_number;
+    const endRound = multiplierBuffer[multiplierBuffer.length - 1].round_number;
+
+    log.info('Batch stored', { startRound, endRound, rounds: multiplierBuffer.length });
+    metrics.batchesGenerated.inc(1, labels);
+    for (const row of multiplierBuffer) metrics.multipliers.observe(row.multiplier, labels);
+
+    // Queue the batch in the outbox, then publish it to every sink.
+    // If delivery fails the outbox keeps retrying it.
+    try {
+      await queueBatch(multiplierBuffer);
+    } catch (error) {
+      log.error('Error adding batch to the delivery outbox', { startRound, endRound, error: error.message });
+    }
+    await processOutbox({ ignoreBackoff: true });
+
+    // Update current round to the last generated round
+    currentRound = endRound;
+
+    // Clear buffer
+    multiplierBuffer = [];
+
+    lastBatchAt = Date.now();
+    return { startRound, endRound };
+  }
+
+  // Enhanced function to display distribution statistics
+  function displayDistributionStats() {
+    if (recentMultipliers.length < 50) return; // Need enough data
+
+    const stats = histogram(recentMultipliers);
+
+    const total = recentMultipliers.length;
+
+    // Calculate consecutive patterns
+    const last10 = recentMultipliers.slice(-10);
+    const consecutiveLows = last10.filter(m => m <= 1.3).length;
+    const consecutiveCrashes = last10.filter(m => m === 1.01).length;
+
+    log.info('Distribution of recent multipliers', { total, ...stats, lowsInLast10: consecutiveLows, crashesInLast10: consecutiveCrashes });
+
+    // Alert if patterns are detected
+    if (consecutiveLows >= 7) {
+      log.warn('Many lows in the last 10 rounds', { lows: consecutiveLows });
+    }
+    if (consecutiveCrashes >= 3) {
+      log.warn('Many crashes in the last 10 rounds', { crashes: consecutiveCrashes });
+    }
+  }
+
+  // Initialize round numbers from database
+  async function initializeRoundNumbers() {
+    try {
+      const highestRound = await getHighestRoundNumber();
+
+      if (highestRound > 0) {
+        // Start from the next round after the highest in database
+        currentRound = highestRound;
+        nextRoundToGenerate = highestRound + 1;
+        log.info('Round numbers synced with the store', { currentRound, nextRoundToGenerate });
+      } else {
+        // No data in database, use default values
+        log.info('No stored rounds, using the default round numbers', { currentRound, nextRoundToGenerate });
+      }
+    } catch (error) {
+      log.error('Error initializing round numbers, using the fallback', { currentRound, nextRoundToGenerate, error });
+    }
+
+    if (!config.provablyFair) await registerDistributionSpec();
+
+    // Reconcile batches that were stored but never delivered before the restart.
+    // Only the leader delivers, otherwise replicas would send batches twice.
+    try {
+      if (!await acquireLeadership()) return;
+
+      const pending = await countPendingDeliveries();
+      if (pending > 0) {
+        const { delivered } = await processOutbox({ ignoreBackoff: true });
+        log.info('Redelivered undelivered batches from the outbox', { pending, delivered });
+      }
+    } catch (error) {
+      log.error('Error reconciling delivery outbox', { error: error.message });
+    }
+  }
+
+  router.get('/multiplier/:round', validate('getMultiplier'), requireEmbargoCutoff, async (req, res) => {
+    const round = parseInt(req.params.round, 10);
+    if (isNaN(round)) return res.status(400).json({ error: 'Invalid round' });
+    if (round > req.lastPlayedRound) {
+      return res.status(403).json({
+        error: 'Round not yet played',
+        round_number: round,
+        lastPlayedRound: req.lastPlayedRound
+      });
+    }
+    try {
+      const data = await store.getRound(round, ['multiplier']);
+      if (!data) return res.status(404).json({ error: 'Not found' });
+      res.json({ round_number: round, multiplier: data.multiplier });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.get('/multipliers', validate('listMultipliers'), requireEmbargoCutoff, async (req, res) => {
+    const from = parseInt(req.query.from, 10);
+    const to = parseInt(req.query.to, 10);
+    if (isNaN(from) || isNaN(to) || from > to) {
+      return res.status(400).json({ error: 'Invalid range' });
+    }
+    if (to - from + 1 > config.rangeMaxRounds) {
+      return res.status(400).json({ error: `Range is limited to ${config.rangeMaxRounds} rounds` });
+    }
+    if (from > req.lastPlayedRound) {
+      return res.status(403).json({
+        error: 'Range not yet played',
+        from,
+        to,
+        lastPlayedRound: req.lastPlayedRound
+      });
+    }
+    // Trim the range so unplayed rounds are never returned
+    try {
+      res.json(await store.getRounds(from, Math.min(to, req.lastPlayedRound), ['round_number', 'multiplier']));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.get('/current', validate('getCurrentRound'), requireEmbargoCutoff, async (req, res) => {
+    // The round the socket server is playing, not the latest inserted row (those
+    // are future rounds). Its multiplier stays hidden until it completes;
+    // `previous` is the last played round. Explicit columns so server seeds
+    // never leave the database through here.
+    try {
+      const inPlayRound = req.lastPlayedRound + 1;
+      const [current, previous] = await Promise.all([
+        store.getRound(inPlayRound, ['round_number', 'status', 'server_seed_hash', 'client_seed', 'created_at']),
+        store.getLatestRound(req.lastPlayedRound, [
+          'id', 'round_number', 'multiplier', 'server_seed_hash', 'client_seed', 'created_at'
+        ])
+      ]);
+      if (!current && !previous) return res.status(404).json({ error: 'Not found' });
+      res.json({
+        round_number: inPlayRound,
+        status: current ? current.status : null,
+        gamePhase: socketGamePhase,
+        multiplier: null,
+        server_seed_hash: current ? current.server_seed_hash : null,
+        client_seed: current ? current.client_seed : null,
+        created_at: current ? current.created_at : null,
+        previous
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Privileged path to upcoming rounds for internal callers only
+  router.get('/internal/multipliers', requireRole('operator'), validate('listUpcomingMultipliers'), async (req, res) => {
+    const from = parseInt(req.query.from, 10);
+    const to = parseInt(req.query.to, 10);
+    if (isNaN(from) || isNaN(to) || from > to) {
+      return res.status(400).json({ error: 'Invalid range' });
+    }
+    if (to - from + 1 > config.rangeMaxRounds) {
+      return res.status(400).json({ error: `Range is limited to ${config.rangeMaxRounds} rounds` });
+    }
+    try {
+      res.json(await store.getRounds(from, to, ['round_number', 'multiplier', 'server_seed_hash']));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Published hash commitments for a round range (seeds stay hidden)
+  router.get('/commitments', validate('listCommitments'), async (req, res) => {
+    const from = parseInt(req.query.from, 10);
+    const to = parseInt(req.query.to, 10);
+    if (isNaN(from) || isNaN(to) || from > to) {
+      return res.status(400).json({ error: 'Invalid range' });
+    }
+    if (to - from + 1 > config.rangeMaxRounds) {
+      return res.status(400).json({ error: `Range is limited to ${config.rangeMaxRounds} rounds` });
+    }
+    try {
+      res.json(await store.getCommitments(from, to));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Reveal a played round's server seed and show how its multiplier was derived
+  router.get('/verify/:round', validate('verifyRound'), requireEmbargoCutoff, async (req, res) => {
+    const round = parseInt(req.params.round, 10);
+    if (isNaN(round)) return res.status(400).json({ error: 'Invalid round' });
+
+    let data;
+    try {
+      data = await store.getRound(round, ['round_number', 'multiplier', 'server_seed', 'server_seed_hash', 'client_seed']);
+    } catch (error) {
+      return res.status(500).json({ error: error.message });
+    }
+    if (!data) return res.status(404).json({ error: 'Not found' });
+    if (!data.server_seed_hash) {
+      return res.status(404).json({ error: 'Round was not generated in provably-fair mode' });
+    }
+
+    // The seed is only revealed once the socket server has moved past the round
+    if (round > req.lastPlayedRound) {
+      return res.json({
+        round_number: round,
+        revealed: false,
+        server_seed_hash: data.server_seed_hash,
+        client_seed: data.client_seed
+      });
+    }
+
+    const derivation = deriveFairMultiplier(data.server_seed, data.client_seed);
+    const commitmentMatches = commitSeed(data.server_seed) === data.server_seed_hash;
+    const multiplierMatches = derivation.multiplier === Number(data.multiplier);
+
+    res.json({
+      round_number: round,
+      revealed: true,
+      server_seed: data.server_seed,
+      server_seed_hash: data.server_seed_hash,
+      client_seed: data.client_seed,
+      multiplier: Number(data.multiplier),
+      derivation: [
+        { step: 'commitment', description: `SHA-256("${COMMITMENT_PREFIX}" + server seed) equals the published commitment`, value: commitmentMatches },
+        ...derivation.steps
+      ],
+      verified: commitmentMatches && multiplierMatches
+    });
+  });
+
+  // Regenerate a recorded batch and compare it with the stored rounds
+  router.get('/internal/batches/:startRound/replay', requireRole('operator'), validate('replayBatch'), async (req, res) => {
+    const startRound = parseInt(req.params.startRound, 10);
+    if (isNaN(startRound)) return res.status(400).json({ error: 'Invalid round' });
+
+    let batch;
+    let stored;
+    try {
+      batch = await store.getBatch(startRound);
+      if (!batch) return res.status(404).json({ error: 'Batch not found' });
+      if (batch.rng === 'provably-fair') {
+        return res.status(400).json({ error: 'Provably-fair batches are verified through /api/verify/:round' });
+      }
+      stored = await store.getRounds(batch.start_round, batch.end_round, ['round_number', 'multiplier']);
+    } catch (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    const replayed = replayBatch({
+      rngName: batch.rng,
+      rngSeed: batch.rng_seed,
+      startRound: batch.start_round,
+      count: batch.end_round - batch.start_round + 1,
+      recentWindow: batch.recent_window || [],
+      distribution: batch.distribution || undefined,
+      log: message => log.debug(message)
+    });
+    const storedByRound = new Map(stored.map(row => [row.round_number, Number(row.multiplier)]));
+    const mismatches = replayed.filter(row => storedByRound.get(row.round_number) !== row.multiplier);
+
+    res.json({
+      start_round: batch.start_round,
+      end_round: batch.end_round,
+      rng: batch.rng,
+      matches: mismatches.length === 0,
+      mismatches: mismatches.map(row => ({
+        round_number: row.round_number,
+        replayed: row.multiplier,
+        stored: storedByRound.has(row.round_number) ? storedByRound.get(row.round_number) : null
+      }))
+    });
+  });
+
+  // List outbox entries, pending (stuck) ones by default. ?sink= narrows
+  // them to one publishing sink.
+  router.get('/admin/outbox', requireRole('viewer'), validate('listOutbox'), async (req, res) => {
+    const status = req.query.status || 'pending';
+    if (!['pending', 'delivered', 'all'].includes(status)) {
+      return res.status(400).json({ success: false, error: 'status must be pending, delivered or all' });
+    }
+    const sink = req.query.sink || null;
+    if (sink && !publisher.get(sink)) {
+      return res.status(400).json({ success: false, error: `Unknown sink: ${sink}` });
+    }
+    try {
+      const entries = await store.listDeliveries(status === 'all' ? null : status, 100, sink);
+      res.json({
+        success: true,
+        entries: entries.map(({ multipliers, ...entry }) => ({ ...entry, sink: entry.sink || SOCKET_SINK, rounds: multipliers.length }))
+      });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Publishing sinks with their delivery backlog. The oldest pending batch
+  // shows how far behind a sink is and why.
+  router.get('/admin/sinks', requireRole('viewer'), validate('listSinks'), async (req, res) => {
+    try {
+      const sinks = [];
+      for (const sink of publisher.sinks) {
+        const pending = await store.listDeliveries('pending', 100, sink.name);
+        const oldest = pending[0];
+        sinks.push({
+          ...sink.describe(),
+          primary: sink.primary,
+          pending: pending.length,
+          oldestPending: oldest
+            ? { id: oldest.id, startRound: oldest.start_round, attempts: oldest.attempts, lastError: oldest.last_error, createdAt: oldest.created_at }
+            : null
+        });
+      }
+      res.json({ success: true, sinks });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Retry every pending batch now, ignoring backoff
+  router.post('/admin/outbox/replay', requireRole('operator'), validate('replayOutbox'), async (req, res) => {
+    try {
+      const { delivered, skipped } = await processOutbox({ ignoreBackoff: true });
+      if (skipped) {
+        return res.status(409).json({ success: false, message: 'Outbox delivery already in progress' });
+      }
+      const pending = await countPendingDeliveries();
+      await recordAudit(req, 'outbox.replay_all', { success: true, details: { delivered, pending } });
+      res.json({ success: true, delivered, pending });
+    } catch (error) {
+      await recordAudit(req, 'outbox.replay_all', { success: false, details: { error: error.message } });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Retry a single pending batch now
+  router.post('/admin/outbox/:id/replay', requireRole('operator'), validate('replayOutboxEntry'), async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) return res.status(400).json({ success: false, error: 'Invalid id' });
+    try {
+      const entry = await store.getDelivery(id);
+      if (!entry) return res.status(404).json({ success: false, error: 'Outbox entry not found' });
+      if (entry.status !== 'pending') {
+        return res.status(409).json({ success: false, error: `Outbox entry is already ${entry.status}` });
+      }
+      if (!publisher.get(entry.sink || SOCKET_SINK)) {
+        return res.status(409).json({ success: false, error: `Sink "${entry.sink}" is no longer configured` });
+      }
+      const delivered = await deliverOutboxEntry(entry);
+      await recordAudit(req, 'outbox.replay', {
+        success: delivered,
+        rounds: { startRound: entry.start_round, endRound: entry.end_round },
+        details: { id, sink: entry.sink || SOCKET_SINK }
+      });
+      res.status(delivered ? 200 : 502).json({ success: delivered, entry: await store.getDelivery(id) });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Active distribution spec and every spec that has generated rounds
+  router.get('/admin/distribution-specs', requireRole('viewer'), validate('listDistributionSpecs'), async (req, res) => {
+    try {
+      res.json({
+        success: true,
+        active: {
+          id: distributionSpec.id,
+          version: distributionSpec.version,
+          description: distributionSpec.description || null,
+          fingerprint: specFingerprint(distributionSpec),
+          definition: specDefinition(distributionSpec),
+          provablyFair: config.provablyFair
+        },
+        specs: await store.listDistributionSpecs()
+      });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // How a round's value was reached: the raw tier draw, every adjustment rule
+  // that fired and the final value. Only operators may audit unplayed rounds.
+  router.get('/rounds/:round/audit', requireRole('viewer'), validate('getRoundAudit'), requireEmbargoCutoff, async (req, res) => {
+    const round = parseInt(req.params.round, 10);
+    if (isNaN(round)) return res.status(400).json({ success: false, error: 'Invalid round' });
+    if (round > req.lastPlayedRound && !hasRole(req.principal, 'operator')) {
+      return res.status(403).json({ success: false, error: 'Round has not been played yet' });
+    }
+
+    let data;
+    try {
+      data = await store.getRound(round, [
+        'round_number', 'multiplier', 'raw_multiplier', 'raw_tier', 'adjustments',
+        'server_seed_hash', 'distribution_spec_id', 'distribution_spec_version', 'created_at'
+      ]);
+    } catch (error) {
+      return res.status(500).json({ success: false, error: error.message });
+    }
+    if (!data) return res.status(404).json({ success: false, error: 'Not found' });
+
+    // Provably-fair rounds have no adjustments: their derivation is the audit
+    if (data.server_seed_hash) {
+      return res.json({
+        success: true,
+        round_number: round,
+        multiplier: Number(data.multiplier),
+        provablyFair: true,
+        verify: `${req.baseUrl}/verify/${round}`
+      });
+    }
+    if (!data.adjustments) {
+      return res.status(404).json({ success: false, error: 'Round was generated before adjustments were recorded' });
+    }
+
+    res.json({
+      success: true,
+      round_number: round,
+      distributionSpec: { id: data.distribution_spec_id, version: data.distribution_spec_version },
+      generatedAt: data.created_at,
+      raw: { tier: data.raw_tier, multiplier: Number(data.raw_multiplier) },
+      adjustments: data.adjustments,
+      multiplier: Number(data.multiplier)
+    });
+  });
+
+  // How often each adjustment rule fired over a round range. Defaults to the
+  // last 1000 generated rounds.
+  router.get('/admin/adjustments', requireRole('viewer'), validate('getAdjustments'), requireEmbargoCutoff, async (req, res) => {
+    try {
+      // Which rules fired gives a round's value away, so viewers only see
+      // played rounds. Operators can also report on upcoming ones.
+      const operator = hasRole(req.principal, 'operator');
+      const requested = req.query.to !== undefined ? parseInt(req.query.to, 10)
+        : operator ? await store.getHighestRoundNumber() : req.lastPlayedRound;
+      const to = operator ? requested : Math.min(requested, req.lastPlayedRound);
+      const from = req.query.from === undefined ? to - 999 : parseInt(req.query.from, 10);
+      if (isNaN(from) || isNaN(to) || from > to) {
+        return res.status(400).json({ success: false, error: 'Invalid range' });
+      }
+      if (to - from + 1 > config.statsMaxRounds) {
+        return res.status(400).json({ success: false, error: `Range is limited to ${config.statsMaxRounds} rounds` });
+      }
+
+      const tally = createAdjustmentTally();
+      const rows = await store.getRounds(from, to, ['adjustments']);
+      for (const row of rows) {
+        if (row.adjustments) tally.add(row.adjustments);
+      }
+      res.json({ success: true, from, to, ...tally.summary() });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Distribution statistics over a round range (from/to) or a time window
+  // (since/until), limited to played rounds. Defaults to the last 1000 rounds.
+  router.get('/stats', validate('getStats'), requireEmbargoCutoff, async (req, res) => {
+    const { since, until } = req.query;
+    const hasRange = req.query.from !== undefined || req.query.to !== undefined;
+    const hasWindow = since !== undefined || until !== undefined;
+    if (hasRange && hasWindow) {
+      return res.status(400).json({ error: 'Use either from/to or since/until, not both' });
+    }
+
+    let targets = DEFAULT_CASHOUT_TARGETS;
+    if (req.query.targets) {
+      targets = String(req.query.targets).split(',').map(Number);
+      if (targets.some(t => !Number.isFinite(t) || t < 1) || targets.length > 20) {
+        return res.status(400).json({ error: 'targets must be up to 20 comma-separated numbers >= 1' });
+      }
+    }
+
+    let query;
+    let cacheQuery;
+    if (hasWindow) {
+      const sinceMs = Date.parse(since);
+      const untilMs = until === undefined ? Date.now() : Date.parse(until);
+      if (isNaN(sinceMs) || isNaN(untilMs) || sinceMs > untilMs) {
+        return res.status(400).json({ error: 'Invalid time window' });
+      }
+      query = { since: new Date(sinceMs).toISOString(), until: new Date(untilMs).toISOString() };
+      // Every round up to the last played one was created before now, so an
+      // open window is keyed without its end
+      cacheQuery = until === undefined ? { since: query.since } : query;
+    } else {
+      const to = Math.min(req.query.to === undefined ? req.lastPlayedRound : parseInt(req.query.to, 10), req.lastPlayedRound);
+      const from = req.query.from === undefined ? to - 999 : parseInt(req.query.from, 10);
+      if (isNaN(from) || isNaN(to) || from > to) {
+        return res.status(400).json({ error: 'Invalid range' });
+      }
+      if (to - from + 1 > config.statsMaxRounds) {
+        return res.status(400).json({ error: `Range is limited to ${config.statsMaxRounds} rounds` });
+      }
+      query = { from, to };
+      cacheQuery = query;
+    }
+
+    const cacheKey = JSON.stringify({ ...cacheQuery, maxRound: req.lastPlayedRound, targets });
+    const cached = statsCache.get(cacheKey);
+    if (cached) return res.json({ ...cached, cached: true });
+
+    try {
+      // One row past the limit is enough to reject the window
+      const rows = query.since
+        ? await store.getRoundsCreatedBetween(query.since, query.until, req.lastPlayedRound, ['round_number', 'multiplier'], config.statsMaxRounds + 1)
+        : await store.getRounds(query.from, query.to, ['round_number', 'multiplier']);
+      if (rows.length > config.statsMaxRounds) {
+        return res.status(400).json({ error: `Window contains more than ${config.statsMaxRounds} rounds` });
+      }
+      // Voided placeholders never had a result
+      const rounds = rows.filter(round => round.multiplier !== null);
+
+      const result = {
+        ...query,
+        lastPlayedRound: req.lastPlayedRound,
+        computedAt: new Date().toISOString(),
+        ...computeStats(rounds, { cashoutTargets: targets })
+      };
+      statsCache.set(cacheKey, result);
+      res.json({ ...result, cached: false });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Randomness certification report over played rounds from-to (the last
+  // 10000 by default), against the spec or the provably-fair curve
+  router.get('/admin/certification', requireRole('viewer'), validate('getCertification'), requireEmbargoCutoff, async (req, res) => {
+    const to = Math.min(req.query.to === undefined ? req.lastPlayedRound : parseInt(req.query.to, 10), req.lastPlayedRound);
+    const from = req.query.from === undefined ? Math.max(1, to - 9999) : parseInt(req.query.from, 10);
+    const alpha = req.query.alpha === undefined ? undefined : Number(req.query.alpha);
+    const maxLag = req.query.maxLag === undefined ? undefined : parseInt(req.query.maxLag, 10);
+    if (isNaN(from) || isNaN(to) || from > to) {
+      return res.status(400).json({ success: false, error: 'Invalid range' });
+    }
+    if (to - from + 1 > config.statsMaxRounds) {
+      return res.status(400).json({ success: false, error: `Range is limited to ${config.statsMaxRounds} rounds` });
+    }
+    if (alpha !== undefined && !(alpha > 0 && alpha < 1)) {
+      return res.status(400).json({ success: false, error: 'alpha must be between 0 and 1' });
+    }
+    if (maxLag !== undefined && (isNaN(maxLag) || maxLag < 1 || maxLag > 100)) {
+      return res.status(400).json({ success: false, error: 'maxLag must be between 1 and 100' });
+    }
+
+    try {
+      const multipliers = await loadMultipliers(store, from, to);
+      if (multipliers.length < MIN_CERTIFICATION_ROUNDS) {
+        return res.status(400).json({ success: false, error: `Certification needs at least ${MIN_CERTIFICATION_ROUNDS} rounds, the range has ${multipliers.length}` });
+      }
+      const report = certify(multipliers, {
+        model: config.provablyFair ? fairModel() : tierModel(distributionSpec),
+        alpha,
+        maxLag,
+        source: { kind: 'rounds', room: id, from, to }
+      });
+      res.json({ success: true, report });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // The generator's recent-multiplier window and where it was restored from.
+  // It holds rounds that have not been played yet, so it needs an operator key.
+  router.get('/admin/generator/window', requireRole('operator'), validate('getGeneratorWindow'), (req, res) => {
+    res.json({
+      success: true,
+      isLeader,
+      nextRoundToGenerate,
+      capacity: RECENT_WINDOW_SIZE,
+      size: recentMultipliers.length,
+      restoredFrom: windowRestore,
+      histogram: histogram(recentMultipliers),
+      window: recentMultipliers.slice()
+    });
+  });
+
+  // Add this endpoint to return the current round number and server time
+  router.get('/current-round', validate('getRoundCounter'), (req, res) => {
+    // Use the sequential round system for consistency with database
+    res.json({ 
+      currentRound: currentRound, 
+      nextRoundToGenerate: nextRoundToGenerate,
+      now: Date.now() 
+    });
+  });
+
+  // Manual trigger endpoint for testing queue-based generation
+  router.post('/trigger-generation', requireRole('operator'), validate('triggerGeneration'), async (req, res) => {
+    try {
+      req.log.info('Manual queue check triggered', { actor: req.principal.name });
+      const generated = await checkSocketQueueAndGenerate();
+      await recordAudit(req, 'generation.trigger', { success: true, rounds: generated });
+      res.json({ 
+        success: true, 
+        message: 'Queue check and generation triggered',
+        generated,
+        isGenerating,
+        lastQueueCheck: lastQueueCheck ? new Date(lastQueueCheck).toISOString() : null
+      });
+    } catch (error) {
+      req.log.error('Error in manual trigger', { error: error.message });
+      await recordAudit(req, 'generation.trigger', { success: false, details: { error: error.message } });
+      res.status(500).json({ 
+        success: false, 
+        error: error.message 
+      });
+    }
+  });
+
+  // Force generation endpoint (bypasses queue check)
+  router.post('/force-generation', requireRole('operator'), validate('forceGeneration'), async (req, res) => {
+    const release = claimGeneration();
+    if (!release) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Already generating, please wait' 
+      });
+    }
+
+    try {
+      if (!await acquireLeadership()) {
+        release();
+        return res.status(409).json({
+          success: false,
+          message: 'This instance is not the generator leader'
+        });
+      }
+
+      req.log.info('Forced batch generation', { actor: req.principal.name });
+      const generated = await generateFullBatch();
+      release();
+      await recordAudit(req, 'generation.force', { success: Boolean(generated), rounds: generated });
+
+      if (!generated) {
+        return res.status(500).json({
+          success: false,
+          message: 'Batch generation failed, no rounds were stored',
+          currentRound
+        });
+      }
+
+      res.json({ 
+        success: true, 
+        message: 'Force generation completed',
+        generated,
+        currentRound
+      });
+    } catch (error) {
+      req.log.error('Error in force generation', { error: error.message });
+      release();
+      await recordAudit(req, 'generation.force', { success: false, details: { error: error.message } });
+      res.status(500).json({ 
+        success: false, 
+        error: error.message 
+      });
+    }
+  });
+
+  // Queue-low webhook: the socket server calls this when its queue reaches its
+  // low-water mark, so the backend does not have to wait for the next poll.
+  // Body: { queueSize, currentRound }, signed with WEBHOOK_SECRET.
+  router.post('/webhooks/queue-low', verifyWebhook(() => config.webhookSecret), validate('queueLowWebhook'), async (req, res) => {
+    const { queueSize, currentRound: socketRound } = req.body || {};
+    if (!Number.isInteger(queueSize) || queueSize < 0) {
+      return res.status(400).json({ success: false, error: 'queueSize must be a non-negative integer' });
+    }
+
+    lastWebhookAt = Date.now();
+    recordSocketRound({ currentRound: socketRound, queueSize });
+    await syncRoundStatuses(socketRound);
+    req.log.info('Queue-low webhook received', { queueSize, socketRound });
+
+    const release = claimGeneration();
+    if (!release) {
+      return res.status(202).json({ success: true, generated: null, message: 'Generation already in progress' });
+    }
+
+    try {
+      if (!await acquireLeadership()) {
+        return res.status(409).json({ success: false, error: 'This instance is not the generator leader' });
+      }
+      const generated = await replenishQueue(queueSize);
+      lastQueueCheck = Date.now();
+      res.json({ success: true, generated });
+    } catch (error) {
+      req.log.error('Error handling queue-low webhook', { error: error.message });
+      res.status(500).json({ success: false, error: error.message });
+    } finally {
+      release();
+    }
+  });
+
+  // Round acknowledgements from the socket server, signed like the queue-low
+  // webhook. Body: { round, status } with status 'in_play' or 'completed'.
+  router.post('/webhooks/round-status', verifyWebhook(() => config.webhookSecret), validate('roundStatusWebhook'), async (req, res) => {
+    const { round, status } = req.body || {};
+    if (!Number.isInteger(round) || !['in_play', 'completed'].includes(status)) {
+      return res.status(400).json({ success: false, error: 'Expected { round, status: "in_play" | "completed" }' });
+    }
+
+    if (status === 'in_play') {
+      recordSocketRound({ currentRound: round });
+      await syncRoundStatuses(round);
+    } else {
+      await markRounds(round, round, 'completed');
+      await settleBets();
+    }
+    res.json({ success: true });
+  });
+
+  // Rounds in one status, oldest first, with the count in every status.
+  // `stuckFor` (ms) only lists rounds that have not moved for that long.
+  router.get('/admin/rounds', requireRole('viewer'), validate('listRoundsByStatus'), async (req, res) => {
+    const status = req.query.status || 'delivered';
+    if (!ROUND_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, error: `status must be one of ${ROUND_STATUSES.join(', ')}` });
+    }
+    const limit = req.query.limit ? parseInt(req.query.limit, 10) : 100;
+    const stuckFor = req.query.stuckFor ? parseInt(req.query.stuckFor, 10) : 0;
+    if (isNaN(limit) || limit < 1 || limit > 1000 || isNaN(stuckFor) || stuckFor < 0) {
+      return res.status(400).json({ success: false, error: 'limit must be 1-1000 and stuckFor a non-negative number of ms' });
+    }
+
+    try {
+      const [counts, rounds] = await Promise.all([
+        store.countRoundsByStatus(),
+        store.listRoundsByStatus(status, {
+          updatedBefore: stuckFor ? new Date(Date.now() - stuckFor).toISOString() : undefined,
+          limit
+        })
+      ]);
+      res.json({ success: true, status, counts, rounds });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Take voided rounds out of pending deliveries so they are never sent.
+  // Returns how many deliveries were cancelled outright.
+  async function dropVoidedFromOutbox(from, to) {
+    let cancelled = 0;
+    const pending = await store.listDeliveries('pending', 1000);
+    for (const entry of pending) {
+      if (entry.end_round < from || entry.start_round > to) continue;
+      const remaining = entry.multipliers.filter(m => m.round_number < from || m.round_number > to);
+      if (remaining.length === 0) {
+        await store.updateDelivery(entry.id, { status: 'cancelled', last_error: 'All rounds voided' });
+        cancelled++;
+      } else {
+        await store.updateDelivery(entry.id, {
+          multipliers: remaining,
+          start_round: remaining[0].round_number,
+          end_round: remaining[remaining.length - 1].round_number
+        });
+      }
+    }
+    return cancelled;
+  }
+
+  // Void rounds that were never played, e.g. after the socket server dropped
+  // its queue. Body: { from, to, reason }. Rounds the socket server may
+  // already have reached are refused, unless it never acknowledged them: a
+  // lost acknowledgement leaves a round `generated` for good, and voiding it
+  // is the only way to refund its bets.
+  router.post('/admin/rounds/void', requireRole('operator'), express.json(), validate('voidRounds'), async (req, res) => {
+    const { from, to = from, reason } = req.body || {};
+    if (!Number.isInteger(from) || !Number.isInteger(to) || from > to) {
+      return res.status(400).json({ success: false, error: 'from and to must be round numbers with from <= to' });
+    }
+    if (typeof reason !== 'string' || reason.trim() === '') {
+      return res.status(400).json({ success: false, error: 'reason is required' });
+    }
+
+    let socketData;
+    try {
+      socketData = await fetchSocketHealth();
+      recordSocketRound(socketData);
+    } catch (error) {
+      return res.status(503).json({ success: false, error: `Cannot confirm which rounds were played: ${error.message}` });
+    }
+    const reached = typeof socketData.currentRound === 'number' ? Math.min(to, socketData.currentRound) : from - 1;
+    if (from <= reached) {
+      let rows;
+      try {
+        rows = await store.getRounds(from, reached, ['status']);
+      } catch (error) {
+        return res.status(500).json({ success: false, error: error.message });
+      }
+      if (rows.some(row => row.status !== 'generated' && row.status !== 'voided')) {
+        return res.status(409).json({
+          success: false,
+          error: `The socket server is at round ${socketData.currentRound}, only later or unacknowledged rounds can be voided`
+        });
+      }
+    }
+
+    try {
+      let voided = 0;
+      if (from <= reached) {
+        voided += await store.updateRoundStatus(from, reached, 'voided', ['generated'], { void_reason: reason });
+      }
+      if (reached < to) {
+        voided += await store.updateRoundStatus(Math.max(from, reached + 1), to, 'voided', TRANSITIONS.voided, { void_reason: reason });
+      }
+      const cancelledDeliveries = await dropVoidedFromOutbox(from, to);
+      // Bets on the voided rounds are refunded
+      const { settled: refundedBets } = await settleBets();
+      req.log.info('Rounds voided', { from, to, voided, reason, actor: req.principal.name });
+      await recordAudit(req, 'rounds.void', {
+        success: true,
+        rounds: { startRound: from, endRound: to },
+        details: { reason, voided, cancelledDeliveries, refundedBets }
+      });
+      res.json({ success: true, voided, cancelledDeliveries, refundedBets });
+    } catch (error) {
+      await recordAudit(req, 'rounds.void', {
+        success: false,
+        rounds: { startRound: from, endRound: to },
+        details: { reason, error: error.message }
+      });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Parse optional from/to query or body values for the consistency routes
+  function parseScanRange(source) {
+    const range = {};
+    for (const key of ['from', 'to']) {
+      if (source[key] === undefined) continue;
+      const value = Number(source[key]);
+      if (!Number.isInteger(value) || value < 1) return null;
+      range[key] = value;
+    }
+    if (range.from !== undefined && range.to !== undefined && range.from > range.to) return null;
+    return range;
+  }
+
+  // Gaps, duplicates and out-of-bounds multipliers across the round table
+  router.get('/admin/consistency', requireRole('viewer'), validate('scanConsistency'), async (req, res) => {
+    const range = parseScanRange(req.query);
+    if (!range) return res.status(400).json({ success: false, error: 'from and to must be round numbers with from <= to' });
+    try {
+      const report = await scanConsistency(store, { ...range, activeSpec: distributionSpec });
+      res.json({ success: true, report });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Fill the gaps found by a fresh scan. Body: { mode: 'void' | 'backfill',
+  // reason, from, to, dryRun }. A dry run unless dryRun is false. Only the
+  // generator leader repairs, and never while it is generating.
+  router.post('/admin/consistency/repair', requireRole('operator'), express.json(), validate('repairConsistency'), async (req, res) => {
+    const { mode, reason, dryRun = true } = req.body || {};
+    const range = parseScanRange(req.body || {});
+    if (!REPAIR_MODES.includes(mode)) {
+      return res.status(400).json({ success: false, error: `mode must be one of ${REPAIR_MODES.join(', ')}` });
+    }
+    if (!range) return res.status(400).json({ success: false, error: 'from and to must be round numbers with from <= to' });
+    if (typeof dryRun !== 'boolean') return res.status(400).json({ success: false, error: 'dryRun must be a boolean' });
+    if (mode === 'void' && (typeof reason !== 'string' || reason.trim() === '')) {
+      return res.status(400).json({ success: false, error: 'reason is required to void missing rounds' });
+    }
+    // Hold off generation while rows are written
+    const release = claimGeneration();
+    if (!release) {
+      return res.status(409).json({ success: false, error: 'Generation is in progress, try again shortly' });
+    }
+    if (!await acquireLeadership()) {
+      release();
+      return res.status(409).json({ success: false, error: 'Only the instance holding the generator lease can repair rounds' });
+    }
+
+    let playedThrough;
+    try {
+      const socketData = await fetchSocketHealth();
+      recordSocketRound(socketData);
+      playedThrough = socketData.currentRound;
+    } catch (error) {
+      release();
+      return res.status(503).json({ success: false, error: `Cannot confirm which rounds were played: ${error.message}` });
+    }
+    if (mode === 'backfill' && !dryRun && !config.provablyFair && !await registerDistributionSpec()) {
+      release();
+      return res.status(500).json({ success: false, error: 'The distribution spec could not be registered' });
+    }
+
+    try {
+      const report = await scanConsistency(store, { ...range, activeSpec: distributionSpec });
+      const repair = await repairGaps(store, report, {
+        mode,
+        dryRun,
+        reason,
+        playedThrough,
+        spec: distributionSpec,
+        provablyFair: config.provablyFair,
+        clientSeed: config.fairClientSeed,
+        createRng: createBatchRng,
+        toPayload: toPublicRounds,
+        sinks: publisher.sinks.map(sink => sink.name)
+      });
+      if (!dryRun) {
+        req.log.info('Missing rounds repaired', { mode, rounds: repair.rounds, actor: req.principal.name });
+        await recordAudit(req, 'consistency.repair', {
+          success: true,
+          rounds: { startRound: report.from, endRound: report.to },
+          details: { mode, reason: reason || null, repaired: repair.repaired, skipped: repair.skipped }
+        });
+      }
+      res.json({ success: true, report, repair });
+    } catch (error) {
+      if (!dryRun) {
+        await recordAudit(req, 'consistency.repair', {
+          success: false,
+          details: { mode, reason: reason || null, ...range, error: error.message }
+        });
+      }
+      res.status(500).json({ success: false, error: error.message });
+    } finally {
+      release();
+    }
+
+    // Backfilled rounds go out through the outbox like any other batch
+    if (mode === 'backfill' && !dryRun) await processOutbox({ ignoreBackoff: true });
+  });
+
+  // Place a bet on an upcoming round. Body: { player, round, stake,
+  // autoCashout }. The stake is debited from the player's balance at once.
+  // Bets close when the round before it starts playing.
+  router.post('/bets', requireRole('operator'), express.json(), validate('placeBet'), requireLiveCutoff, async (req, res) => {
+    const { player, round, stake, autoCashout = null } = req.body || {};
+    const invalid = validateBet({ player, round, stake, autoCashout }, { minStake: config.betMinStake, maxStake: config.betMaxStake });
+    if (invalid) return res.status(400).json({ success: false, error: invalid });
+
+    try {
+      const row = await store.getRound(round, ['status']);
+      if (!row) return res.status(404).json({ success: false, error: 'Round not found' });
+      // The round in play is lastPlayedRound + 1, so bets start one after it
+      if (round <= req.lastPlayedRound + 1 || !['generated', 'delivered'].includes(row.status)) {
+        return res.status(409).json({ success: false, error: `Round ${round} is no longer open for bets` });
+      }
+
+      const { bet, balance } = await store.placeBet({ player, round_number: round, stake, auto_cashout: autoCashout });
+      req.log.info('Bet placed', { betId: bet.id, player, round, stake });
+      res.status(201).json({ success: true, bet, balance });
+    } catch (error) {
+      if (error.code === INSUFFICIENT_FUNDS) return res.status(409).json({ success: false, error: error.message });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Bets filtered by round, player and status, oldest first
+  router.get('/bets', requireRole('viewer'), validate('listBets'), async (req, res) => {
+    const round = req.query.round === undefined ? undefined : parseInt(req.query.round, 10);
+    const limit = req.query.limit ? parseInt(req.query.limit, 10) : 100;
+    const { player, status } = req.query;
+    if (Number.isNaN(round) || isNaN(limit) || limit < 1 || limit > 1000) {
+      return res.status(400).json({ success: false, error: 'round must be a round number and limit 1-1000' });
+    }
+    if (status && !BET_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, error: `status must be one of ${BET_STATUSES.join(', ')}` });
+    }
+    try {
+      res.json({ success: true, bets: await store.listBets({ round, player, status, limit }) });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  router.get('/bets/:id', requireRole('viewer'), validate('getBet'), async (req, res) => {
+    const betId = parseInt(req.params.id, 10);
+    if (isNaN(betId)) return res.status(400).json({ success: false, error: 'Invalid id' });
+    try {
+      const bet = await store.getBet(betId);
+      if (!bet) return res.status(404).json({ success: false, error: 'Bet not found' });
+      res.json({ success: true, bet });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Record a manual cash-out while the bet's round is in play, both for the
+  // socket server and in the stored round status. Body: { multiplier }.
+  // A bet cashes out once. Whether it won is decided when the round settles.
+  router.post('/bets/:id/cashout', requireRole('operator'), express.json(), validate('cashOutBet'), requireLiveCutoff, async (req, res) => {
+    const betId = parseInt(req.params.id, 10);
+    const { multiplier } = req.body || {};
+    if (isNaN(betId)) return res.status(400).json({ success: false, error: 'Invalid id' });
+    if (!isValidCashout(multiplier)) {
+      return res.status(400).json({ success: false, error: 'multiplier must be a cash-out multiplier with at most two decimals' });
+    }
+
+    try {
+      const bet = await store.getBet(betId);
+      if (!bet) return res.status(404).json({ success: false, error: 'Bet not found' });
+      const row = await store.getRound(bet.round_number, ['status']);
+      if (bet.round_number !== req.lastPlayedRound + 1 || !row || row.status !== 'in_play') {
+        return res.status(409).json({ success: false, error: `Round ${bet.round_number} is not in play` });
+      }
+      if (bet.manual_cashout !== null) {
+        return res.status(409).json({ success: false, error: 'Bet is already cashed out' });
+      }
+      const updated = await store.recordCashout(betId, multiplier);
+      if (!updated) return res.status(409).json({ success: false, error: 'Bet is already settled or cashed out' });
+      req.log.info('Cash-out recorded', { betId, multiplier });
+      res.json({ success: true, bet: updated });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Settle every bet whose round has completed or was voided. Settlement also
+  // runs on its own as the socket server reports played rounds.
+  router.post('/admin/bets/settle', requireRole('operator'), validate('settleBets'), async (req, res) => {
+    const { settled, skipped } = await settleBets();
+    if (skipped) return res.status(409).json({ success: false, message: 'Settlement already in progress' });
+    await recordAudit(req, 'bets.settle', { success: true, details: { settled } });
+    res.json({ success: true, settled });
+  });
+
+  // Reconciliation report for one round's bets
+  router.get('/admin/reports/rounds/:round', requireRole('viewer'), validate('getRoundReport'), async (req, res) => {
+    const round = parseInt(req.params.round, 10);
+    if (isNaN(round)) return res.status(400).json({ success: false, error: 'Invalid round' });
+    try {
+      const [bets, row] = await Promise.all([
+        store.listBets({ round, limit: 100000 }),
+        store.getRound(round, ['multiplier', 'status'])
+      ]);
+      res.json({ success: true, report: roundReport(round, bets, row) });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Reconciliation report for one player's bets in this room and their balance
+  router.get('/admin/reports/players/:player', requireRole('viewer'), validate('getPlayerReport'), async (req, res) => {
+    const { player } = req.params;
+    if (!PLAYER_ID_PATTERN.test(player)) return res.status(400).json({ success: false, error: 'Invalid player' });
+    try {
+      const [bets, account] = await Promise.all([
+        store.listBets({ player, limit: 100000 }),
+        store.getPlayerAccount(player)
+      ]);
+      res.json({ success: true, report: playerReport(player, bets, account) });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Queue status endpoint
+  router.get('/queue-status', requireRole('viewer'), validate('getQueueStatus'), async (req, res) => {
+    let socketData;
+    try {
+      socketData = await fetchSocketHealth();
+    } catch (error) {
+      req.log.error('Error checking socket server', { error: error.message });
+      return res.status(500).json({ success: false, error: 'Failed to check socket server' });
+    }
+
+    try {
+      recordSocketRound(socketData);
+
+      res.json({
+        success: true,
+        backend: {
+          currentRound,
+          isGenerating,
+          lastQueueCheck: lastQueueCheck ? new Date(lastQueueCheck).toISOString() : null,
+          queueThreshold: config.queueThreshold,
+          batchSize: config.batchSize,
+          nextBatchSize: currentBatchSize(),
+          adaptiveBatchSize: config.adaptiveBatchSize,
+          consumptionPerSecond: consumption.ratePerSecond(),
+          queueWebhook: config.queueWebhook,
+          lastWebhook: lastWebhookAt ? new Date(lastWebhookAt).toISOString() : null
+        },
+        socket: {
+          queueSize: socketData.queueSize,
+          gamePhase: socketData.gamePhase,
+          currentRound: socketData.currentRound,
+          currentMultiplier: socketData.currentMultiplier
+        }
+      });
+    } catch (error) {
+      req.log.error('Error checking queue status', { error: error.message });
+      res.status(500).json({ 
+        success: false, 
+        error: error.message 
+      });
+    }
+  });
+
+  // (Re)create the polling timers from the current config
+  function schedulePolling() {
+    clearInterval(queueCheckTimer);
+    clearInterval(statsTimer);
+    clearInterval(outboxTimer);
+
+    // Set up interval to check socket queue and generate when needed
+    queueCheckTimer = setInterval(checkSocketQueueAndGenerate, queuePollInterval());
+
+    // Display stats every 50 queue checks (approximately every 4 minutes)
+    statsTimer = setInterval(displayDistributionStats, config.queueCheckInterval * 50);
+
+    // Retry undelivered batches whose backoff has expired (leader only)
+    outboxTimer = setInterval(() => {
+      if (isLeader) processOutbox();
+    }, config.outboxRetryInterval);
+  }
+
+  // Poll the socket queue, with a first check shortly after startup
+  function startPolling() {
+    log.info('Starting queue-based multiplier generation', {
+      queueCheckInterval: queuePollInterval(),
+      queueThreshold: config.queueThreshold
+    });
+    pollingStarted = true;
+    schedulePolling();
+    initialCheckTimer = setTimeout(checkSocketQueueAndGenerate, 2000);
+  }
+
+  // Pick up reloaded intervals
+  function reschedulePolling() {
+    if (pollingStarted) schedulePolling();
+  }
+
+  function stopPolling() {
+    pollingStarted = false;
+    clearInterval(queueCheckTimer);
+    clearInterval(statsTimer);
+    clearInterval(outboxTimer);
+    clearTimeout(initialCheckTimer);
+  }
+
+  // Snapshot of the generation state, for tests and diagnostics
+  function getGenerationState() {
+    return {
+      roomId: id,
+      instanceId: config.instanceId,
+      isLeader,
+      currentRound,
+      nextRoundToGenerate,
+      isGenerating,
+      lastQueueCheck,
+      bufferedRounds: multiplierBuffer.length,
+      recentWindowSize: recentMultipliers.length,
+      shuttingDown
+    };
+  }
+
+  // Readiness checks for this room: its socket server, queue, last batch and
+  // generation. Names are prefixed with the room id except in the default room.
+  function readinessChecks() {
+    const socketHealth = fetchSocketHealth();
+    // The queue check reads the same response, so one failure is not reported twice
+    socketHealth.catch(() => {});
+
+    const checks = {
+      socketServer: async () => {
+        try {
+          recordSocketRound(await socketHealth);
+          return { status: 'pass', currentRound: socketCurrentRound, gamePhase: socketGamePhase };
+        } catch (error) {
+          return {
+            status: 'warn',
+            error: error.message,
+            lastReachableAt: lastSocketOkAt ? new Date(lastSocketOkAt).toISOString() : null,
+            downForMs: lastSocketOkAt ? Date.now() - lastSocketOkAt : null
+          };
+        }
+      },
+      queue: async () => {
+        let queueSize;
+        try {
+          queueSize = (await socketHealth).queueSize || 0;
+        } catch (error) {
+          return { status: 'warn', queueSize: null, error: 'Socket server unreachable' };
+        }
+        return {
+          status: queueSize > config.queueThreshold ? 'pass' : 'warn',
+          queueSize,
+          threshold: config.queueThreshold
+        };
+      },
+      lastBatch: async () => {
+        // Only the leader generates, a standby has nothing to report
+        if (!isLeader) return { status: 'pass', leader: false };
+        const ageMs = Date.now() - (lastBatchAt || startedAt);
+        const failedSince = lastBatchFailure && lastBatchFailure.at > lastBatchAt;
+        return {
+          status: failedSince || ageMs > config.healthBatchMaxAge ? 'warn' : 'pass',
+          leader: true,
+          lastBatchAt: lastBatchAt ? new Date(lastBatchAt).toISOString() : null,
+          ageMs,
+          maxAgeMs: config.healthBatchMaxAge,
+          lastFailure: failedSince
+            ? { at: new Date(lastBatchFailure.at).toISOString(), reason: lastBatchFailure.reason }
+            : null
+        };
+      },
+      generation: async () => {
+        const runningForMs = isGenerating ? Date.now() - generatingSince : 0;
+        return {
+          status: runningForMs > config.healthGenerationStuckAfter ? 'fail' : 'pass',
+          isGenerating,
+          runningForMs,
+          stuckAfterMs: config.healthGenerationStuckAfter
+        };
+      }
+    };
+    if (id === DEFAULT_ROOM) return checks;
+    return Object.fromEntries(Object.entries(checks).map(([name, check]) => [`${id}.${name}`, check]));
+  }
+
+  // Stop polling and starting batches, for shutdown
+  function beginShutdown() {
+    shuttingDown = true;
+    stopPolling();
+  }
+
+  // Let a batch in flight store its rounds or roll its range back, hand stored
+  // batches to the socket server and release the lease, all before `deadline`.
+  // Resolves with { generationSettled, pendingDeliveries }.
+  async function drain(deadline) {
+    const generationSettled = await waitUntil(() => !isGenerating, deadline);
+    if (!generationSettled) log.error('Batch generation was still running at the shutdown deadline');
+
+    // Hand stored batches to the socket server before the lease goes
+    let pendingDeliveries = null;
+    if (isLeader) {
+      if (await waitUntil(() => !isDeliveringOutbox, deadline)) {
+        await beforeDeadline(processOutbox({ ignoreBackoff: true }), deadline);
+      }
+      pendingDeliveries = await beforeDeadline(countPendingDeliveries().catch(() => null), deadline);
+      if (pendingDeliveries) log.warn('Batches left in the outbox for the next leader', { pendingDeliveries });
+
+      try {
+        await store.releaseLease(LEADER_LEASE_NAME, config.instanceId);
+        isLeader = false;
+      } catch (error) {
+        log.error('Error releasing the generator lease', { error: error.message });
+      }
+    }
+    return { generationSettled, pendingDeliveries };
+  }
+
+  return {
+    id,
+    config,
+    store,
+    router,
+    distributionSpec,
+    initialize: initializeRoundNumbers,
+    startPolling,
+    stopPolling,
+    reschedulePolling,
+    readinessChecks,
+    beginShutdown,
+    drain,
+    checkSocketQueueAndGenerate,
+    generateFullBatch,
+    processOutbox,
+    settleBets,
+    getGenerationState
+  };
+}
+
+module.exports = { createRoom };
@@ -0,0 +1,92 @@
+// Game rooms.
+//
+// Each room has its own round sequence, socket server, distribution settings
+// and generator state. The 'default' room is configured by the top-level keys
+// and also serves the unprefixed /api routes. More rooms come from ROOMS (a
+// JSON list, or `rooms` in the config file); an entry may override ROOM_KEYS:
+//
+//   ROOMS='[{"id":"vip","socketServerUrl":"https://vip.example","socketServerSecret":"...","batchSize":50}]'
+//
+// Every other key (intervals, outbox, logging, auth...) is shared. A room's
+// config reads through to the shared config, so reloads reach every room.
+
+const DEFAULT_ROOM = 'default';
+const ROOM_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+
+const ROOM_KEYS = [
+  'socketServerUrl',
+  'socketServerSecret',
+  'webhookSecret',
+  'startRound',
+  'batchSize',
+  'queueThreshold',
+  'adaptiveBatchSize',
+  'batchSizeMin',
+  'batchSizeMax',
+  'batchTargetSeconds',
+  'rng',
+  'rngSeed',
+  'provablyFair',
+  'fairClientSeed',
+  'distributionSpec',
+  'betMinStake',
+  'betMaxStake'
+];
+
+// Shape checks on the raw room list. Returns error messages.
+function validateRoomEntries(rooms) {
+  if (!Array.isArray(rooms)) return [' must be a list of { id, socketServerUrl, ... }'];
+  const errors = [];
+  const seen = new Set();
+  rooms.forEach((room, i) => {
+    if (!room || typeof room !== 'object') {
+      errors.push(`[${i}] must be an object`);
+      return;
+    }
+    if (typeof room.id !== 'string' || !ROOM_ID_PATTERN.test(room.id)) {
+      errors.push(`[${i}] id must match ${ROOM_ID_PATTERN}`);
+    } else if (room.id === DEFAULT_ROOM) {
+      errors.push(`[${i}] id "${DEFAULT_ROOM}" is reserved for the top-level config`);
+    } else if (seen.has(room.id)) {
+      errors.push(`[${i}] duplicate id "${room.id}"`);
+    }
+    seen.add(room.id);
+    if (!room.socketServerUrl) errors.push(`[${i}] needs a socketServerUrl`);
+    for (const key of Object.keys(room)) {
+      if (key !== 'id' && !ROOM_KEYS.includes(key)) errors.push(`[${i}] unknown key "${key}"`);
+    }
+  });
+  return errors;
+}
+
+// A room's config: its overrides on top of the shared config
+function createRoomConfig(config, room) {
+  const roomConfig = Object.create(config);
+  for (const key of ROOM_KEYS) {
+    if (room[key] !== undefined) roomConfig[key] = room[key];
+  }
+  roomConfig.roomId = room.id;
+  return roomConfig;
+}
+
+// Configs of every room, the default room first
+function roomConfigs(config) {
+  return [
+    createRoomConfig(config, { id: DEFAULT_ROOM }),
+    ...config.rooms.map(room => createRoomConfig(config, room))
+  ];
+}
+
+// Each room elects its own generator leader
+function generatorLeaseName(roomId) {
+  return roomId === DEFAULT_ROOM ? 'generator' : `generator:${roomId}`;
+}
+
+module.exports = {
+  DEFAULT_ROOM,
+  ROOM_KEYS,
+  validateRoomEntries,
+  createRoomConfig,
+  roomConfigs,
+  generatorLeaseName
+};
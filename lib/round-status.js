@@ -0,0 +1,26 @@
+// Round lifecycle.
+//
+//   generated -> delivered -> in_play -> completed
+//        \           \
+//         +-----------+----> voided
+//
+// Rows start as `generated`, become `delivered` when the socket server
+// acknowledges the batch, then follow the socket server's current round.
+// Only rounds that never reached play can be voided.
+
+const ROUND_STATUSES = ['generated', 'delivered', 'in_play', 'completed', 'voided'];
+
+// Statuses each transition may start from. Completed and voided are final.
+// Only delivered rounds can be played, so a round the socket server never
+// received stays generated even when the socket round passes it.
+const TRANSITIONS = {
+  delivered: ['generated'],
+  in_play: ['delivered'],
+  completed: ['delivered', 'in_play'],
+  voided: ['generated', 'delivered']
+};
+
+module.exports = {
+  ROUND_STATUSES,
+  TRANSITIONS
+};
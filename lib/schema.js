@@ -0,0 +1,150 @@
+// JSON Schema checks for the OpenAPI contract (lib/openapi.js).
+//
+// Covers the subset of OpenAPI 3.0 schemas the contract uses: type (with
+// nullable), enum, minimum/maximum, minLength/maxLength, pattern, format
+// date-time, properties/required/additionalProperties, items/minItems/
+// maxItems, oneOf/anyOf/allOf and local $refs to #/components/schemas.
+
+const TYPE_NAMES = {
+  integer: 'an integer',
+  number: 'a number',
+  string: 'a string',
+  boolean: 'a boolean',
+  object: 'an object',
+  array: 'an array'
+};
+
+function typeMatches(type, value) {
+  switch (type) {
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'string':
+      return typeof value === 'string';
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'array':
+      return Array.isArray(value);
+    default:
+      throw new Error(`Unsupported schema type ${type}`);
+  }
+}
+
+function resolveRef(schema, components) {
+  if (!schema.$ref) return schema;
+  const name = schema.$ref.replace('#/components/schemas/', '');
+  const resolved = components && components.schemas && components.schemas[name];
+  if (!resolved) throw new Error(`Unknown schema reference ${schema.$ref}`);
+  return resolveRef(resolved, components);
+}
+
+// Check `value` against `schema`. Returns error messages naming the failing
+// location, e.g. "body.stake must be an integer"; empty when it matches.
+function validateSchema(schema, value, { components, path = 'value' } = {}) {
+  const errors = [];
+  check(resolveRef(schema, components), value, path);
+  return errors;
+
+  function check(schemaAt, valueAt, at) {
+    if (valueAt === null) {
+      if (!schemaAt.nullable && schemaAt.type) errors.push(`${at} must not be null`);
+      return;
+    }
+
+    if (schemaAt.oneOf) {
+      const matching = schemaAt.oneOf.filter(option => validateSchema(option, valueAt, { components, path: at }).length === 0);
+      if (matching.length !== 1) errors.push(`${at} must match exactly one of its allowed shapes`);
+      return;
+    }
+    if (schemaAt.anyOf) {
+      const matches = schemaAt.anyOf.some(option => validateSchema(option, valueAt, { components, path: at }).length === 0);
+      if (!matches) errors.push(`${at} does not match any of its allowed shapes`);
+      return;
+    }
+    if (schemaAt.allOf) {
+      for (const part of schemaAt.allOf) check(resolveRef(part, components), valueAt, at);
+    }
+
+    if (schemaAt.type && !typeMatches(schemaAt.type, valueAt)) {
+      errors.push(`${at} must be ${TYPE_NAMES[schemaAt.type]}`);
+      return;
+    }
+    if (schemaAt.enum && !schemaAt.enum.includes(valueAt)) {
+      errors.push(`${at} must be one of ${schemaAt.enum.join(', ')}`);
+    }
+
+    if (typeof valueAt === 'number') {
+      if (schemaAt.minimum !== undefined && valueAt < schemaAt.minimum) errors.push(`${at} must be at least ${schemaAt.minimum}`);
+      if (schemaAt.maximum !== undefined && valueAt > schemaAt.maximum) errors.push(`${at} must be at most ${schemaAt.maximum}`);
+    }
+
+    if (typeof valueAt === 'string') {
+      if (schemaAt.minLength !== undefined && valueAt.length < schemaAt.minLength) {
+        errors.push(`${at} must be at least ${schemaAt.minLength} characters`);
+      }
+      if (schemaAt.maxLength !== undefined && valueAt.length > schemaAt.maxLength) {
+        errors.push(`${at} must be at most ${schemaAt.maxLength} characters`);
+      }
+      if (schemaAt.pattern && !new RegExp(schemaAt.pattern).test(valueAt)) errors.push(`${at} must match ${schemaAt.pattern}`);
+      if (schemaAt.format === 'date-time' && isNaN(Date.parse(valueAt))) errors.push(`${at} must be an ISO timestamp`);
+    }
+
+    if (Array.isArray(valueAt)) {
+      if (schemaAt.minItems !== undefined && valueAt.length < schemaAt.minItems) {
+        errors.push(`${at} must have at least ${schemaAt.minItems} items`);
+      }
+      if (schemaAt.maxItems !== undefined && valueAt.length > schemaAt.maxItems) {
+        errors.push(`${at} must have at most ${schemaAt.maxItems} items`);
+      }
+      if (schemaAt.items) {
+        const items = resolveRef(schemaAt.items, components);
+        valueAt.forEach((item, i) => check(items, item, `${at}[${i}]`));
+      }
+    }
+
+    if (typeMatches('object', valueAt)) {
+      for (const key of schemaAt.required || []) {
+        if (valueAt[key] === undefined) errors.push(`${at}.${key} is required`);
+      }
+      const properties = schemaAt.properties || {};
+      for (const [key, item] of Object.entries(valueAt)) {
+        if (item === undefined) continue;
+        if (properties[key]) {
+          check(resolveRef(properties[key], components), item, `${at}.${key}`);
+        } else if (schemaAt.additionalProperties === false) {
+          errors.push(`${at}.${key} is not allowed`);
+        } else if (typeof schemaAt.additionalProperties === 'object') {
+          check(resolveRef(schemaAt.additionalProperties, components), item, `${at}.${key}`);
+        }
+      }
+    }
+  }
+}
+
+// Convert a raw path or query string to the type its schema declares, so
+// "42" validates as an integer but "42abc" and "" do not. Values that cannot
+// be converted are returned unchanged and fail validation.
+function coerceParameter(schema, raw) {
+  if (typeof raw !== 'string') return raw;
+  switch (schema.type) {
+    case 'integer':
+      return /^-?\d+$/.test(raw) ? Number(raw) : raw;
+    case 'number':
+      return raw.trim() !== '' && Number.isFinite(Number(raw)) ? Number(raw) : raw;
+    case 'boolean':
+      if (raw === 'true') return true;
+      if (raw === 'false') return false;
+      return raw;
+    default:
+      return raw;
+  }
+}
+
+module.exports = {
+  validateSchema,
+  coerceParameter,
+  resolveRef
+};
@@ -0,0 +1,156 @@
+const express = require('express');
+const fetch = require('node-fetch');
+const { webhookHeaders } = require('./webhook');
+
+// Local stand-in for the socket server. Implements the two endpoints the
+// backend talks to (/health and /queue) and plays queued rounds at a fixed
+// pace, so the backend can be run and tested without the hosted server.
+// With a `webhookUrl` it also calls the backend's queue-low webhook once each
+// time the queue drains to `lowWaterMark`, and with a `roundStatusUrl` it
+// reports every round it starts playing.
+
+function createSocketSimulator({
+  secret = 'your-secret-token',
+  roundIntervalMs = 10000,
+  startRound = 0,
+  webhookUrl = null,
+  roundStatusUrl = null,
+  webhookSecret = secret,
+  lowWaterMark = 5
+} = {}) {
+  const app = express();
+  app.use(express.json({ limit: '1mb' }));
+
+  const state = {
+    queue: [],
+    gamePhase: 'wait',
+    currentRound: startRound,
+    currentMultiplier: 1.0,
+    roundsPlayed: 0,
+    available: true,
+    acceptingQueue: true,
+    webhookCalls: 0
+  };
+  let lowNotified = false;
+  let server = null;
+  let timer = null;
+
+  // Play the next queued round; the phase drops back to 'wait' when empty
+  function consumeRound() {
+    const next = state.queue.shift();
+    if (!next) {
+      state.gamePhase = 'wait';
+      return null;
+    }
+    state.currentRound = next.round_number;
+    state.currentMultiplier = next.multiplier;
+    state.gamePhase = 'flying';
+    state.roundsPlayed++;
+    if (roundStatusUrl) {
+      postWebhook(roundStatusUrl, { round: next.round_number, status: 'in_play' })
+        .catch(error => console.error('❌ Simulator round-status webhook failed:', error.message));
+    }
+    if (webhookUrl && state.queue.length <= lowWaterMark && !lowNotified) {
+      lowNotified = true;
+      notifyQueueLow().catch(error => console.error('❌ Simulator webhook failed:', error.message));
+    }
+    return next;
+  }
+
+  // Call the backend's queue-low webhook and resolve with its response. Tests
+  // pass the URL of a backend started after the simulator.
+  async function notifyQueueLow(url = webhookUrl) {
+    state.webhookCalls++;
+    return postWebhook(url, { queueSize: state.queue.length, currentRound: state.currentRound });
+  }
+
+  async function postWebhook(url, body) {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: webhookHeaders(webhookSecret, body),
+      body: JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  // Simulate the socket server going down (health and queue return 503)
+  function setAvailable(available) {
+    state.available = available;
+  }
+
+  // Simulate /queue rejecting batches while /health stays up
+  function setAcceptingQueue(accepting) {
+    state.acceptingQueue = accepting;
+  }
+
+  app.use((req, res, next) => {
+    if (!state.available) return res.status(503).json({ status: 'unavailable' });
+    next();
+  });
+
+  app.get('/health', (req, res) => {
+    res.json({
+      status: 'healthy',
+      queueSize: state.queue.length,
+      gamePhase: state.gamePhase,
+      currentRound: state.currentRound,
+      currentMultiplier: state.currentMultiplier
+    });
+  });
+
+  app.post('/queue', (req, res) => {
+    if (req.headers.authorization !== `Bearer ${secret}`) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+    if (!state.acceptingQueue) {
+      return res.status(500).json({ error: 'Queue unavailable' });
+    }
+    const { multipliers } = req.body || {};
+    if (!Array.isArray(multipliers)) {
+      return res.status(400).json({ error: 'multipliers must be an array' });
+    }
+    state.queue.push(...multipliers);
+    if (state.queue.length > lowWaterMark) lowNotified = false;
+    res.json({ success: true, queueSize: state.queue.length });
+  });
+
+  // Resolves with the bound port; pass 0 for a random free port
+  function start(port = 0) {
+    return new Promise((resolve) => {
+      server = app.listen(port, () => {
+        if (roundIntervalMs > 0) timer = setInterval(consumeRound, roundIntervalMs);
+        resolve(server.address().port);
+      });
+    });
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+    return new Promise((resolve) => {
+      if (!server) return resolve();
+      server.close(() => resolve());
+    });
+  }
+
+  return { app, state, consumeRound, notifyQueueLow, setAvailable, setAcceptingQueue, start, stop };
+}
+
+module.exports = { createSocketSimulator };
+
+// Run standalone: node lib/socket-simulator.js
+if (require.main === module) {
+  require('dotenv').config();
+  const simulator = createSocketSimulator({
+    secret: process.env.SOCKET_SERVER_SECRET || 'your-secret-token',
+    roundIntervalMs: parseInt(process.env.SIMULATOR_ROUND_INTERVAL || '10000', 10),
+    webhookUrl: process.env.SIMULATOR_WEBHOOK_URL || null,
+    roundStatusUrl: process.env.SIMULATOR_ROUND_STATUS_URL || null,
+    webhookSecret: process.env.WEBHOOK_SECRET || process.env.SOCKET_SERVER_SECRET || 'your-secret-token',
+    lowWaterMark: parseInt(process.env.SIMULATOR_LOW_WATER_MARK || '5', 10)
+  });
+  const port = parseInt(process.env.SIMULATOR_PORT || '4000', 10);
+  simulator.start(port).then((boundPort) => {
+    console.log(`🛰️ Socket server simulator listening on port ${boundPort}`);
+  });
+}
@@ -0,0 +1,153 @@
+// Distribution statistics over a sequence of multipliers, a tally of the
+// generator's adjustment rules, and a small TTL cache so dashboards can poll
+// the same range cheaply.
+
+const LOW_MULTIPLIER = 1.3;
+const DEFAULT_CASHOUT_TARGETS = [1.5, 2, 3, 5, 10];
+const PERCENTILES = [10, 25, 50, 75, 90, 95, 99];
+
+// Same buckets displayDistributionStats() has always logged
+const BUCKETS = [
+  { name: 'crashes', label: '1.01x', test: m => m === 1.01 },
+  { name: 'low', label: '1.02-1.3x', test: m => m > 1.01 && m <= 1.3 },
+  { name: 'decent', label: '1.3-2.5x', test: m => m > 1.3 && m <= 2.5 },
+  { name: 'good', label: '2.5-10x', test: m => m > 2.5 && m <= 10 },
+  { name: 'high', label: '10-30x', test: m => m > 10 && m <= 30 },
+  { name: 'huge', label: '30x+', test: m => m > 30 }
+];
+
+function histogram(multipliers) {
+  const counts = {};
+  for (const bucket of BUCKETS) {
+    counts[bucket.name] = multipliers.filter(bucket.test).length;
+  }
+  return counts;
+}
+
+// Nearest-rank percentile on an already sorted array
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(Math.max(rank, 1), sorted.length) - 1];
+}
+
+// Longest runs of rounds at or below LOW_MULTIPLIER, longest first
+function lowStreaks(rounds, limit) {
+  const streaks = [];
+  let start = null;
+  let length = 0;
+
+  rounds.forEach((round, i) => {
+    if (round.multiplier <= LOW_MULTIPLIER) {
+      if (length === 0) start = round.round_number;
+      length++;
+    }
+    if (length > 0 && (round.multiplier > LOW_MULTIPLIER || i === rounds.length - 1)) {
+      const end = round.multiplier > LOW_MULTIPLIER ? rounds[i - 1].round_number : round.round_number;
+      streaks.push({ length, startRound: start, endRound: end });
+      length = 0;
+    }
+  });
+
+  return streaks.sort((a, b) => b.length - a.length || a.startRound - b.startRound).slice(0, limit);
+}
+
+// `rounds` is [{ round_number, multiplier }] ordered by round_number
+function computeStats(rounds, { cashoutTargets = DEFAULT_CASHOUT_TARGETS, streakLimit = 5 } = {}) {
+  const multipliers = rounds.map(r => Number(r.multiplier));
+  const count = multipliers.length;
+  const sorted = multipliers.slice().sort((a, b) => a - b);
+  const counts = histogram(multipliers);
+
+  const percentiles = {};
+  for (const p of PERCENTILES) percentiles[`p${p}`] = percentile(sorted, p);
+
+  // A cash-out at `target` pays target x stake whenever the round reaches it
+  const rtp = cashoutTargets.map((target) => {
+    const wins = multipliers.filter(m => m >= target).length;
+    const winRate = count > 0 ? wins / count : null;
+    return { target, winRate, rtp: winRate === null ? null : winRate * target };
+  });
+
+  return {
+    count,
+    mean: count > 0 ? multipliers.reduce((sum, m) => sum + m, 0) / count : null,
+    min: count > 0 ? sorted[0] : null,
+    max: count > 0 ? sorted[count - 1] : null,
+    percentiles,
+    histogram: BUCKETS.map(bucket => ({
+      bucket: bucket.name,
+      range: bucket.label,
+      count: counts[bucket.name],
+      share: count > 0 ? counts[bucket.name] / count : null
+    })),
+    rtp,
+    longestLowStreaks: lowStreaks(rounds.map(r => ({ round_number: r.round_number, multiplier: Number(r.multiplier) })), streakLimit)
+  };
+}
+
+// Counts how often each generator adjustment rule fires across audited
+// rounds, and by how much it moves the value on average
+function createAdjustmentTally() {
+  const rules = new Map();
+  let rounds = 0;
+
+  return {
+    add(adjustments) {
+      rounds++;
+      for (const { rule, before, after } of adjustments) {
+        const entry = rules.get(rule) || { fired: 0, totalChange: 0 };
+        entry.fired++;
+        entry.totalChange += after - before;
+        rules.set(rule, entry);
+      }
+    },
+    summary() {
+      return {
+        rounds,
+        rules: Array.from(rules, ([rule, { fired, totalChange }]) => ({
+          rule,
+          fired,
+          rate: fired / rounds,
+          meanChange: totalChange / fired
+        })).sort((a, b) => b.fired - a.fired || (a.rule < b.rule ? -1 : 1))
+      };
+    }
+  };
+}
+
+// Time-bounded cache keyed by the normalised query. When full, the oldest
+// entry is dropped.
+function createStatsCache({ ttlMs, maxEntries = 100 }) {
+  const entries = new Map();
+
+  return {
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (Date.now() - entry.storedAt > ttlMs()) {
+        entries.delete(key);
+        return null;
+      }
+      return entry.value;
+    },
+    set(key, value) {
+      if (entries.size >= maxEntries) entries.delete(entries.keys().next().value);
+      entries.set(key, { value, storedAt: Date.now() });
+    },
+    clear() {
+      entries.clear();
+    }
+  };
+}
+
+module.exports = {
+  LOW_MULTIPLIER,
+  DEFAULT_CASHOUT_TARGETS,
+  BUCKETS,
+  histogram,
+  percentile,
+  computeStats,
+  createAdjustmentTally,
+  createStatsCache
+};
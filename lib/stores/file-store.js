@@ -0,0 +1,41 @@
+const fs = require('fs');
+const path = require('path');
+const { createMemoryStore } = require('./memory-store');
+
+// MultiplierStore persisted to a local JSON file. The whole file is loaded at
+// startup and rewritten (via a temp file and rename) after every write.
+
+function createFileStore({ filePath }) {
+  let state;
+  if (fs.existsSync(filePath)) {
+    state = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } else {
+    state = { multipliers: [], batches: [], outbox: [], nextId: 1 };
+  }
+
+  async function writeTables(tables) {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.tmp`;
+    await fs.promises.writeFile(tmpPath, JSON.stringify(tables));
+    await fs.promises.rename(tmpPath, filePath);
+  }
+
+  // Writes run one at a time, so two of them never share the temp file. Each
+  // serializes the tables when its turn comes, so the last one on disk holds
+  // every change made before it.
+  let writing = Promise.resolve();
+  function persist(tables) {
+    const write = writing.then(() => writeTables(tables));
+    writing = write.catch(() => {});
+    return write;
+  }
+
+  const store = createMemoryStore({ state, onChange: persist });
+  store.name = 'file';
+  store.filePath = filePath;
+  const forRoom = store.forRoom;
+  store.forRoom = roomId => Object.assign(forRoom(roomId), { name: 'file', filePath });
+  return store;
+}
+
+module.exports = { createFileStore };
@@ -0,0 +1,80 @@
+// MultiplierStore: every read and write of round data goes through one of
+// these adapters, so the backend can run against Supabase, in memory, or a
+// local JSON file.
+//
+// A store is scoped to one game room (`roomId`, 'default' unless created
+// with another); forRoom(roomId) returns the same backend scoped to another
+// room. Round data (rounds, batches, outbox, reservations, bets) is per room;
+// leases, the audit log, distribution specs and the player ledger are shared.
+//
+// Interface (all methods async, failures are thrown as Errors):
+//   getHighestRoundNumber()                 -> number, 0 when empty
+//   getLowestRoundNumber()                  -> number, 0 when empty
+//   getExistingRounds(startRound, endRound) -> round numbers already stored
+//   insertMultipliers(rows)                 -> number of rows inserted
+//   getRound(round, columns)                -> row or null
+//   getRounds(from, to, columns)            -> rows ordered by round_number
+//   getRoundsCreatedBetween(since, until, maxRound, columns, limit)
+//                                           -> up to `limit` rows created in the window,
+//                                              by round_number
+//   getLatestRound(maxRound, columns)       -> highest row <= maxRound, or null
+//   getLatestRounds(maxRound, limit, columns)
+//                                           -> the `limit` highest rows <= maxRound, by round_number
+//   updateRoundStatus(from, to, status, fromStatuses, fields)
+//                                           -> number of rows in the range moved from one of
+//                                              fromStatuses to status (see lib/round-status.js)
+//   listRoundsByStatus(status, { updatedBefore, limit })
+//                                           -> rows in that status, by round_number
+//   countRoundsByStatus()                   -> { status: count }
+//   getCommitments(from, to)                -> provably-fair commitments
+//   insertBatch(batch) / getBatch(startRound)
+//   getLatestBatch()                        -> { start_round, end_round, end_window } of the
+//                                              highest batch, or null
+//   insertDelivery(delivery)                -> stored outbox row with its id
+//   getDelivery(id)                         -> outbox row or null
+//   listDeliveries(status, limit, sink)     -> outbox rows ordered by start_round,
+//                                              optionally only one publishing sink's
+//   updateDelivery(id, fields)
+//   reserveRoundRange(count, owner, defaultStart)
+//                                           -> { id, start_round, end_round }, atomic; a
+//                                              released range is reused at its own size
+//   settleReservation(id, status)           -> 'committed', 'released' (reusable) or 'conflicted'
+//   acquireLease(name, holder, ttlMs)       -> true if holder now owns the lease
+//   releaseLease(name, holder)
+//   insertAuditEntry(entry)
+//   listAuditEntries({ actor, action, room, since, until, limit })
+//                                           -> audit entries, newest first
+//   depositFunds(player, amount, reference) -> ledger entry
+//   placeBet(bet)                           -> { bet, balance }; debits the stake atomically and
+//                                              throws with code INSUFFICIENT_FUNDS (lib/betting.js)
+//   getBet(id)                              -> bet or null
+//   listBets({ round, player, status, limit })
+//                                           -> bets ordered by id
+//   recordCashout(id, multiplier)           -> updated bet, or null when it is no longer open
+//                                              or was already cashed out (once per bet)
+//   settleRoundBets(round, { multiplier, voided })
+//                                           -> bets settled by this call; atomic, and settling
+//                                              a round again settles nothing
+//   getPlayerAccount(player)                -> { balance, totals: { deposit, stake, payout, refund } }
+//   listLedgerEntries({ player, limit })    -> ledger entries, newest first
+//   registerDistributionSpec(spec)          -> stored spec row; throws if the same id and
+//                                              version was registered with another fingerprint
+//   listDistributionSpecs()                 -> every spec ever activated, by id then newest version
+
+const { createSupabaseStore } = require('./supabase-store');
+const { createMemoryStore } = require('./memory-store');
+const { createFileStore } = require('./file-store');
+
+function createStore(name, options = {}) {
+  if (name === 'supabase') return createSupabaseStore(options);
+  if (name === 'memory') return createMemoryStore(options);
+  if (name === 'file') return createFileStore(options);
+  throw new Error(`Unknown store "${name}", expected "supabase", "memory" or "file"`);
+}
+
+module.exports = {
+  createStore,
+  createSupabaseStore,
+  createMemoryStore,
+  createFileStore
+};
@@ -0,0 +1,407 @@
+// MultiplierStore kept entirely in process memory. Used for local runs and
+// tests, and as the base of the file store.
+
+const { DEFAULT_ROOM } = require('../rooms');
+const { LEDGER_KINDS, insufficientFunds, settleOutcome } = require('../betting');
+
+function pick(row, columns) {
+  const result = {};
+  for (const column of columns) {
+    result[column] = row[column] === undefined ? null : row[column];
+  }
+  return result;
+}
+
+function byRound(a, b) {
+  return a.round_number - b.round_number;
+}
+
+// Round tables (multipliers, batches, outbox, reservations, bets and the
+// round counter) a room keeps for itself
+function initRoomTables(room) {
+  if (!room.multipliers) room.multipliers = [];
+  if (!room.bets) room.bets = [];
+  if (!room.batches) room.batches = [];
+  if (!room.outbox) room.outbox = [];
+  if (!room.reservations) room.reservations = [];
+  if (room.nextRound === undefined) room.nextRound = null;
+  return room;
+}
+
+// `state` lets the file store hand in previously persisted tables, and
+// `onChange` is called after every write. The default room's round tables
+// are the top-level ones; other rooms live under `tables.rooms`.
+function createMemoryStore({ state, onChange = () => {}, roomId = DEFAULT_ROOM } = {}) {
+  const tables = initRoomTables(state || { nextId: 1 });
+  if (!tables.leases) tables.leases = {};
+  if (!tables.auditLog) tables.auditLog = [];
+  if (!tables.distributionSpecs) tables.distributionSpecs = [];
+  if (!tables.rooms) tables.rooms = {};
+  if (!tables.ledger) tables.ledger = [];
+  if (!tables.balances) tables.balances = {};
+  if (roomId !== DEFAULT_ROOM && !tables.rooms[roomId]) tables.rooms[roomId] = {};
+  const room = roomId === DEFAULT_ROOM ? tables : initRoomTables(tables.rooms[roomId]);
+
+  function inRange(row, from, to) {
+    return row.round_number >= from && row.round_number <= to;
+  }
+
+  // Apply `amount` to a balance and record it. Callers check for overdrafts.
+  function appendLedger(player, amount, kind, fields, createdAt) {
+    const balance = (tables.balances[player] || 0) + amount;
+    tables.balances[player] = balance;
+    const entry = {
+      id: tables.nextId++,
+      player,
+      amount,
+      kind,
+      balance_after: balance,
+      room_id: null,
+      bet_id: null,
+      reference: null,
+      created_at: createdAt,
+      ...fields
+    };
+    tables.ledger.push(entry);
+    return entry;
+  }
+
+  return {
+    name: 'memory',
+    roomId,
+    tables,
+
+    // The same store scoped to another room, sharing these tables
+    forRoom(id) {
+      return createMemoryStore({ state: tables, onChange, roomId: id });
+    },
+
+    async getHighestRoundNumber() {
+      return room.multipliers.reduce((max, row) => Math.max(max, row.round_number), 0);
+    },
+
+    async getLowestRoundNumber() {
+      if (room.multipliers.length === 0) return 0;
+      return room.multipliers.reduce((min, row) => Math.min(min, row.round_number), Infinity);
+    },
+
+    async getExistingRounds(startRound, endRound) {
+      return room.multipliers
+        .filter(row => inRange(row, startRound, endRound))
+        .map(row => row.round_number);
+    },
+
+    async insertMultipliers(rows) {
+      const createdAt = new Date().toISOString();
+      for (const row of rows) {
+        room.multipliers.push({
+          id: tables.nextId++,
+          created_at: createdAt,
+          status: 'generated',
+          status_updated_at: createdAt,
+          ...row
+        });
+      }
+      await onChange(tables);
+      return rows.length;
+    },
+
+    async getRound(round, columns) {
+      const row = room.multipliers.find(r => r.round_number === round);
+      return row ? pick(row, columns) : null;
+    },
+
+    async getRounds(from, to, columns) {
+      return room.multipliers
+        .filter(row => inRange(row, from, to))
+        .sort(byRound)
+        .map(row => pick(row, columns));
+    },
+
+    async getRoundsCreatedBetween(since, until, maxRound, columns, limit = Infinity) {
+      return room.multipliers
+        .filter(row => row.created_at >= since && row.created_at <= until && row.round_number <= maxRound)
+        .sort(byRound)
+        .slice(0, limit)
+        .map(row => pick(row, columns));
+    },
+
+    async getLatestRound(maxRound, columns) {
+      const rows = room.multipliers
+        .filter(row => row.round_number <= maxRound)
+        .sort(byRound);
+      return rows.length > 0 ? pick(rows[rows.length - 1], columns) : null;
+    },
+
+    async getLatestRounds(maxRound, limit, columns) {
+      return room.multipliers
+        .filter(row => row.round_number <= maxRound)
+        .sort(byRound)
+        .slice(-limit)
+        .map(row => pick(row, columns));
+    },
+
+    async updateRoundStatus(from, to, status, fromStatuses, fields = {}) {
+      const now = new Date().toISOString();
+      let updated = 0;
+      for (const row of room.multipliers) {
+        if (inRange(row, from, to) && fromStatuses.includes(row.status)) {
+          Object.assign(row, fields, { status, status_updated_at: now });
+          updated++;
+        }
+      }
+      if (updated > 0) await onChange(tables);
+      return updated;
+    },
+
+    async listRoundsByStatus(status, { updatedBefore, limit = 100 } = {}) {
+      return room.multipliers
+        .filter(row => row.status === status && (!updatedBefore || row.status_updated_at <= updatedBefore))
+        .sort(byRound)
+        .slice(0, limit)
+        .map(row => pick(row, ['round_number', 'status', 'status_updated_at', 'void_reason', 'created_at']));
+    },
+
+    async countRoundsByStatus() {
+      const counts = {};
+      for (const row of room.multipliers) {
+        counts[row.status] = (counts[row.status] || 0) + 1;
+      }
+      return counts;
+    },
+
+    async getCommitments(from, to) {
+      return room.multipliers
+        .filter(row => inRange(row, from, to) && row.server_seed_hash)
+        .sort(byRound)
+        .map(row => pick(row, ['round_number', 'server_seed_hash', 'client_seed']));
+    },
+
+    async insertBatch(batch) {
+      if (room.batches.some(b => b.start_round === batch.start_round)) {
+        throw new Error(`Batch starting at round ${batch.start_round} already exists`);
+      }
+      room.batches.push({ created_at: new Date().toISOString(), ...batch });
+      await onChange(tables);
+    },
+
+    async getBatch(startRound) {
+      const batch = room.batches.find(b => b.start_round === startRound);
+      return batch ? pick(batch, ['start_round', 'end_round', 'rng', 'rng_seed', 'recent_window', 'distribution']) : null;
+    },
+
+    async getLatestBatch() {
+      const batch = room.batches.reduce((latest, b) => (!latest || b.start_round > latest.start_round ? b : latest), null);
+      return batch ? pick(batch, ['start_round', 'end_round', 'end_window']) : null;
+    },
+
+    async insertDelivery(delivery) {
+      const row = { id: tables.nextId++, created_at: new Date().toISOString(), ...delivery };
+      room.outbox.push(row);
+      await onChange(tables);
+      return { ...row };
+    },
+
+    async getDelivery(id) {
+      const row = room.outbox.find(d => d.id === id);
+      return row ? { ...row } : null;
+    },
+
+    // Rows from before publishing sinks belong to the socket server
+    async listDeliveries(status, limit = 100, sink = null) {
+      return room.outbox
+        .filter(d => !status || d.status === status)
+        .filter(d => !sink || (d.sink || 'socket') === sink)
+        .sort((a, b) => a.start_round - b.start_round)
+        .slice(0, limit)
+        .map(d => ({ ...d }));
+    },
+
+    async updateDelivery(id, fields) {
+      const row = room.outbox.find(d => d.id === id);
+      if (!row) throw new Error(`Delivery ${id} not found`);
+      Object.assign(row, fields);
+      await onChange(tables);
+    },
+
+    // Atomic because nothing awaits between reading and advancing the counter
+    async reserveRoundRange(count, owner, defaultStart) {
+      const now = new Date().toISOString();
+      let reservation = room.reservations
+        .filter(r => r.status === 'released')
+        .sort((a, b) => a.start_round - b.start_round)[0];
+
+      if (reservation) {
+        // Reuse a range released by a failed insert before allocating new
+        // rounds. It keeps its own size, whatever `count` is now.
+        Object.assign(reservation, { owner, status: 'reserved', updated_at: now });
+      } else {
+        if (room.nextRound === null) {
+          const highest = room.multipliers.reduce((max, row) => Math.max(max, row.round_number), 0);
+          room.nextRound = Math.max(defaultStart, highest + 1);
+        }
+        reservation = {
+          id: tables.nextId++,
+          start_round: room.nextRound,
+          end_round: room.nextRound + count - 1,
+          owner,
+          status: 'reserved',
+          created_at: now,
+          updated_at: now
+        };
+        room.nextRound += count;
+        room.reservations.push(reservation);
+      }
+
+      await onChange(tables);
+      return { ...reservation };
+    },
+
+    async settleReservation(id, status) {
+      const reservation = room.reservations.find(r => r.id === id);
+      if (!reservation) throw new Error(`Reservation ${id} not found`);
+      Object.assign(reservation, { status, updated_at: new Date().toISOString() });
+      await onChange(tables);
+    },
+
+    async acquireLease(name, holder, ttlMs) {
+      const lease = tables.leases[name];
+      if (lease && lease.holder !== holder && new Date(lease.expires_at).getTime() > Date.now()) {
+        return false;
+      }
+      tables.leases[name] = { holder, expires_at: new Date(Date.now() + ttlMs).toISOString() };
+      await onChange(tables);
+      return true;
+    },
+
+    async releaseLease(name, holder) {
+      if (tables.leases[name] && tables.leases[name].holder === holder) {
+        delete tables.leases[name];
+        await onChange(tables);
+      }
+    },
+
+    async insertAuditEntry(entry) {
+      tables.auditLog.push({ id: tables.nextId++, created_at: new Date().toISOString(), ...entry });
+      await onChange(tables);
+    },
+
+    async listAuditEntries({ actor, action, room, since, until, limit = 100 } = {}) {
+      return tables.auditLog
+        .filter(e => (!actor || e.actor === actor) && (!action || e.action === action) && (!room || e.room_id === room))
+        .filter(e => (!since || e.created_at >= since) && (!until || e.created_at <= until))
+        .sort((a, b) => (a.created_at < b.created_at ? 1 : a.created_at > b.created_at ? -1 : b.id - a.id))
+        .slice(0, limit)
+        .map(e => ({ ...e }));
+    },
+
+    async depositFunds(player, amount, reference = null) {
+      const entry = appendLedger(player, amount, 'deposit', { reference }, new Date().toISOString());
+      await onChange(tables);
+      return { ...entry };
+    },
+
+    // Atomic because nothing awaits between the balance check and the debit
+    async placeBet({ player, round_number, stake, auto_cashout = null }) {
+      const balance = tables.balances[player] || 0;
+      if (balance < stake) throw insufficientFunds(player, balance, stake);
+
+      const now = new Date().toISOString();
+      const bet = {
+        id: tables.nextId++,
+        player,
+        round_number,
+        stake,
+        auto_cashout,
+        manual_cashout: null,
+        cashout_multiplier: null,
+        status: 'open',
+        payout: null,
+        placed_at: now,
+        settled_at: null
+      };
+      room.bets.push(bet);
+      const entry = appendLedger(player, -stake, 'stake', { room_id: roomId, bet_id: bet.id }, now);
+      await onChange(tables);
+      return { bet: { ...bet }, balance: entry.balance_after };
+    },
+
+    async getBet(id) {
+      const bet = room.bets.find(b => b.id === id);
+      return bet ? { ...bet } : null;
+    },
+
+    async listBets({ round, player, status, limit = 1000 } = {}) {
+      return room.bets
+        .filter(b => (round === undefined || b.round_number === round) && (!player || b.player === player))
+        .filter(b => !status || b.status === status)
+        .sort((a, b) => a.id - b.id)
+        .slice(0, limit)
+        .map(b => ({ ...b }));
+    },
+
+    async recordCashout(id, multiplier) {
+      const bet = room.bets.find(b => b.id === id);
+      if (!bet || bet.status !== 'open' || bet.manual_cashout !== null) return null;
+      bet.manual_cashout = multiplier;
+      await onChange(tables);
+      return { ...bet };
+    },
+
+    async settleRoundBets(round, outcome) {
+      const now = new Date().toISOString();
+      const settled = [];
+      for (const bet of room.bets) {
+        if (bet.round_number !== round || bet.status !== 'open') continue;
+        Object.assign(bet, settleOutcome(bet, outcome), { settled_at: now });
+        if (bet.payout > 0) {
+          appendLedger(bet.player, bet.payout, bet.status === 'refunded' ? 'refund' : 'payout', { room_id: roomId, bet_id: bet.id }, now);
+        }
+        settled.push({ ...bet });
+      }
+      if (settled.length > 0) await onChange(tables);
+      return settled;
+    },
+
+    async getPlayerAccount(player) {
+      const totals = Object.fromEntries(LEDGER_KINDS.map(kind => [kind, 0]));
+      for (const entry of tables.ledger) {
+        if (entry.player === player) totals[entry.kind] += entry.amount;
+      }
+      return { balance: tables.balances[player] || 0, totals };
+    },
+
+    async listLedgerEntries({ player, limit = 100 } = {}) {
+      return tables.ledger
+        .filter(e => !player || e.player === player)
+        .sort((a, b) => b.id - a.id)
+        .slice(0, limit)
+        .map(e => ({ ...e }));
+    },
+
+    async registerDistributionSpec(spec) {
+      const now = new Date().toISOString();
+      let row = tables.distributionSpecs.find(s => s.spec_id === spec.spec_id && s.version === spec.version);
+      if (row && row.fingerprint !== spec.fingerprint) {
+        throw new Error(`Distribution spec ${spec.spec_id} v${spec.version} is already registered with a different definition`);
+      }
+      if (row) {
+        row.last_activated_at = now;
+      } else {
+        row = { ...spec, first_activated_at: now, last_activated_at: now };
+        tables.distributionSpecs.push(row);
+      }
+      await onChange(tables);
+      return { ...row };
+    },
+
+    async listDistributionSpecs() {
+      return tables.distributionSpecs
+        .slice()
+        .sort((a, b) => (a.spec_id < b.spec_id ? -1 : a.spec_id > b.spec_id ? 1 : b.version - a.version))
+        .map(s => ({ ...s }));
+    }
+  };
+}
+
+module.exports = { createMemoryStore };
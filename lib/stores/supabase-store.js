@@ -0,0 +1,425 @@
+const { createClient } = require('@supabase/supabase-js');
+const { ROUND_STATUSES } = require('../round-status');
+const { DEFAULT_ROOM } = require('../rooms');
+const { LEDGER_KINDS, INSUFFICIENT_FUNDS } = require('../betting');
+
+// MultiplierStore backed by the Supabase `multipliers` and `batches` tables.
+// Round data is filtered by `room_id`; leases, the audit log and distribution
+// specs are shared by every room.
+
+// PostgREST caps responses at 1000 rows, so range reads are fetched in pages
+const PAGE_SIZE = 1000;
+
+function createSupabaseStore({ url, serviceKey, client, roomId = DEFAULT_ROOM } = {}) {
+  const supabase = client || createClient(url, serviceKey);
+
+  // Supabase reports failures in the response instead of throwing
+  function unwrap({ data, error }) {
+    if (error) throw new Error(error.message);
+    return data;
+  }
+
+  // Like unwrap, but keeps the overdraft error raised by apply_ledger_entry
+  // recognisable (migrations/013_bets.sql)
+  function unwrapLedger(response) {
+    if (response.error && response.error.message.startsWith(`${INSUFFICIENT_FUNDS}: `)) {
+      const error = new Error(response.error.message.slice(INSUFFICIENT_FUNDS.length + 2));
+      error.code = INSUFFICIENT_FUNDS;
+      throw error;
+    }
+    return unwrap(response);
+  }
+
+  // Run `buildQuery()` page by page until a short page comes back
+  async function fetchAllPages(buildQuery, limit = Infinity) {
+    const rows = [];
+    for (let offset = 0; ; offset += PAGE_SIZE) {
+      const size = Math.min(PAGE_SIZE, limit - offset);
+      const page = unwrap(await buildQuery().range(offset, offset + size - 1));
+      rows.push(...page);
+      if (page.length < size || rows.length >= limit) return rows;
+    }
+  }
+
+  return {
+    name: 'supabase',
+    roomId,
+
+    // The same store scoped to another room
+    forRoom(id) {
+      return createSupabaseStore({ client: supabase, roomId: id });
+    },
+
+    async getHighestRoundNumber() {
+      const data = unwrap(await supabase
+        .from('multipliers')
+        .select('round_number')
+        .eq('room_id', roomId)
+        .order('round_number', { ascending: false })
+        .limit(1));
+      return data && data.length > 0 ? data[0].round_number : 0;
+    },
+
+    async getLowestRoundNumber() {
+      const data = unwrap(await supabase
+        .from('multipliers')
+        .select('round_number')
+        .eq('room_id', roomId)
+        .order('round_number', { ascending: true })
+        .limit(1));
+      return data && data.length > 0 ? data[0].round_number : 0;
+    },
+
+    async getExistingRounds(startRound, endRound) {
+      const data = unwrap(await supabase
+        .from('multipliers')
+        .select('round_number')
+        .eq('room_id', roomId)
+        .gte('round_number', startRound)
+        .lte('round_number', endRound));
+      return data.map(row => row.round_number);
+    },
+
+    async insertMultipliers(rows) {
+      unwrap(await supabase
+        .from('multipliers')
+        .insert(rows.map(row => ({ ...row, room_id: roomId }))));
+      return rows.length;
+    },
+
+    async getRound(round, columns) {
+      return unwrap(await supabase
+        .from('multipliers')
+        .select(columns.join(', '))
+        .eq('room_id', roomId)
+        .eq('round_number', round)
+        .maybeSingle());
+    },
+
+    async getRounds(from, to, columns) {
+      return fetchAllPages(() => supabase
+        .from('multipliers')
+        .select(columns.join(', '))
+        .eq('room_id', roomId)
+        .gte('round_number', from)
+        .lte('round_number', to)
+        .order('round_number', { ascending: true }));
+    },
+
+    async getRoundsCreatedBetween(since, until, maxRound, columns, limit) {
+      return fetchAllPages(() => supabase
+        .from('multipliers')
+        .select(columns.join(', '))
+        .eq('room_id', roomId)
+        .gte('created_at', since)
+        .lte('created_at', until)
+        .lte('round_number', maxRound)
+        .order('round_number', { ascending: true }), limit);
+    },
+
+    async getLatestRound(maxRound, columns) {
+      const data = unwrap(await supabase
+        .from('multipliers')
+        .select(columns.join(', '))
+        .eq('room_id', roomId)
+        .lte('round_number', maxRound)
+        .order('round_number', { ascending: false })
+        .limit(1));
+      return data.length > 0 ? data[0] : null;
+    },
+
+    async getLatestRounds(maxRound, limit, columns) {
+      const data = unwrap(await supabase
+        .from('multipliers')
+        .select(columns.join(', '))
+        .eq('room_id', roomId)
+        .lte('round_number', maxRound)
+        .order('round_number', { ascending: false })
+        .limit(limit));
+      return data.reverse();
+    },
+
+    async updateRoundStatus(from, to, status, fromStatuses, fields = {}) {
+      const data = unwrap(await supabase
+        .from('multipliers')
+        .update({ ...fields, status, status_updated_at: new Date().toISOString() })
+        .eq('room_id', roomId)
+        .gte('round_number', from)
+        .lte('round_number', to)
+        .in('status', fromStatuses)
+        .select('round_number'));
+      return data.length;
+    },
+
+    async listRoundsByStatus(status, { updatedBefore, limit = 100 } = {}) {
+      let query = supabase
+        .from('multipliers')
+        .select('round_number, status, status_updated_at, void_reason, created_at')
+        .eq('room_id', roomId)
+        .eq('status', status)
+        .order('round_number', { ascending: true })
+        .limit(limit);
+      if (updatedBefore) query = query.lte('status_updated_at', updatedBefore);
+      return unwrap(await query);
+    },
+
+    async countRoundsByStatus() {
+      const counts = {};
+      for (const status of ROUND_STATUSES) {
+        const { count, error } = await supabase
+          .from('multipliers')
+          .select('round_number', { count: 'exact', head: true })
+          .eq('room_id', roomId)
+          .eq('status', status);
+        if (error) throw new Error(error.message);
+        if (count > 0) counts[status] = count;
+      }
+      return counts;
+    },
+
+    async getCommitments(from, to) {
+      return unwrap(await supabase
+        .from('multipliers')
+        .select('round_number, server_seed_hash, client_seed')
+        .eq('room_id', roomId)
+        .gte('round_number', from)
+        .lte('round_number', to)
+        .not('server_seed_hash', 'is', null)
+        .order('round_number', { ascending: true }));
+    },
+
+    async insertBatch(batch) {
+      unwrap(await supabase
+        .from('batches')
+        .insert({ ...batch, room_id: roomId }));
+    },
+
+    async getBatch(startRound) {
+      return unwrap(await supabase
+        .from('batches')
+        .select('start_round, end_round, rng, rng_seed, recent_window, distribution')
+        .eq('room_id', roomId)
+        .eq('start_round', startRound)
+        .maybeSingle());
+    },
+
+    async getLatestBatch() {
+      return unwrap(await supabase
+        .from('batches')
+        .select('start_round, end_round, end_window')
+        .eq('room_id', roomId)
+        .order('start_round', { ascending: false })
+        .limit(1)
+        .maybeSingle());
+    },
+
+    async insertDelivery(delivery) {
+      return unwrap(await supabase
+        .from('outbox')
+        .insert({ ...delivery, room_id: roomId })
+        .select()
+        .single());
+    },
+
+    async getDelivery(id) {
+      return unwrap(await supabase
+        .from('outbox')
+        .select('*')
+        .eq('room_id', roomId)
+        .eq('id', id)
+        .maybeSingle());
+    },
+
+    async listDeliveries(status, limit = 100, sink = null) {
+      let query = supabase
+        .from('outbox')
+        .select('*')
+        .eq('room_id', roomId)
+        .order('start_round', { ascending: true })
+        .limit(limit);
+      if (status) query = query.eq('status', status);
+      if (sink) query = query.eq('sink', sink);
+      return unwrap(await query);
+    },
+
+    async updateDelivery(id, fields) {
+      unwrap(await supabase
+        .from('outbox')
+        .update(fields)
+        .eq('room_id', roomId)
+        .eq('id', id));
+    },
+
+    // Atomic in Postgres, see migrations/004_round_allocation.sql
+    async reserveRoundRange(count, owner, defaultStart) {
+      return unwrap(await supabase
+        .rpc('reserve_round_range', { p_room_id: roomId, p_count: count, p_owner: owner, p_default_start: defaultStart }));
+    },
+
+    async settleReservation(id, status) {
+      unwrap(await supabase
+        .from('round_reservations')
+        .update({ status, updated_at: new Date().toISOString() })
+        .eq('room_id', roomId)
+        .eq('id', id));
+    },
+
+    async acquireLease(name, holder, ttlMs) {
+      return unwrap(await supabase
+        .rpc('acquire_lease', { p_name: name, p_holder: holder, p_ttl_ms: ttlMs })) === true;
+    },
+
+    async releaseLease(name, holder) {
+      unwrap(await supabase
+        .from('leases')
+        .delete()
+        .eq('name', name)
+        .eq('holder', holder));
+    },
+
+    async insertAuditEntry(entry) {
+      unwrap(await supabase
+        .from('audit_log')
+        .insert(entry));
+    },
+
+    async listAuditEntries({ actor, action, room, since, until, limit = 100 } = {}) {
+      let query = supabase
+        .from('audit_log')
+        .select('*')
+        .order('created_at', { ascending: false })
+        .limit(limit);
+      if (actor) query = query.eq('actor', actor);
+      if (action) query = query.eq('action', action);
+      if (room) query = query.eq('room_id', room);
+      if (since) query = query.gte('created_at', since);
+      if (until) query = query.lte('created_at', until);
+      return unwrap(await query);
+    },
+
+    async depositFunds(player, amount, reference = null) {
+      return unwrapLedger(await supabase
+        .rpc('deposit_funds', { p_player: player, p_amount: amount, p_reference: reference }));
+    },
+
+    // Atomic in Postgres, see migrations/013_bets.sql
+    async placeBet({ player, round_number, stake, auto_cashout = null }) {
+      return unwrapLedger(await supabase
+        .rpc('place_bet', {
+          p_room_id: roomId,
+          p_player: player,
+          p_round_number: round_number,
+          p_stake: stake,
+          p_auto_cashout: auto_cashout
+        }));
+    },
+
+    async getBet(id) {
+      return unwrap(await supabase
+        .from('bets')
+        .select('*')
+        .eq('room_id', roomId)
+        .eq('id', id)
+        .maybeSingle());
+    },
+
+    async listBets({ round, player, status, limit = 1000 } = {}) {
+      let query = supabase
+        .from('bets')
+        .select('*')
+        .eq('room_id', roomId)
+        .order('id', { ascending: true })
+        .limit(limit);
+      if (round !== undefined) query = query.eq('round_number', round);
+      if (player) query = query.eq('player', player);
+      if (status) query = query.eq('status', status);
+      return unwrap(await query);
+    },
+
+    async recordCashout(id, multiplier) {
+      return unwrap(await supabase
+        .from('bets')
+        .update({ manual_cashout: multiplier })
+        .eq('room_id', roomId)
+        .eq('id', id)
+        .eq('status', 'open')
+        .is('manual_cashout', null)
+        .select()
+        .maybeSingle());
+    },
+
+    async settleRoundBets(round, { multiplier = null, voided = false }) {
+      return unwrap(await supabase
+        .rpc('settle_round_bets', {
+          p_room_id: roomId,
+          p_round_number: round,
+          p_multiplier: multiplier,
+          p_voided: voided
+        }));
+    },
+
+    async getPlayerAccount(player) {
+      const balance = unwrap(await supabase
+        .from('player_balances')
+        .select('balance')
+        .eq('player', player)
+        .maybeSingle());
+      const entries = await fetchAllPages(() => supabase
+        .from('ledger')
+        .select('amount, kind')
+        .eq('player', player)
+        .order('id', { ascending: true }));
+      const totals = Object.fromEntries(LEDGER_KINDS.map(kind => [kind, 0]));
+      for (const entry of entries) totals[entry.kind] += Number(entry.amount);
+      return { balance: balance ? Number(balance.balance) : 0, totals };
+    },
+
+    async listLedgerEntries({ player, limit = 100 } = {}) {
+      let query = supabase
+        .from('ledger')
+        .select('*')
+        .order('id', { ascending: false })
+        .limit(limit);
+      if (player) query = query.eq('player', player);
+      return unwrap(await query);
+    },
+
+    async registerDistributionSpec(spec) {
+      const now = new Date().toISOString();
+      const existing = unwrap(await supabase
+        .from('distribution_specs')
+        .select('*')
+        .eq('spec_id', spec.spec_id)
+        .eq('version', spec.version)
+        .maybeSingle());
+
+      if (existing && existing.fingerprint !== spec.fingerprint) {
+        throw new Error(`Distribution spec ${spec.spec_id} v${spec.version} is already registered with a different definition`);
+      }
+      if (existing) {
+        return unwrap(await supabase
+          .from('distribution_specs')
+          .update({ last_activated_at: now })
+          .eq('spec_id', spec.spec_id)
+          .eq('version', spec.version)
+          .select()
+          .single());
+      }
+      return unwrap(await supabase
+        .from('distribution_specs')
+        .insert({ ...spec, first_activated_at: now, last_activated_at: now })
+        .select()
+        .single());
+    },
+
+    async listDistributionSpecs() {
+      return unwrap(await supabase
+        .from('distribution_specs')
+        .select('*')
+        .order('spec_id', { ascending: true })
+        .order('version', { ascending: false }));
+    }
+  };
+}
+
+module.exports = { createSupabaseStore };
@@ -0,0 +1,62 @@
+const crypto = require('crypto');
+const express = require('express');
+
+// Signed webhooks from the socket server. The sender signs
+// `${timestamp}.${rawBody}` with HMAC-SHA256 and sends:
+//   X-Webhook-Timestamp: <ms since epoch>
+//   X-Webhook-Signature: sha256=<hex digest>
+// Requests outside the tolerance window are rejected so a captured call
+// cannot be replayed later.
+
+const SIGNATURE_TOLERANCE_MS = 5 * 60 * 1000;
+
+function signWebhook(secret, timestamp, rawBody) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex')}`;
+}
+
+// Headers for an outgoing webhook with `body` (an object)
+function webhookHeaders(secret, body, timestamp = Date.now()) {
+  return {
+    'Content-Type': 'application/json',
+    'X-Webhook-Timestamp': String(timestamp),
+    'X-Webhook-Signature': signWebhook(secret, timestamp, JSON.stringify(body))
+  };
+}
+
+// Middleware chain: parse the JSON body while keeping the raw bytes, then
+// check the signature. `getSecret` is called per request so reloads apply.
+function verifyWebhook(getSecret) {
+  const parse = express.json({
+    limit: '100kb',
+    verify: (req, res, buf) => {
+      req.rawBody = buf.toString('utf8');
+    }
+  });
+
+  function check(req, res, next) {
+    const secret = getSecret();
+    const timestamp = Number(req.headers['x-webhook-timestamp']);
+    const signature = req.headers['x-webhook-signature'] || '';
+
+    if (!secret) return res.status(503).json({ success: false, error: 'Webhook secret is not configured' });
+    if (!Number.isFinite(timestamp) || Math.abs(Date.now() - timestamp) > SIGNATURE_TOLERANCE_MS) {
+      return res.status(401).json({ success: false, error: 'Missing or stale webhook timestamp' });
+    }
+
+    const expected = Buffer.from(signWebhook(secret, timestamp, req.rawBody || ''));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return res.status(401).json({ success: false, error: 'Invalid webhook signature' });
+    }
+    next();
+  }
+
+  return [parse, check];
+}
+
+module.exports = {
+  SIGNATURE_TOLERANCE_MS,
+  signWebhook,
+  webhookHeaders,
+  verifyWebhook
+};
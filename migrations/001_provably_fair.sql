@@ -0,0 +1,5 @@
+-- Provably-fair mode: per-round hash commitments stored next to round_number.
+-- server_seed stays private until /api/verify/:round reveals it for a played round.
+ALTER TABLE multipliers ADD COLUMN IF NOT EXISTS server_seed TEXT;
+ALTER TABLE multipliers ADD COLUMN IF NOT EXISTS server_seed_hash TEXT;
+ALTER TABLE multipliers ADD COLUMN IF NOT EXISTS client_seed TEXT;
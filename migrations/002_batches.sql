@@ -0,0 +1,11 @@
+-- One row per generated batch: which RNG and seed produced it and the
+-- recent-multiplier window it started from, so it can be replayed offline.
+CREATE TABLE IF NOT EXISTS batches (
+  id BIGSERIAL PRIMARY KEY,
+  start_round INTEGER NOT NULL UNIQUE,
+  end_round INTEGER NOT NULL,
+  rng TEXT NOT NULL,
+  rng_seed TEXT,
+  recent_window JSONB NOT NULL DEFAULT '[]'::jsonb,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
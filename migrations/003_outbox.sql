@@ -0,0 +1,16 @@
+-- Delivery outbox between the database and the socket server. Every stored
+-- batch gets a row here and stays 'pending' until the socket server accepts it.
+CREATE TABLE IF NOT EXISTS outbox (
+  id BIGSERIAL PRIMARY KEY,
+  start_round INTEGER NOT NULL,
+  end_round INTEGER NOT NULL,
+  multipliers JSONB NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending',
+  attempts INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_error TEXT,
+  delivered_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS outbox_status_start_round_idx ON outbox (status, start_round);
@@ -0,0 +1,81 @@
+-- Multi-instance safe round allocation.
+--
+-- round_allocator holds the next free round number. reserve_round_range()
+-- locks that row while advancing it, so concurrent instances always get
+-- disjoint ranges. Ranges released after a failed insert are handed out again
+-- before new rounds are allocated.
+
+CREATE TABLE IF NOT EXISTS round_allocator (
+  id INTEGER PRIMARY KEY DEFAULT 1 CHECK (id = 1),
+  next_round INTEGER NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS round_reservations (
+  id BIGSERIAL PRIMARY KEY,
+  start_round INTEGER NOT NULL,
+  end_round INTEGER NOT NULL,
+  owner TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'reserved', -- reserved | committed | released | conflicted
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE OR REPLACE FUNCTION reserve_round_range(p_count INTEGER, p_owner TEXT, p_default_start INTEGER)
+RETURNS round_reservations
+LANGUAGE plpgsql AS $$
+DECLARE
+  v_reservation round_reservations;
+  v_start INTEGER;
+BEGIN
+  UPDATE round_reservations
+  SET owner = p_owner, status = 'reserved', updated_at = NOW()
+  WHERE id = (
+    SELECT id FROM round_reservations
+    WHERE status = 'released' AND end_round - start_round + 1 = p_count
+    ORDER BY start_round
+    LIMIT 1
+    FOR UPDATE SKIP LOCKED
+  )
+  RETURNING * INTO v_reservation;
+
+  IF FOUND THEN
+    RETURN v_reservation;
+  END IF;
+
+  INSERT INTO round_allocator (id, next_round)
+  VALUES (1, GREATEST(p_default_start, (SELECT COALESCE(MAX(round_number), 0) + 1 FROM multipliers)))
+  ON CONFLICT (id) DO NOTHING;
+
+  UPDATE round_allocator
+  SET next_round = next_round + p_count
+  WHERE id = 1
+  RETURNING next_round - p_count INTO v_start;
+
+  INSERT INTO round_reservations (start_round, end_round, owner)
+  VALUES (v_start, v_start + p_count - 1, p_owner)
+  RETURNING * INTO v_reservation;
+
+  RETURN v_reservation;
+END;
+$$;
+
+-- Leader lease: only the holder of the 'generator' lease generates batches.
+CREATE TABLE IF NOT EXISTS leases (
+  name TEXT PRIMARY KEY,
+  holder TEXT NOT NULL,
+  expires_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE OR REPLACE FUNCTION acquire_lease(p_name TEXT, p_holder TEXT, p_ttl_ms INTEGER)
+RETURNS BOOLEAN
+LANGUAGE plpgsql AS $$
+BEGIN
+  INSERT INTO leases (name, holder, expires_at)
+  VALUES (p_name, p_holder, NOW() + p_ttl_ms * INTERVAL '1 millisecond')
+  ON CONFLICT (name) DO UPDATE
+  SET holder = EXCLUDED.holder, expires_at = EXCLUDED.expires_at
+  WHERE leases.holder = EXCLUDED.holder OR leases.expires_at < NOW();
+
+  RETURN FOUND;
+END;
+$$;
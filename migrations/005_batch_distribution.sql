@@ -0,0 +1,3 @@
+-- Distribution bounds and tiers a batch was generated with, so batches made
+-- under an older config can still be replayed exactly.
+ALTER TABLE batches ADD COLUMN IF NOT EXISTS distribution JSONB;
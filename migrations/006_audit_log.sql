@@ -0,0 +1,15 @@
+-- Admin actions: who did what, when, and which rounds it generated.
+CREATE TABLE IF NOT EXISTS audit_log (
+  id BIGSERIAL PRIMARY KEY,
+  actor TEXT NOT NULL,
+  role TEXT NOT NULL,
+  action TEXT NOT NULL,
+  success BOOLEAN NOT NULL,
+  start_round INTEGER,
+  end_round INTEGER,
+  details JSONB,
+  ip TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS audit_log_created_at_idx ON audit_log (created_at DESC);
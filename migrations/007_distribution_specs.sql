@@ -0,0 +1,15 @@
+-- Versioned distribution specs, and the spec each generated round came from.
+-- Provably-fair rounds leave the spec columns null: their derivation is fixed.
+CREATE TABLE IF NOT EXISTS distribution_specs (
+  spec_id TEXT NOT NULL,
+  version INTEGER NOT NULL,
+  fingerprint TEXT NOT NULL,
+  description TEXT,
+  definition JSONB NOT NULL,
+  first_activated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_activated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (spec_id, version)
+);
+
+ALTER TABLE multipliers ADD COLUMN IF NOT EXISTS distribution_spec_id TEXT;
+ALTER TABLE multipliers ADD COLUMN IF NOT EXISTS distribution_spec_version INTEGER;
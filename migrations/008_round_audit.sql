@@ -0,0 +1,6 @@
+-- Audit trail of each generated round: the raw tier draw and every adjustment
+-- rule that fired, as [{ rule, before, after }]. The final value stays in
+-- `multiplier`. Provably-fair rounds leave these null.
+ALTER TABLE multipliers ADD COLUMN IF NOT EXISTS raw_multiplier NUMERIC;
+ALTER TABLE multipliers ADD COLUMN IF NOT EXISTS raw_tier TEXT;
+ALTER TABLE multipliers ADD COLUMN IF NOT EXISTS adjustments JSONB;
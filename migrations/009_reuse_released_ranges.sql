@@ -0,0 +1,41 @@
+-- Batch sizes can now vary (adaptive sizing), so a released range is reused
+-- whatever its size instead of only for a request of exactly the same count.
+-- The caller generates as many rounds as the returned range holds.
+CREATE OR REPLACE FUNCTION reserve_round_range(p_count INTEGER, p_owner TEXT, p_default_start INTEGER)
+RETURNS round_reservations
+LANGUAGE plpgsql AS $$
+DECLARE
+  v_reservation round_reservations;
+  v_start INTEGER;
+BEGIN
+  UPDATE round_reservations
+  SET owner = p_owner, status = 'reserved', updated_at = NOW()
+  WHERE id = (
+    SELECT id FROM round_reservations
+    WHERE status = 'released'
+    ORDER BY start_round
+    LIMIT 1
+    FOR UPDATE SKIP LOCKED
+  )
+  RETURNING * INTO v_reservation;
+
+  IF FOUND THEN
+    RETURN v_reservation;
+  END IF;
+
+  INSERT INTO round_allocator (id, next_round)
+  VALUES (1, GREATEST(p_default_start, (SELECT COALESCE(MAX(round_number), 0) + 1 FROM multipliers)))
+  ON CONFLICT (id) DO NOTHING;
+
+  UPDATE round_allocator
+  SET next_round = next_round + p_count
+  WHERE id = 1
+  RETURNING next_round - p_count INTO v_start;
+
+  INSERT INTO round_reservations (start_round, end_round, owner)
+  VALUES (v_start, v_start + p_count - 1, p_owner)
+  RETURNING * INTO v_reservation;
+
+  RETURN v_reservation;
+END;
+$$;
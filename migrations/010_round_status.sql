@@ -0,0 +1,17 @@
+-- Round lifecycle: generated -> delivered -> in_play -> completed, or voided
+-- if a round was never played (see lib/round-status.js).
+-- Existing rows were all sent to the socket server, so they start as
+-- delivered. The next queue check completes the ones already played.
+ALTER TABLE multipliers ADD COLUMN IF NOT EXISTS status TEXT;
+ALTER TABLE multipliers ADD COLUMN IF NOT EXISTS status_updated_at TIMESTAMPTZ;
+ALTER TABLE multipliers ADD COLUMN IF NOT EXISTS void_reason TEXT;
+
+UPDATE multipliers SET status = 'delivered', status_updated_at = NOW() WHERE status IS NULL;
+
+ALTER TABLE multipliers ALTER COLUMN status SET DEFAULT 'generated';
+ALTER TABLE multipliers ALTER COLUMN status SET NOT NULL;
+ALTER TABLE multipliers ALTER COLUMN status_updated_at SET DEFAULT NOW();
+ALTER TABLE multipliers ADD CONSTRAINT multipliers_status_check
+  CHECK (status IN ('generated', 'delivered', 'in_play', 'completed', 'voided'));
+
+CREATE INDEX IF NOT EXISTS multipliers_status_idx ON multipliers (status, round_number);
@@ -0,0 +1,6 @@
+-- The consistency scanner (lib/consistency.js) can fill a gap in the round
+-- sequence with voided placeholder rows. They never had a result, so the
+-- multiplier is NULL; every other status still requires one.
+ALTER TABLE multipliers ALTER COLUMN multiplier DROP NOT NULL;
+ALTER TABLE multipliers ADD CONSTRAINT multipliers_multiplier_check
+  CHECK (multiplier IS NOT NULL OR status = 'voided');
@@ -0,0 +1,70 @@
+-- Game rooms: each room has its own round sequence, batches and outbox.
+-- Existing rows belong to the 'default' room, which the unprefixed /api
+-- routes keep serving.
+ALTER TABLE multipliers ADD COLUMN IF NOT EXISTS room_id TEXT NOT NULL DEFAULT 'default';
+ALTER TABLE batches ADD COLUMN IF NOT EXISTS room_id TEXT NOT NULL DEFAULT 'default';
+ALTER TABLE outbox ADD COLUMN IF NOT EXISTS room_id TEXT NOT NULL DEFAULT 'default';
+ALTER TABLE round_reservations ADD COLUMN IF NOT EXISTS room_id TEXT NOT NULL DEFAULT 'default';
+
+-- Round numbers (and batch start rounds) are unique per room, not globally
+ALTER TABLE multipliers DROP CONSTRAINT IF EXISTS multipliers_round_number_key;
+ALTER TABLE multipliers ADD CONSTRAINT multipliers_room_round_key UNIQUE (room_id, round_number);
+ALTER TABLE batches DROP CONSTRAINT IF EXISTS batches_start_round_key;
+ALTER TABLE batches ADD CONSTRAINT batches_room_start_round_key UNIQUE (room_id, start_round);
+
+DROP INDEX IF EXISTS multipliers_status_idx;
+CREATE INDEX IF NOT EXISTS multipliers_room_status_idx ON multipliers (room_id, status, round_number);
+DROP INDEX IF EXISTS outbox_status_start_round_idx;
+CREATE INDEX IF NOT EXISTS outbox_room_status_start_round_idx ON outbox (room_id, status, start_round);
+
+-- Audit entries name the room an action applied to (NULL for service-wide ones)
+ALTER TABLE audit_log ADD COLUMN IF NOT EXISTS room_id TEXT;
+
+-- One allocator row per room instead of the single id = 1 row
+ALTER TABLE round_allocator ADD COLUMN IF NOT EXISTS room_id TEXT NOT NULL DEFAULT 'default';
+ALTER TABLE round_allocator DROP CONSTRAINT IF EXISTS round_allocator_id_check;
+ALTER TABLE round_allocator DROP CONSTRAINT IF EXISTS round_allocator_pkey;
+ALTER TABLE round_allocator DROP COLUMN IF EXISTS id;
+ALTER TABLE round_allocator ADD PRIMARY KEY (room_id);
+
+DROP FUNCTION IF EXISTS reserve_round_range(INTEGER, TEXT, INTEGER);
+
+CREATE OR REPLACE FUNCTION reserve_round_range(p_room_id TEXT, p_count INTEGER, p_owner TEXT, p_default_start INTEGER)
+RETURNS round_reservations
+LANGUAGE plpgsql AS $$
+DECLARE
+  v_reservation round_reservations;
+  v_start INTEGER;
+BEGIN
+  UPDATE round_reservations
+  SET owner = p_owner, status = 'reserved', updated_at = NOW()
+  WHERE id = (
+    SELECT id FROM round_reservations
+    WHERE room_id = p_room_id AND status = 'released'
+    ORDER BY start_round
+    LIMIT 1
+    FOR UPDATE SKIP LOCKED
+  )
+  RETURNING * INTO v_reservation;
+
+  IF FOUND THEN
+    RETURN v_reservation;
+  END IF;
+
+  INSERT INTO round_allocator (room_id, next_round)
+  VALUES (p_room_id, GREATEST(p_default_start,
+    (SELECT COALESCE(MAX(round_number), 0) + 1 FROM multipliers WHERE room_id = p_room_id)))
+  ON CONFLICT (room_id) DO NOTHING;
+
+  UPDATE round_allocator
+  SET next_round = next_round + p_count
+  WHERE room_id = p_room_id
+  RETURNING next_round - p_count INTO v_start;
+
+  INSERT INTO round_reservations (room_id, start_round, end_round, owner)
+  VALUES (p_room_id, v_start, v_start + p_count - 1, p_owner)
+  RETURNING * INTO v_reservation;
+
+  RETURN v_reservation;
+END;
+$$;
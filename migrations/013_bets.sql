@@ -0,0 +1,127 @@
+-- Bets and the player ledger (see lib/betting.js). Amounts are integers in
+-- minor units. player_balances holds the running balance; every change to it
+-- is a ledger row written in the same transaction, so a balance always equals
+-- the sum of its ledger.
+CREATE TABLE IF NOT EXISTS player_balances (
+  player TEXT PRIMARY KEY,
+  balance BIGINT NOT NULL DEFAULT 0 CHECK (balance >= 0),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS bets (
+  id BIGSERIAL PRIMARY KEY,
+  room_id TEXT NOT NULL DEFAULT 'default',
+  player TEXT NOT NULL,
+  round_number INTEGER NOT NULL,
+  stake BIGINT NOT NULL CHECK (stake > 0),
+  auto_cashout NUMERIC(10, 2),
+  manual_cashout NUMERIC(10, 2),
+  cashout_multiplier NUMERIC(10, 2),
+  status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'won', 'lost', 'refunded')),
+  payout BIGINT,
+  placed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  settled_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS bets_room_round_idx ON bets (room_id, round_number);
+CREATE INDEX IF NOT EXISTS bets_room_player_idx ON bets (room_id, player);
+CREATE INDEX IF NOT EXISTS bets_open_idx ON bets (room_id, round_number) WHERE status = 'open';
+
+CREATE TABLE IF NOT EXISTS ledger (
+  id BIGSERIAL PRIMARY KEY,
+  player TEXT NOT NULL,
+  amount BIGINT NOT NULL,
+  kind TEXT NOT NULL CHECK (kind IN ('deposit', 'stake', 'payout', 'refund')),
+  balance_after BIGINT NOT NULL,
+  room_id TEXT,
+  bet_id BIGINT REFERENCES bets (id),
+  reference TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS ledger_player_idx ON ledger (player, id DESC);
+-- A bet is staked once and paid or refunded at most once
+CREATE UNIQUE INDEX IF NOT EXISTS ledger_bet_kind_key ON ledger (bet_id, kind) WHERE bet_id IS NOT NULL;
+
+-- Apply an amount to a player's balance and record it. Raises
+-- INSUFFICIENT_FUNDS instead of letting the balance go negative.
+CREATE OR REPLACE FUNCTION apply_ledger_entry(p_player TEXT, p_amount BIGINT, p_kind TEXT, p_room_id TEXT, p_bet_id BIGINT, p_reference TEXT)
+RETURNS ledger
+LANGUAGE plpgsql AS $$
+DECLARE
+  v_balance BIGINT;
+  v_entry ledger;
+BEGIN
+  INSERT INTO player_balances (player, balance) VALUES (p_player, 0) ON CONFLICT (player) DO NOTHING;
+  SELECT balance INTO v_balance FROM player_balances WHERE player = p_player FOR UPDATE;
+
+  IF v_balance + p_amount < 0 THEN
+    RAISE EXCEPTION 'INSUFFICIENT_FUNDS: Insufficient balance for %: % available, % required', p_player, v_balance, -p_amount;
+  END IF;
+
+  UPDATE player_balances SET balance = v_balance + p_amount, updated_at = NOW() WHERE player = p_player;
+  INSERT INTO ledger (player, amount, kind, balance_after, room_id, bet_id, reference)
+  VALUES (p_player, p_amount, p_kind, v_balance + p_amount, p_room_id, p_bet_id, p_reference)
+  RETURNING * INTO v_entry;
+  RETURN v_entry;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION deposit_funds(p_player TEXT, p_amount BIGINT, p_reference TEXT)
+RETURNS ledger
+LANGUAGE plpgsql AS $$
+BEGIN
+  RETURN apply_ledger_entry(p_player, p_amount, 'deposit', NULL, NULL, p_reference);
+END;
+$$;
+
+-- Debit the stake and create the bet in one transaction
+CREATE OR REPLACE FUNCTION place_bet(p_room_id TEXT, p_player TEXT, p_round_number INTEGER, p_stake BIGINT, p_auto_cashout NUMERIC)
+RETURNS JSONB
+LANGUAGE plpgsql AS $$
+DECLARE
+  v_bet bets;
+  v_entry ledger;
+BEGIN
+  INSERT INTO bets (room_id, player, round_number, stake, auto_cashout)
+  VALUES (p_room_id, p_player, p_round_number, p_stake, p_auto_cashout)
+  RETURNING * INTO v_bet;
+
+  v_entry := apply_ledger_entry(p_player, -p_stake, 'stake', p_room_id, v_bet.id, NULL);
+  RETURN jsonb_build_object('bet', to_jsonb(v_bet), 'balance', v_entry.balance_after);
+END;
+$$;
+
+-- Settle every open bet on a round, crediting payouts and refunds. Rows are
+-- locked and only open bets are touched, so running it again (or from two
+-- instances at once) settles nothing twice.
+CREATE OR REPLACE FUNCTION settle_round_bets(p_room_id TEXT, p_round_number INTEGER, p_multiplier NUMERIC, p_voided BOOLEAN)
+RETURNS SETOF bets
+LANGUAGE plpgsql AS $$
+DECLARE
+  v_bet bets;
+  v_cashout NUMERIC;
+BEGIN
+  FOR v_bet IN
+    SELECT * FROM bets
+    WHERE room_id = p_room_id AND round_number = p_round_number AND status = 'open'
+    ORDER BY id
+    FOR UPDATE
+  LOOP
+    v_cashout := COALESCE(v_bet.manual_cashout, v_bet.auto_cashout);
+    IF p_voided THEN
+      UPDATE bets SET status = 'refunded', payout = stake, settled_at = NOW() WHERE id = v_bet.id RETURNING * INTO v_bet;
+      PERFORM apply_ledger_entry(v_bet.player, v_bet.payout, 'refund', p_room_id, v_bet.id, NULL);
+    ELSIF v_cashout IS NOT NULL AND v_cashout <= p_multiplier THEN
+      UPDATE bets SET status = 'won', payout = FLOOR(stake * v_cashout), cashout_multiplier = v_cashout, settled_at = NOW()
+      WHERE id = v_bet.id RETURNING * INTO v_bet;
+      IF v_bet.payout > 0 THEN
+        PERFORM apply_ledger_entry(v_bet.player, v_bet.payout, 'payout', p_room_id, v_bet.id, NULL);
+      END IF;
+    ELSE
+      UPDATE bets SET status = 'lost', payout = 0, settled_at = NOW() WHERE id = v_bet.id RETURNING * INTO v_bet;
+    END IF;
+    RETURN NEXT v_bet;
+  END LOOP;
+END;
+$$;
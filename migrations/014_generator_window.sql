@@ -0,0 +1,4 @@
+-- The generator's recent-multiplier window after each batch, so a restarted
+-- or newly elected generator continues from exactly where the last one
+-- stopped. recent_window (002) remains the window before the batch, for replay.
+ALTER TABLE batches ADD COLUMN IF NOT EXISTS end_window JSONB;
@@ -0,0 +1,7 @@
+-- Publishing sinks (see lib/publisher.js): every stored batch gets one outbox
+-- row per sink, each with its own delivery status. Existing rows belong to
+-- the socket server.
+ALTER TABLE outbox ADD COLUMN IF NOT EXISTS sink TEXT NOT NULL DEFAULT 'socket';
+
+DROP INDEX IF EXISTS outbox_room_status_start_round_idx;
+CREATE INDEX IF NOT EXISTS outbox_room_sink_status_start_round_idx ON outbox (room_id, sink, status, start_round);
@@ -0,0 +1,33 @@
+-- Settle a bet with both an auto and a manual cash-out at the lower of the
+-- two: that one fires first. LEAST ignores NULLs. Same as 013_bets.sql
+-- otherwise (see settleOutcome() in lib/betting.js).
+CREATE OR REPLACE FUNCTION settle_round_bets(p_room_id TEXT, p_round_number INTEGER, p_multiplier NUMERIC, p_voided BOOLEAN)
+RETURNS SETOF bets
+LANGUAGE plpgsql AS $$
+DECLARE
+  v_bet bets;
+  v_cashout NUMERIC;
+BEGIN
+  FOR v_bet IN
+    SELECT * FROM bets
+    WHERE room_id = p_room_id AND round_number = p_round_number AND status = 'open'
+    ORDER BY id
+    FOR UPDATE
+  LOOP
+    v_cashout := LEAST(v_bet.manual_cashout, v_bet.auto_cashout);
+    IF p_voided THEN
+      UPDATE bets SET status = 'refunded', payout = stake, settled_at = NOW() WHERE id = v_bet.id RETURNING * INTO v_bet;
+      PERFORM apply_ledger_entry(v_bet.player, v_bet.payout, 'refund', p_room_id, v_bet.id, NULL);
+    ELSIF v_cashout IS NOT NULL AND v_cashout <= p_multiplier THEN
+      UPDATE bets SET status = 'won', payout = FLOOR(stake * v_cashout), cashout_multiplier = v_cashout, settled_at = NOW()
+      WHERE id = v_bet.id RETURNING * INTO v_bet;
+      IF v_bet.payout > 0 THEN
+        PERFORM apply_ledger_entry(v_bet.player, v_bet.payout, 'payout', p_room_id, v_bet.id, NULL);
+      END IF;
+    ELSE
+      UPDATE bets SET status = 'lost', payout = 0, settled_at = NOW() WHERE id = v_bet.id RETURNING * INTO v_bet;
+    END IF;
+    RETURN NEXT v_bet;
+  END LOOP;
+END;
+$$;
@@ -1,7 +1,9 @@
 const fetch = require('node-fetch');
 
-const BACKEND_URL = 'http://localhost:3000';
-const SOCKET_URL = 'https://aviator-socket-server-yhzu.onrender.com';
+const BACKEND_URL = process.env.BACKEND_URL || 'http://localhost:3000';
+const SOCKET_URL = process.env.SOCKET_SERVER_URL || 'https://aviator-socket-server-yhzu.onrender.com';
+// Operator key for the admin routes (any operator entry from API_KEYS, or the internal secret)
+const AUTH_HEADERS = { Authorization: `Bearer ${process.env.API_KEY || process.env.INTERNAL_API_SECRET}` };
 
 async function testQueueSystem() {
   console.log('🧪 Testing Queue-Based Multiplier Generation System\n');
@@ -27,7 +29,7 @@ async function testQueueSystem() {
     
     // 3. Check queue status endpoint
     console.log('3️⃣ Checking queue status endpoint...');
-    const statusResponse = await fetch(`${BACKEND_URL}/api/queue-status`);
+    const statusResponse = await fetch(`${BACKEND_URL}/api/queue-status`, { headers: AUTH_HEADERS });
     const statusData = await statusResponse.json();
     console.log(`   ✅ Status check: ${statusData.success}`);
     console.log(`   🔄 Backend generating: ${statusData.backend.isGenerating}`);
@@ -36,7 +38,8 @@ async function testQueueSystem() {
     // 4. Test manual trigger
     console.log('4️⃣ Testing manual trigger...');
     const triggerResponse = await fetch(`${BACKEND_URL}/api/trigger-generation`, {
-      method: 'POST'
+      method: 'POST',
+      headers: AUTH_HEADERS
     });
     const triggerData = await triggerResponse.json();
     console.log(`   ✅ Trigger: ${triggerData.success}`);
@@ -46,7 +49,7 @@ async function testQueueSystem() {
     console.log('5️⃣ Waiting 3 seconds and checking again...');
     await new Promise(resolve => setTimeout(resolve, 3000));
     
-    const finalStatusResponse = await fetch(`${BACKEND_URL}/api/queue-status`);
+    const finalStatusResponse = await fetch(`${BACKEND_URL}/api/queue-status`, { headers: AUTH_HEADERS });
     const finalStatusData = await finalStatusResponse.json();
     console.log(`   📊 Final queue size: ${finalStatusData.socket.queueSize}`);
     console.log(`   🔄 Still generating: ${finalStatusData.backend.isGenerating}\n`);
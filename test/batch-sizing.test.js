@@ -0,0 +1,37 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createConsumptionTracker, chooseBatchSize } = require('../lib/batch-sizing');
+
+describe('adaptive batch sizing', () => {
+  it('measures the consumption rate from successive rounds', () => {
+    const tracker = createConsumptionTracker();
+    tracker.observe(100, 0);
+    assert.equal(tracker.ratePerSecond(), null);
+
+    tracker.observe(110, 10000);
+    assert.equal(tracker.ratePerSecond(), 1);
+
+    // Samples closer than a second apart are ignored
+    tracker.observe(150, 10500);
+    assert.equal(tracker.ratePerSecond(), 1);
+  });
+
+  it('starts over when the socket server round goes backwards', () => {
+    const tracker = createConsumptionTracker();
+    tracker.observe(500, 0);
+    tracker.observe(510, 10000);
+    tracker.observe(1, 20000);
+    tracker.observe(11, 30000);
+
+    assert.equal(tracker.ratePerSecond(), 1);
+  });
+
+  it('sizes batches to the target duration within the bounds', () => {
+    const bounds = { targetSeconds: 300, min: 20, max: 500, fallback: 100 };
+
+    assert.equal(chooseBatchSize({ ...bounds, ratePerSecond: null }), 100);
+    assert.equal(chooseBatchSize({ ...bounds, ratePerSecond: 0.5 }), 150);
+    assert.equal(chooseBatchSize({ ...bounds, ratePerSecond: 0.01 }), 20);
+    assert.equal(chooseBatchSize({ ...bounds, ratePerSecond: 10 }), 500);
+  });
+});
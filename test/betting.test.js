@@ -0,0 +1,266 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fetch = require('node-fetch');
+const { webhookHeaders } = require('../lib/webhook');
+const { createMemoryStore } = require('../lib/stores');
+const { INSUFFICIENT_FUNDS, validateBet, payoutFor, settleOutcome } = require('../lib/betting');
+const { SECRET, startBackend } = require('./helpers');
+
+const OPERATOR_HEADERS = { Authorization: `Bearer ${SECRET}`, 'Content-Type': 'application/json' };
+
+describe('bet settlement rules', () => {
+  it('pays floor(stake * cash-out) without float drift', () => {
+    assert.equal(payoutFor(100, 1.15), 115);
+    assert.equal(payoutFor(3, 1.33), 3);
+    assert.equal(payoutFor(1000, 2.01), 2010);
+  });
+
+  it('wins at or below the multiplier at the earlier cash-out', () => {
+    const bet = { stake: 100, auto_cashout: 2, manual_cashout: null };
+
+    assert.deepEqual(settleOutcome(bet, { multiplier: 2 }), { status: 'won', payout: 200, cashout_multiplier: 2 });
+    assert.deepEqual(settleOutcome(bet, { multiplier: 1.99 }), { status: 'lost', payout: 0, cashout_multiplier: null });
+    assert.equal(settleOutcome({ ...bet, manual_cashout: 1.5 }, { multiplier: 1.99 }).payout, 150);
+    // The auto target fires at 2x before a manual cash-out at 5x could
+    assert.deepEqual(settleOutcome({ ...bet, manual_cashout: 5 }, { multiplier: 3 }), { status: 'won', payout: 200, cashout_multiplier: 2 });
+    assert.equal(settleOutcome({ ...bet, auto_cashout: null }, { multiplier: 50 }).status, 'lost');
+    assert.deepEqual(settleOutcome(bet, { voided: true }), { status: 'refunded', payout: 100, cashout_multiplier: null });
+  });
+
+  it('validates bets against the stake limits', () => {
+    const limits = { minStake: 10, maxStake: 1000 };
+    const bet = { player: 'p1', round: 5, stake: 10, autoCashout: 1.5 };
+
+    assert.equal(validateBet(bet, limits), null);
+    assert.match(validateBet({ ...bet, stake: 9 }, limits), /between 10 and 1000/);
+    assert.match(validateBet({ ...bet, stake: 10.5 }, limits), /whole amount/);
+    assert.match(validateBet({ ...bet, autoCashout: 1.005 }, limits), /autoCashout/);
+    assert.match(validateBet({ ...bet, player: 'a b' }, limits), /player/);
+  });
+});
+
+describe('memory store bets and ledger', () => {
+  it('debits stakes and refuses overdrafts', async () => {
+    const store = createMemoryStore();
+    await store.depositFunds('p1', 100, 'top-up');
+
+    const { bet, balance } = await store.placeBet({ player: 'p1', round_number: 1, stake: 60 });
+    assert.equal(balance, 40);
+    assert.equal(bet.status, 'open');
+    await assert.rejects(store.placeBet({ player: 'p1', round_number: 1, stake: 41 }), error => error.code === INSUFFICIENT_FUNDS);
+    assert.equal((await store.listBets({ player: 'p1' })).length, 1);
+  });
+
+  it('settles each bet once', async () => {
+    const store = createMemoryStore();
+    await store.depositFunds('p1', 100);
+    await store.placeBet({ player: 'p1', round_number: 1, stake: 50, auto_cashout: 2 });
+    await store.placeBet({ player: 'p1', round_number: 1, stake: 50, auto_cashout: 5 });
+
+    const first = await store.settleRoundBets(1, { multiplier: 3 });
+    const again = await store.settleRoundBets(1, { multiplier: 3 });
+
+    assert.deepEqual(first.map(bet => [bet.status, bet.payout]), [['won', 100], ['lost', 0]]);
+    assert.deepEqual(again, []);
+    const account = await store.getPlayerAccount('p1');
+    assert.equal(account.balance, 100);
+    assert.deepEqual(account.totals, { deposit: 100, stake: -100, payout: 100, refund: 0 });
+  });
+
+  it('records a manual cash-out once', async () => {
+    const store = createMemoryStore();
+    await store.depositFunds('p1', 100);
+    const { bet } = await store.placeBet({ player: 'p1', round_number: 1, stake: 50 });
+
+    assert.equal((await store.recordCashout(bet.id, 1.5)).manual_cashout, 1.5);
+    assert.equal(await store.recordCashout(bet.id, 3), null);
+    assert.equal((await store.getBet(bet.id)).manual_cashout, 1.5);
+  });
+
+  it('keeps bets per room and balances shared', async () => {
+    const store = createMemoryStore();
+    const vip = store.forRoom('vip');
+    await store.depositFunds('p1', 100);
+    await vip.placeBet({ player: 'p1', round_number: 1, stake: 30 });
+
+    assert.equal((await store.listBets({ player: 'p1' })).length, 0);
+    assert.equal((await vip.listBets({ player: 'p1' })).length, 1);
+    assert.equal((await store.getPlayerAccount('p1')).balance, 70);
+  });
+});
+
+describe('betting routes', () => {
+  let simulator;
+  let backend;
+  let baseUrl;
+  let stop;
+
+  const post = (path, body) => fetch(`${baseUrl}${path}`, { method: 'POST', headers: OPERATOR_HEADERS, body: JSON.stringify(body) });
+  const get = async path => (await fetch(`${baseUrl}${path}`, { headers: OPERATOR_HEADERS })).json();
+
+  // Tell the backend a round started, as the socket server's round-status webhook does
+  async function playRound() {
+    const { round_number: round } = simulator.consumeRound();
+    const body = { round, status: 'in_play' };
+    const response = await fetch(`${baseUrl}/api/webhooks/round-status`, {
+      method: 'POST',
+      headers: webhookHeaders(SECRET, body),
+      body: JSON.stringify(body)
+    });
+    assert.equal(response.status, 200);
+  }
+
+  before(async () => {
+    ({ simulator, backend, baseUrl, stop } = await startBackend({ env: { BET_MIN_STAKE: '10' } }));
+
+    await post('/api/force-generation');
+  });
+
+  after(() => stop());
+
+  it('credits deposits to the ledger', async () => {
+    const response = await post('/api/admin/players/p1/deposits', { amount: 1000, reference: 'top-up-1' });
+    assert.equal(response.status, 201);
+    assert.equal((await response.json()).balance, 1000);
+
+    assert.equal((await post('/api/admin/players/p1/deposits', { amount: -5 })).status, 400);
+    const account = await get('/api/admin/players/p1');
+    assert.equal(account.balance, 1000);
+    assert.deepEqual(account.entries.map(entry => [entry.kind, entry.reference]), [['deposit', 'top-up-1']]);
+  });
+
+  it('places bets on upcoming rounds only', async () => {
+    const placed = await post('/api/bets', { player: 'p1', round: 1001, stake: 100, autoCashout: 1.5 });
+    assert.equal(placed.status, 201);
+    assert.equal((await placed.json()).balance, 900);
+    assert.equal((await post('/api/bets', { player: 'p1', round: 1001, stake: 100 })).status, 201);
+    assert.equal((await post('/api/bets', { player: 'p1', round: 1050, stake: 200 })).status, 201);
+
+    assert.equal((await post('/api/bets', { player: 'p1', round: 1002, stake: 5 })).status, 400);
+    assert.equal((await post('/api/bets', { player: 'p1', round: 5000, stake: 100 })).status, 404);
+    const broke = await post('/api/bets', { player: 'p1', round: 1002, stake: 5000 });
+    assert.equal(broke.status, 409);
+    assert.match((await broke.json()).error, /Insufficient balance/);
+
+    await playRound();
+    const closed = await post('/api/bets', { player: 'p1', round: 1001, stake: 100 });
+    assert.equal(closed.status, 409);
+  });
+
+  it('records manual cash-outs while the round is in play', async () => {
+    const bets = (await get('/api/bets?round=1001')).bets;
+    const manual = bets.find(bet => bet.auto_cashout === null);
+
+    const response = await post(`/api/bets/${manual.id}/cashout`, { multiplier: 1.2 });
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).bet.manual_cashout, 1.2);
+
+    const again = await post(`/api/bets/${manual.id}/cashout`, { multiplier: 3 });
+    assert.equal(again.status, 409);
+    assert.equal((await again.json()).error, 'Bet is already cashed out');
+    assert.equal((await get(`/api/bets/${manual.id}`)).bet.manual_cashout, 1.2);
+
+    const upcoming = (await get('/api/bets?round=1050')).bets[0];
+    assert.equal((await post(`/api/bets/${upcoming.id}/cashout`, { multiplier: 1.2 })).status, 409);
+  });
+
+  it('refunds bets on voided rounds', async () => {
+    const response = await post('/api/admin/rounds/void', { from: 1050, reason: 'maintenance' });
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).refundedBets, 1);
+
+    const [bet] = (await get('/api/bets?round=1050')).bets;
+    assert.deepEqual([bet.status, bet.payout], ['refunded', 200]);
+  });
+
+  it('settles completed rounds against their multiplier, once', async () => {
+    await playRound();
+
+    const { multiplier } = await backend.store.getRound(1001, ['multiplier']);
+    const bets = (await get('/api/bets?round=1001')).bets;
+    for (const bet of bets) {
+      const expected = settleOutcome(bet, { multiplier });
+      assert.deepEqual([bet.status, bet.payout], [expected.status, expected.payout]);
+    }
+
+    const settle = await (await post('/api/admin/bets/settle')).json();
+    assert.equal(settle.settled, 0);
+
+    const paidOut = bets.reduce((sum, bet) => sum + bet.payout, 0);
+    const { report } = await get('/api/admin/reports/rounds/1001');
+    assert.equal(report.settled, true);
+    assert.equal(report.multiplier, multiplier);
+    assert.equal(report.houseNet, 200 - paidOut);
+
+    const player = (await get('/api/admin/reports/players/p1')).report;
+    assert.equal(player.consistent, true);
+    assert.equal(player.balance, 1000 - 200 + paidOut);
+  });
+
+  it('decides bets and cash-outs on the socket server\'s live round', async () => {
+    await post('/api/admin/players/p2/deposits', { amount: 1000 });
+    const { bet } = await (await post('/api/bets', { player: 'p2', round: 1004, stake: 100 })).json();
+
+    // The socket server moves on without telling the backend
+    simulator.consumeRound();
+    assert.equal((await post('/api/bets', { player: 'p2', round: 1003, stake: 100 })).status, 409);
+    simulator.consumeRound();
+    assert.equal((await post(`/api/bets/${bet.id}/cashout`, { multiplier: 1.2 })).status, 409);
+
+    // Cash-outs open once the round is stored as in play
+    const body = { round: 1004, status: 'in_play' };
+    await fetch(`${baseUrl}/api/webhooks/round-status`, { method: 'POST', headers: webhookHeaders(SECRET, body), body: JSON.stringify(body) });
+    assert.equal((await post(`/api/bets/${bet.id}/cashout`, { multiplier: 1.2 })).status, 200);
+  });
+});
+
+describe('bets on rounds whose delivery was never acknowledged', () => {
+  let simulator;
+  let backend;
+  let baseUrl;
+  let stop;
+
+  const post = (path, body) => fetch(`${baseUrl}${path}`, { method: 'POST', headers: OPERATOR_HEADERS, body: JSON.stringify(body) });
+  const get = async path => (await fetch(`${baseUrl}${path}`, { headers: OPERATOR_HEADERS })).json();
+
+  before(async () => {
+    ({ simulator, backend, baseUrl, stop } = await startBackend());
+  });
+
+  after(() => stop());
+
+  it('lets operators void them and refunds the bets', async () => {
+    // The socket server takes the batch, but the acknowledgement is never recorded
+    const updateRoundStatus = backend.store.updateRoundStatus;
+    backend.store.updateRoundStatus = async (...args) => (args[2] === 'delivered' ? 0 : updateRoundStatus(...args));
+    try {
+      await post('/api/force-generation');
+    } finally {
+      backend.store.updateRoundStatus = updateRoundStatus;
+    }
+    await post('/api/admin/players/p1/deposits', { amount: 100 });
+    const { bet } = await (await post('/api/bets', { player: 'p1', round: 1002, stake: 100 })).json();
+
+    for (let i = 0; i < 3; i++) simulator.consumeRound();
+    const body = { round: 1003, status: 'in_play' };
+    await fetch(`${baseUrl}/api/webhooks/round-status`, { method: 'POST', headers: webhookHeaders(SECRET, body), body: JSON.stringify(body) });
+    assert.equal((await backend.store.getRound(1002, ['status'])).status, 'generated');
+    assert.equal((await get(`/api/bets/${bet.id}`)).bet.status, 'open');
+
+    const response = await post('/api/admin/rounds/void', { from: 1001, to: 1002, reason: 'delivery acknowledgement lost' });
+    assert.equal(response.status, 200);
+    assert.deepEqual(await response.json(), { success: true, voided: 2, cancelledDeliveries: 0, refundedBets: 1 });
+    assert.equal((await get(`/api/bets/${bet.id}`)).bet.status, 'refunded');
+    assert.equal((await get('/api/admin/players/p1')).balance, 100);
+  });
+
+  it('still refuses rounds the socket server acknowledged and played', async () => {
+    const body = { round: 1005, status: 'in_play' };
+    await backend.store.updateRoundStatus(1003, 1004, 'delivered', ['generated']);
+    await fetch(`${baseUrl}/api/webhooks/round-status`, { method: 'POST', headers: webhookHeaders(SECRET, body), body: JSON.stringify(body) });
+
+    const response = await post('/api/admin/rounds/void', { from: 1003, to: 1004, reason: 'too late' });
+    assert.equal(response.status, 409);
+  });
+});
+
@@ -0,0 +1,113 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fetch = require('node-fetch');
+const { createRng } = require('../lib/rng');
+const { hashSeed, deriveFairMultiplier } = require('../lib/fairness');
+const { DEFAULT_SPEC } = require('../lib/distribution-spec');
+const { chiSquarePValue, normalPValue, certify, certifySimulation } = require('../lib/certification');
+const { SECRET, startBackend } = require('./helpers');
+
+// Independent draws straight from the declared tiers, without the
+// generator's history-dependent adjustments
+function drawFromTiers(count, seed) {
+  const rng = createRng('seeded', seed);
+  const pick = (tiers) => {
+    const r = rng.next();
+    const tier = tiers.find(t => r < t.below);
+    return tier ? tier.base + rng.next() * tier.spread : null;
+  };
+  return Array.from({ length: count }, () => {
+    const value = pick(DEFAULT_SPEC.hugeTiers) ?? pick(DEFAULT_SPEC.enhancedTiers);
+    return Math.round(value * 100) / 100;
+  });
+}
+
+function fairRounds(count, seed) {
+  return Array.from({ length: count }, (_, i) => deriveFairMultiplier(hashSeed(`${seed}:${i}`), 'client').multiplier);
+}
+
+describe('certification statistics', () => {
+  it('computes chi-square and normal p-values', () => {
+    assert.ok(Math.abs(chiSquarePValue(3.841, 1) - 0.05) < 1e-4);
+    assert.ok(Math.abs(chiSquarePValue(18.307, 10) - 0.05) < 1e-4);
+    assert.ok(Math.abs(normalPValue(1.96) - 0.05) < 1e-4);
+    assert.equal(normalPValue(0), 1);
+  });
+
+  it('certifies independent draws from the declared tiers', () => {
+    const report = certify(drawFromTiers(20000, 'iid'));
+
+    assert.equal(report.model, 'default@2');
+    assert.deepEqual(report.failed, []);
+    assert.equal(report.certified, true);
+    assert.deepEqual(report.tests.map(test => test.test), [
+      'distribution', 'runs_median', 'runs_up_down', 'autocorrelation', 'low_streaks', 'high_streaks'
+    ]);
+  });
+
+  it('certifies the provably-fair derivation against its curve', () => {
+    const report = certifySimulation({ rounds: 20000, mode: 'fair', seed: 'cert' });
+
+    assert.equal(report.model, 'provably-fair');
+    assert.equal(report.certified, true);
+  });
+
+  it('flags the generator pipeline for its history-dependent adjustments', () => {
+    const report = certifySimulation({ rounds: 20000, rng: 'seeded', seed: 'cert' });
+
+    assert.equal(report.certified, false);
+    assert.ok(report.failed.includes('distribution'));
+    assert.ok(report.failed.includes('low_streaks'));
+    assert.deepEqual(report.source, { kind: 'simulation', mode: 'generator', rng: 'seeded', seed: 'cert', startRound: 1 });
+  });
+
+  it('fails a sequence that alternates', () => {
+    const values = drawFromTiers(5000, 'alternate').sort((a, b) => a - b);
+    const interleaved = values.map((_, i) => (i % 2 === 0 ? values[i / 2] : values[values.length - 1 - (i - 1) / 2]));
+    const report = certify(interleaved);
+
+    assert.ok(report.failed.includes('runs_median'));
+    assert.ok(report.failed.includes('autocorrelation'));
+  });
+
+  it('needs enough rounds', () => {
+    assert.throws(() => certify(drawFromTiers(100, 'few')), /at least 1000 rounds/);
+  });
+});
+
+describe('certification route', () => {
+  let backend;
+  let baseUrl;
+  let stop;
+
+  before(async () => {
+    ({ backend, baseUrl, stop } = await startBackend({ env: { PROVABLY_FAIR: 'true' }, simulator: { startRound: 5000 } }));
+
+    await backend.store.insertMultipliers(fairRounds(3000, 'route').map((multiplier, i) => ({ round_number: i + 1, multiplier })));
+  });
+
+  after(() => stop());
+
+  it('certifies a stored round range', async () => {
+    const response = await fetch(`${baseUrl}/api/admin/certification?from=1&to=3000&alpha=0.001`, {
+      headers: { Authorization: `Bearer ${SECRET}` }
+    });
+    assert.equal(response.status, 200);
+
+    const { report } = await response.json();
+    assert.equal(report.rounds, 3000);
+    assert.equal(report.alpha, 0.001);
+    assert.equal(report.model, 'provably-fair');
+    assert.deepEqual(report.source, { kind: 'rounds', room: 'default', from: 1, to: 3000 });
+    assert.equal(report.certified, true);
+  });
+
+  it('rejects ranges that are too small', async () => {
+    const response = await fetch(`${baseUrl}/api/admin/certification?from=1&to=500`, {
+      headers: { Authorization: `Bearer ${SECRET}` }
+    });
+
+    assert.equal(response.status, 400);
+    assert.match((await response.json()).error, /at least 1000 rounds/);
+  });
+});
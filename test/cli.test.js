@@ -0,0 +1,35 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { parseArgs } = require('../lib/cli');
+
+describe('command-line arguments', () => {
+  it('reads --key value and --key=value flags', () => {
+    assert.deepEqual(parseArgs(['--rounds', '500', '--format=json', '--seed=']), { rounds: '500', format: 'json', seed: '' });
+  });
+
+  it('takes no value for --help and the given switches', () => {
+    assert.deepEqual(parseArgs(['--help']), { help: true });
+    assert.deepEqual(parseArgs(['--apply', '--repair', 'void'], { switches: ['apply'] }), { apply: true, repair: 'void' });
+    assert.throws(() => parseArgs(['--apply=yes'], { switches: ['apply'] }), /--apply takes no value/);
+  });
+
+  it('rejects stray arguments and missing values', () => {
+    assert.throws(() => parseArgs(['rounds']), /Unexpected argument: rounds/);
+    assert.throws(() => parseArgs(['--rounds']), /--rounds needs a value/);
+    assert.throws(() => parseArgs(['--from', '--to', '5']), /--from needs a value/);
+  });
+
+  for (const tool of ['monte-carlo', 'certification', 'consistency']) {
+    it(`prints the ${tool} usage for --help`, () => {
+      const output = execFileSync(process.execPath, [path.join(__dirname, '..', 'lib', `${tool}.js`), '--help'], {
+        encoding: 'utf8',
+        timeout: 10000
+      });
+
+      assert.match(output, new RegExp(`^Usage: node lib/${tool}\\.js`));
+      assert.match(output, /--help/);
+    });
+  }
+});
@@ -0,0 +1,93 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig, reloadConfig, describeConfig } = require('../lib/config');
+const { createAuth } = require('../lib/auth');
+
+const BASE_ENV = { STORE: 'memory', SOCKET_SERVER_SECRET: 'secret' };
+
+describe('config', () => {
+  it('loads typed defaults and env overrides', () => {
+    const config = loadConfig({ ...BASE_ENV, BATCH_SIZE: '50', PROVABLY_FAIR: 'true' });
+
+    assert.equal(config.batchSize, 50);
+    assert.equal(config.queueThreshold, 5);
+    assert.equal(config.provablyFair, true);
+    assert.equal(config.internalApiSecret, null);
+    assert.equal(config.webhookSecret, null);
+  });
+
+  it('never turns the socket secret or the sample secret into an operator key', () => {
+    const config = loadConfig({ STORE: 'memory' });
+    const { authenticate } = createAuth({ apiKeys: config.apiKeys, internalApiSecret: config.internalApiSecret });
+    const req = { headers: { authorization: `Bearer ${config.socketServerSecret}` } };
+    authenticate(req, {}, () => {});
+
+    assert.equal(req.principal, null);
+    assert.throws(() => loadConfig({ ...BASE_ENV, INTERNAL_API_SECRET: 'your-secret-token' }), /must not be the sample secret/);
+    assert.throws(() => loadConfig({ ...BASE_ENV, WEBHOOK_SECRET: 'your-secret-token' }), /webhookSecret must not be the sample secret/);
+  });
+
+  it('rejects invalid values with every problem listed', () => {
+    assert.throws(
+      () => loadConfig({ ...BASE_ENV, BATCH_SIZE: '5', QUEUE_THRESHOLD: '5', QUEUE_CHECK_INTERVAL: '0' }),
+      (error) => {
+        assert.match(error.message, /queueThreshold \(5\) must be less than batchSize \(5\)/);
+        assert.match(error.message, /queueCheckInterval must be at least 1/);
+        return true;
+      }
+    );
+    assert.throws(() => loadConfig({ ...BASE_ENV, BATCH_SIZE: 'lots' }), /batchSize must be an integer/);
+    assert.throws(() => loadConfig({ ...BASE_ENV, RNG: 'seeded' }), /requires rngSeed/);
+    assert.throws(() => loadConfig({ ...BASE_ENV, WARM_START_ROUNDS: '101' }), /must not exceed the generator window of 100 rounds/);
+  });
+
+  it('validates the distribution spec file', () => {
+    const file = path.join(os.tmpdir(), `aviator-spec-${process.pid}.json`);
+    fs.writeFileSync(file, JSON.stringify({
+      id: 'broken',
+      version: 1,
+      min: 1.01,
+      max: 50,
+      enhancedTiers: [{ below: 0.5, base: 2, spread: 100 }, { below: 0.9, base: 1.01, spread: 1 }],
+      hugeTiers: []
+    }));
+
+    try {
+      assert.throws(() => loadConfig({ ...BASE_ENV, DISTRIBUTION_SPEC: file }), (error) => {
+        assert.match(error.message, /enhancedTiers\[0\] range 2-102 is outside 1.01-50/);
+        assert.match(error.message, /last enhancedTiers entry must have below: 1/);
+        return true;
+      });
+    } finally {
+      fs.unlinkSync(file);
+    }
+  });
+
+  it('reloads only the reloadable keys', () => {
+    const config = loadConfig(BASE_ENV);
+
+    const result = reloadConfig(config, { ...BASE_ENV, QUEUE_THRESHOLD: '10', BATCH_SIZE: '200' });
+
+    assert.deepEqual(result.changed, ['queueThreshold']);
+    assert.deepEqual(result.requiresRestart, ['batchSize']);
+    assert.equal(config.queueThreshold, 10);
+    assert.equal(config.batchSize, 100);
+  });
+
+  it('leaves the config untouched when a reload is invalid', () => {
+    const config = loadConfig(BASE_ENV);
+
+    assert.throws(() => reloadConfig(config, { ...BASE_ENV, QUEUE_THRESHOLD: '150' }), /queueThreshold/);
+    assert.equal(config.queueThreshold, 5);
+  });
+
+  it('redacts secrets when describing the config', () => {
+    const { values, reloadable } = describeConfig(loadConfig(BASE_ENV));
+
+    assert.equal(values.socketServerSecret, '[redacted]');
+    assert.ok(reloadable.includes('queueCheckInterval'));
+  });
+});
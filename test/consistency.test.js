@@ -0,0 +1,98 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { scanConsistency, repairGaps } = require('../lib/consistency');
+const { DEFAULT_SPEC } = require('../lib/distribution-spec');
+const { createMemoryStore } = require('../lib/stores');
+const { createRng } = require('../lib/rng');
+
+async function storeWithRounds(rounds) {
+  const store = createMemoryStore();
+  await store.insertMultipliers(rounds.map(round => ({ round_number: round, multiplier: 2 })));
+  return store;
+}
+
+const backfillOptions = {
+  spec: DEFAULT_SPEC,
+  createRng: start => createRng('seeded', `backfill:${start}`),
+  toPayload: rows => rows.map(({ round_number, multiplier }) => ({ round_number, multiplier })),
+  log: () => {}
+};
+
+describe('consistency scanner', () => {
+  it('reports gaps, duplicates and out-of-bounds multipliers', async () => {
+    const store = await storeWithRounds([1, 2, 5, 6, 6, 9]);
+    await store.insertMultipliers([{ round_number: 10, multiplier: 75 }]);
+
+    const report = await scanConsistency(store, { activeSpec: DEFAULT_SPEC, chunkSize: 3 });
+
+    assert.equal(report.ok, false);
+    assert.deepEqual([report.from, report.to, report.rows], [1, 10, 7]);
+    assert.deepEqual(report.gaps, [{ from: 3, to: 4, count: 2 }, { from: 7, to: 8, count: 2 }]);
+    assert.equal(report.missingRounds, 4);
+    assert.deepEqual(report.duplicates, [{ round_number: 6, ids: [4, 5] }]);
+    assert.equal(report.outOfBounds.length, 1);
+    assert.equal(report.outOfBounds[0].round_number, 10);
+    assert.equal(report.outOfBounds[0].max, DEFAULT_SPEC.max);
+  });
+
+  it('checks stamped rows against the spec they were generated with', async () => {
+    const store = createMemoryStore();
+    await store.registerDistributionSpec({ spec_id: 'narrow', version: 1, fingerprint: 'x', definition: { min: 1.01, max: 5 } });
+    await store.insertMultipliers([
+      { round_number: 1, multiplier: 10, distribution_spec_id: 'narrow', distribution_spec_version: 1 },
+      { round_number: 2, multiplier: 10 }
+    ]);
+
+    const report = await scanConsistency(store, { activeSpec: DEFAULT_SPEC });
+
+    assert.deepEqual(report.outOfBounds.map(row => [row.round_number, row.spec]), [[1, 'narrow@1']]);
+  });
+
+  it('reports missing rounds at the end of an explicit range', async () => {
+    const store = await storeWithRounds([1, 2]);
+
+    const report = await scanConsistency(store, { from: 1, to: 4, activeSpec: DEFAULT_SPEC });
+
+    assert.deepEqual(report.gaps, [{ from: 3, to: 4, count: 2 }]);
+  });
+
+  it('voids gaps only when the dry run is turned off', async () => {
+    const store = await storeWithRounds([1, 4]);
+    const report = await scanConsistency(store, { activeSpec: DEFAULT_SPEC });
+
+    const dryRun = await repairGaps(store, report, { mode: 'void', reason: 'outage' });
+    assert.equal(dryRun.rounds, 2);
+    assert.equal(await store.getHighestRoundNumber(), 4);
+    assert.equal((await store.getRounds(1, 4, ['round_number'])).length, 2);
+
+    await repairGaps(store, report, { mode: 'void', reason: 'outage', dryRun: false });
+    const rows = await store.getRounds(1, 4, ['round_number', 'multiplier', 'status', 'void_reason']);
+    assert.deepEqual(rows.slice(1, 3), [
+      { round_number: 2, multiplier: null, status: 'voided', void_reason: 'outage' },
+      { round_number: 3, multiplier: null, status: 'voided', void_reason: 'outage' }
+    ]);
+    assert.equal((await scanConsistency(store, { activeSpec: DEFAULT_SPEC })).ok, true);
+  });
+
+  it('backfills only gaps the socket server has not reached', async () => {
+    const store = await storeWithRounds([1, 3, 4, 7]);
+    const report = await scanConsistency(store, { activeSpec: DEFAULT_SPEC });
+
+    const repair = await repairGaps(store, report, { ...backfillOptions, mode: 'backfill', dryRun: false, playedThrough: 3 });
+
+    assert.deepEqual(repair.repaired.map(gap => [gap.from, gap.to]), [[5, 6]]);
+    assert.deepEqual(repair.skipped.map(gap => gap.from), [2]);
+    const backfilled = await store.getRounds(5, 6, ['multiplier', 'distribution_spec_id']);
+    assert.ok(backfilled.every(row => row.multiplier >= DEFAULT_SPEC.min && row.distribution_spec_id === 'default'));
+    assert.equal((await store.getBatch(5)).end_round, 6);
+    const [delivery] = await store.listDeliveries('pending');
+    assert.deepEqual([delivery.start_round, delivery.end_round, delivery.multipliers.length], [5, 6, 2]);
+  });
+
+  it('refuses to void without a reason', async () => {
+    const store = await storeWithRounds([1, 3]);
+    const report = await scanConsistency(store, { activeSpec: DEFAULT_SPEC });
+
+    await assert.rejects(repairGaps(store, report, { mode: 'void' }), /reason is required/);
+  });
+});
@@ -0,0 +1,34 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_SPEC, validateSpec, specDefinition, specFingerprint } = require('../lib/distribution-spec');
+
+describe('distribution specs', () => {
+  it('accepts the built-in spec', () => {
+    assert.deepEqual(validateSpec(DEFAULT_SPEC), []);
+  });
+
+  it('requires an id, a positive version and ordered bounds', () => {
+    const errors = validateSpec({ ...DEFAULT_SPEC, id: '', version: 0, min: 60 });
+
+    assert.ok(errors.some(error => /^id must be/.test(error)));
+    assert.ok(errors.some(error => /^version must be a positive integer/.test(error)));
+    assert.ok(errors.some(error => /min \(60\) must be less than max \(50\)/.test(error)));
+  });
+
+  it('fingerprints only the values that affect generation', () => {
+    const relabelled = { ...DEFAULT_SPEC, description: 'Same tiers, new words' };
+    const retuned = { ...DEFAULT_SPEC, max: 40 };
+
+    assert.equal(specFingerprint(relabelled), specFingerprint(DEFAULT_SPEC));
+    assert.notEqual(specFingerprint(retuned), specFingerprint(DEFAULT_SPEC));
+  });
+
+  it('adds the max clamp to the definition only when it is on', () => {
+    const unclamped = { ...DEFAULT_SPEC, version: 1, clampMax: false };
+
+    assert.equal(specDefinition(DEFAULT_SPEC).clampMax, true);
+    assert.ok(!('clampMax' in specDefinition(unclamped)));
+    assert.notEqual(specFingerprint(unclamped), specFingerprint(DEFAULT_SPEC));
+    assert.deepEqual(validateSpec({ ...DEFAULT_SPEC, clampMax: 'yes' }), ['clampMax must be true or false']);
+  });
+});
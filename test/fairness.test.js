@@ -0,0 +1,71 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fetch = require('node-fetch');
+const { hashSeed, commitSeed, buildSeedChain } = require('../lib/fairness');
+const { SECRET, startBackend } = require('./helpers');
+
+const OPERATOR_HEADERS = { Authorization: `Bearer ${SECRET}` };
+
+describe('seed chain', () => {
+  it('links every seed to the next round\'s seed', () => {
+    const chain = buildSeedChain(10);
+
+    assert.equal(new Set(chain).size, 10);
+    for (let i = 1; i < chain.length; i++) assert.equal(hashSeed(chain[i]), chain[i - 1]);
+  });
+
+  it('commits to seeds with a hash that is not a chain link', () => {
+    const chain = buildSeedChain(10);
+    const commitments = chain.map(commitSeed);
+
+    for (const commitment of commitments) assert.ok(!chain.includes(commitment));
+    assert.notEqual(commitSeed(chain[1]), chain[0]);
+  });
+});
+
+describe('provably-fair routes', () => {
+  let simulator;
+  let backend;
+  let baseUrl;
+  let stop;
+
+  before(async () => {
+    ({ simulator, backend, baseUrl, stop } = await startBackend({ env: { PROVABLY_FAIR: 'true' } }));
+
+    await fetch(`${baseUrl}/api/force-generation`, { method: 'POST', headers: OPERATOR_HEADERS });
+    for (let i = 0; i < 3; i++) simulator.consumeRound();
+  });
+
+  after(() => stop());
+
+  it('publishes commitments that do not reveal upcoming seeds', async () => {
+    const commitments = await (await fetch(`${baseUrl}/api/commitments?from=1001&to=1010`)).json();
+    const rows = await backend.store.getRounds(1001, 1010, ['round_number', 'server_seed', 'multiplier']);
+
+    assert.equal(commitments.length, 10);
+    commitments.forEach((commitment, i) => {
+      assert.equal(commitment.server_seed_hash, commitSeed(rows[i].server_seed));
+      // No commitment may be the seed of any round
+      assert.ok(!rows.some(row => row.server_seed === commitment.server_seed_hash));
+    });
+  });
+
+  it('verifies played rounds', async () => {
+    const body = await (await fetch(`${baseUrl}/api/verify/1002`)).json();
+
+    assert.equal(body.revealed, true);
+    assert.equal(body.verified, true);
+    assert.equal(body.derivation[0].value, true);
+    assert.equal(hashSeed(body.server_seed), (await backend.store.getRound(1001, ['server_seed'])).server_seed);
+  });
+
+  it('reveals only the commitment before a round is played', async () => {
+    const body = await (await fetch(`${baseUrl}/api/verify/1050`)).json();
+
+    assert.deepEqual(Object.keys(body).sort(), ['client_seed', 'revealed', 'round_number', 'server_seed_hash']);
+    assert.equal(body.revealed, false);
+    const seed = (await backend.store.getRound(1050, ['server_seed'])).server_seed;
+    assert.equal(body.server_seed_hash, commitSeed(seed));
+    assert.notEqual(body.server_seed_hash, (await backend.store.getRound(1049, ['server_seed'])).server_seed);
+  });
+});
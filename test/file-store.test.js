@@ -0,0 +1,42 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFileStore } = require('../lib/stores');
+
+describe('file store', () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'aviator-file-store-'));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('persists writes and loads them on restart', async () => {
+    const filePath = path.join(dir, 'nested', 'store.json');
+    const store = createFileStore({ filePath });
+    await store.insertMultipliers([{ round_number: 1, multiplier: 2.5 }]);
+
+    const reopened = createFileStore({ filePath });
+    assert.equal(await reopened.getHighestRoundNumber(), 1);
+    assert.equal((await reopened.getRound(1, ['multiplier'])).multiplier, 2.5);
+  });
+
+  it('keeps the file in step with memory under concurrent writes', async () => {
+    const filePath = path.join(dir, 'concurrent.json');
+    const store = createFileStore({ filePath });
+
+    await Promise.all(Array.from({ length: 20 }, (_, i) => (
+      store.insertMultipliers([{ round_number: i + 1, multiplier: 1.5 }])
+    )));
+
+    assert.equal(fs.existsSync(`${filePath}.tmp`), false);
+    const reopened = createFileStore({ filePath });
+    assert.equal(await reopened.getHighestRoundNumber(), 20);
+    assert.equal((await reopened.getRounds(1, 20, ['round_number'])).length, 20);
+  });
+});
@@ -0,0 +1,75 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_DISTRIBUTION, createGenerator, replayBatch } = require('../lib/generator');
+const { createRng } = require('../lib/rng');
+
+function seededGenerator(seed) {
+  return createGenerator({ rng: createRng('seeded', seed), recentMultipliers: [], log: () => {} });
+}
+
+describe('generator audit trail', () => {
+  it('chains every adjustment from the raw draw to the final value', () => {
+    const generator = seededGenerator('trail');
+
+    for (let round = 1; round <= 500; round++) {
+      const { multiplier, rawMultiplier, rawTier, adjustments } = generator.generateCrashRound(round);
+
+      assert.match(rawTier, /^(enhanced|huge)Tiers\[\d+\]$/);
+      assert.equal(adjustments[0].rule, 'entropy');
+      assert.equal(adjustments[0].before, rawMultiplier);
+      for (let i = 1; i < adjustments.length; i++) {
+        assert.equal(adjustments[i].before, adjustments[i - 1].after);
+      }
+      assert.equal(adjustments[adjustments.length - 1].after, multiplier);
+    }
+  });
+
+  it('produces the same values with or without the trail', () => {
+    const withTrail = seededGenerator('same');
+    const withoutTrail = seededGenerator('same');
+
+    for (let round = 1; round <= 500; round++) {
+      assert.equal(withTrail.generateCrashRound(round).multiplier, withoutTrail.generateCrashMultiplier(round));
+    }
+  });
+
+  // Every draw lands just under the maximum, where entropy can push it over
+  const topHeavy = { ...DEFAULT_DISTRIBUTION, enhancedTiers: [{ below: 1, base: 49.5, spread: 0.5 }], hugeTiers: [] };
+
+  it('never exceeds the maximum of a spec with clampMax', () => {
+    const distribution = { ...topHeavy, clampMax: true };
+    const generator = createGenerator({ rng: createRng('seeded', 'top'), distribution, log: () => {} });
+    let clamped = 0;
+
+    for (let round = 1; round <= 500; round++) {
+      const { multiplier, adjustments } = generator.generateCrashRound(round);
+      generator.recordRecentMultiplier(multiplier);
+
+      assert.ok(multiplier <= distribution.max, `round ${round} generated ${multiplier}x`);
+      if (adjustments.some(({ rule }) => rule === 'max_clamp')) clamped++;
+    }
+    assert.ok(clamped > 0);
+  });
+
+  it('replays batches of specs without clampMax unclamped', () => {
+    const batch = { rngName: 'seeded', rngSeed: 'top', startRound: 1, count: 500 };
+    const unclamped = replayBatch({ ...batch, distribution: topHeavy });
+    const clamped = replayBatch({ ...batch, distribution: { ...topHeavy, clampMax: true } });
+
+    assert.ok(unclamped.some(round => round.multiplier > topHeavy.max));
+    assert.ok(clamped.every(round => round.multiplier <= topHeavy.max));
+  });
+
+  it('replays batches through the given logger only', (t) => {
+    const consoleLog = t.mock.method(console, 'log', () => {});
+    const messages = [];
+    const batch = { rngName: 'seeded', rngSeed: 'replay', startRound: 1, count: 500 };
+
+    const silent = replayBatch(batch);
+    const logged = replayBatch({ ...batch, log: message => messages.push(message) });
+
+    assert.equal(consoleLog.mock.callCount(), 0);
+    assert.ok(messages.length > 0);
+    assert.deepEqual(logged, silent);
+  });
+});
@@ -0,0 +1,90 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const fetch = require('node-fetch');
+const { runChecks } = require('../lib/health');
+const { createApp } = require('../index');
+const { loadConfig } = require('../lib/config');
+const { SECRET, testEnv } = require('./helpers');
+
+describe('readiness checks', () => {
+  it('is ok when every check passes', async () => {
+    const result = await runChecks({
+      database: async () => ({ status: 'pass' }),
+      queue: () => ({ status: 'pass', queueSize: 10 })
+    }, { timeoutMs: 100 });
+
+    assert.equal(result.status, 'ok');
+    assert.equal(result.httpStatus, 200);
+    assert.equal(result.checks.queue.queueSize, 10);
+  });
+
+  it('reports the worst check as the overall status', async () => {
+    const degraded = await runChecks({
+      database: async () => ({ status: 'pass' }),
+      queue: async () => ({ status: 'warn' })
+    }, { timeoutMs: 100 });
+    assert.deepEqual([degraded.status, degraded.httpStatus], ['degraded', 207]);
+
+    const unavailable = await runChecks({
+      database: async () => { throw new Error('connection refused'); },
+      queue: async () => ({ status: 'warn' })
+    }, { timeoutMs: 100 });
+    assert.deepEqual([unavailable.status, unavailable.httpStatus], ['unavailable', 503]);
+    assert.equal(unavailable.checks.database.error, 'connection refused');
+  });
+
+  it('fails checks that do not answer in time', async () => {
+    const result = await runChecks({
+      database: () => new Promise(resolve => setTimeout(() => resolve({ status: 'pass' }), 200))
+    }, { timeoutMs: 20 });
+
+    assert.equal(result.checks.database.status, 'fail');
+    assert.match(result.checks.database.error, /Timed out after 20ms/);
+  });
+});
+
+describe('a socket server that never answers', () => {
+  let socketServer;
+  let backend;
+  let baseUrl;
+
+  before(async () => {
+    // Accepts connections and never responds
+    socketServer = http.createServer(() => {});
+    await new Promise(resolve => socketServer.listen(0, '127.0.0.1', resolve));
+    const env = testEnv(socketServer.address().port, { HEALTH_CHECK_TIMEOUT: '200' });
+    backend = createApp(loadConfig(env));
+    const server = await backend.start({ port: 0, polling: false });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await backend.stop({ timeoutMs: 5000 });
+    socketServer.closeAllConnections();
+    await new Promise(resolve => socketServer.close(resolve));
+  });
+
+  it('stops waiting for its health route after the timeout', { timeout: 5000 }, async () => {
+    const started = Date.now();
+    const response = await fetch(`${baseUrl}/api/stats`);
+
+    assert.equal(response.status, 503);
+    assert.ok(Date.now() - started < 2000);
+  });
+  it('releases the generation slot when a queue check times out', { timeout: 5000 }, async () => {
+    const started = Date.now();
+    const generated = await backend.checkSocketQueueAndGenerate();
+
+    assert.equal(generated, null);
+    assert.ok(Date.now() - started < 2000);
+    assert.equal(backend.getGenerationState().isGenerating, false);
+  });
+
+  it('reports the queue status as failed after the timeout', { timeout: 5000 }, async () => {
+    const response = await fetch(`${baseUrl}/api/queue-status`, { headers: { Authorization: `Bearer ${SECRET}` } });
+
+    assert.equal(response.status, 500);
+    assert.equal((await response.json()).error, 'Failed to check socket server');
+  });
+});
@@ -0,0 +1,57 @@
+const { createSocketSimulator } = require('../lib/socket-simulator');
+const { createApp } = require('../index');
+const { loadConfig } = require('../lib/config');
+
+// Shared fixture for the suites that run the service against the socket
+// simulator. Config is loaded from an env object, never from process.env,
+// so suites cannot leak settings into each other.
+
+const SECRET = 'test-secret';
+
+// Env for a backend whose socket server listens on `socketPort`. The test
+// secret is also the operator key and signs webhooks. `env` adds to or
+// overrides the defaults.
+function testEnv(socketPort, env = {}) {
+  return {
+    STORE: 'memory',
+    SOCKET_SERVER_URL: `http://127.0.0.1:${socketPort}`,
+    SOCKET_SERVER_SECRET: SECRET,
+    INTERNAL_API_SECRET: SECRET,
+    WEBHOOK_SECRET: SECRET,
+    LOG_LEVEL: 'silent',
+    ...env
+  };
+}
+
+// The simulator only plays rounds when a test asks it to, unless
+// `roundIntervalMs` says otherwise
+async function startSimulator(options = {}) {
+  const simulator = createSocketSimulator({ secret: SECRET, roundIntervalMs: 0, ...options });
+  const port = await simulator.start();
+  return { simulator, port };
+}
+
+// Start a simulator and a backend against it. Queue checks are left to the
+// tests, so no polling. Returns { simulator, backend, baseUrl, stop }.
+async function startBackend({ env = {}, simulator: simulatorOptions = {}, options = {} } = {}) {
+  const { simulator, port } = await startSimulator(simulatorOptions);
+  const backend = createApp(loadConfig(testEnv(port, env)), options);
+  const server = await backend.start({ port: 0, polling: false });
+
+  return {
+    simulator,
+    backend,
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    stop: async () => {
+      await backend.stop({ timeoutMs: 5000 });
+      await simulator.stop();
+    }
+  };
+}
+
+module.exports = {
+  SECRET,
+  testEnv,
+  startSimulator,
+  startBackend
+};
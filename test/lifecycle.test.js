@@ -0,0 +1,125 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fetch = require('node-fetch');
+const { createApp } = require('../index');
+const { loadConfig } = require('../lib/config');
+const { createMemoryStore } = require('../lib/stores');
+const { SECRET, testEnv, startSimulator } = require('./helpers');
+
+describe('service lifecycle', () => {
+  let simulator;
+  let env;
+
+  before(async () => {
+    let port;
+    ({ simulator, port } = await startSimulator());
+    env = testEnv(port);
+  });
+
+  after(async () => {
+    await simulator.stop();
+  });
+
+  // Delay every insert so a batch is still in flight when stop() is called
+  function slowInserts(service, delayMs) {
+    const insertMultipliers = service.store.insertMultipliers;
+    service.store.insertMultipliers = async rows => {
+      await new Promise(resolve => setTimeout(resolve, delayMs));
+      return insertMultipliers(rows);
+    };
+  }
+
+  it('has no side effects until started', async () => {
+    const service = createApp(loadConfig(env));
+
+    assert.equal(service.getGenerationState().isLeader, false);
+    assert.equal(await service.store.getHighestRoundNumber(), 0);
+    const result = await service.stop();
+    assert.equal(result.clean, true);
+  });
+
+  it('lets an in-flight batch finish and delivers it before closing', async () => {
+    const service = createApp(loadConfig(env));
+    const server = await service.start({ port: 0, polling: false });
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+    slowInserts(service, 200);
+
+    const generating = service.checkSocketQueueAndGenerate();
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.equal(service.getGenerationState().isGenerating, true);
+
+    const result = await service.stop({ timeoutMs: 5000 });
+    const generated = await generating;
+
+    assert.equal(result.clean, true);
+    assert.equal(result.pendingDeliveries, 0);
+    assert.deepEqual(generated, { startRound: 1001, endRound: 1100 });
+    assert.equal(simulator.state.queue.length, 100);
+    assert.equal(await service.store.acquireLease('generator', 'next-instance', 1000), true);
+    await assert.rejects(fetch(`${baseUrl}/ping`));
+
+    // No new batch after shutdown
+    assert.equal(await service.checkSocketQueueAndGenerate(), null);
+    assert.equal(await service.generateFullBatch(), null);
+  });
+
+  it('reports an unclean stop when the batch outlives the deadline', async () => {
+    simulator.state.queue.length = 0;
+    const service = createApp(loadConfig(env));
+    await service.start({ port: 0, polling: false });
+    slowInserts(service, 500);
+
+    const generating = service.checkSocketQueueAndGenerate();
+    await new Promise(resolve => setTimeout(resolve, 50));
+    const result = await service.stop({ timeoutMs: 100 });
+
+    assert.equal(result.clean, false);
+    assert.equal(result.generationSettled, false);
+    assert.equal(result.serverClosed, true);
+    await generating;
+  });
+
+  // The window the running generator holds, from the inspection route
+  async function generatorWindow(server) {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/api/admin/generator/window`, {
+      headers: { Authorization: `Bearer ${SECRET}` }
+    });
+    assert.equal(response.status, 200);
+    return response.json();
+  }
+
+  it('restores the generator window from the last batch on restart', async () => {
+    simulator.state.queue.length = 0;
+    const store = createMemoryStore();
+    const first = createApp(loadConfig(env), { store });
+    const firstServer = await first.start({ port: 0, polling: false });
+    assert.equal((await generatorWindow(firstServer)).restoredFrom.source, 'empty');
+    await first.checkSocketQueueAndGenerate();
+    const { window } = await generatorWindow(firstServer);
+    await first.stop({ timeoutMs: 5000 });
+
+    const second = createApp(loadConfig(env), { store });
+    const secondServer = await second.start({ port: 0, polling: false });
+    const restored = await generatorWindow(secondServer);
+    await second.stop({ timeoutMs: 5000 });
+
+    assert.equal(window.length, 100);
+    assert.deepEqual(restored.window, window);
+    assert.equal(restored.restoredFrom.source, 'batch');
+    assert.equal(restored.restoredFrom.throughRound, 1100);
+  });
+
+  it('rebuilds the window from stored rounds without a batch snapshot', async () => {
+    const store = createMemoryStore();
+    const rows = Array.from({ length: 150 }, (_, i) => ({ round_number: i + 1, multiplier: 1 + (i % 7) }));
+    await store.insertMultipliers(rows);
+
+    const service = createApp(loadConfig({ ...env, WARM_START_ROUNDS: '40' }), { store });
+    const server = await service.start({ port: 0, polling: false });
+    const restored = await generatorWindow(server);
+    await service.stop({ timeoutMs: 5000 });
+
+    assert.equal(restored.restoredFrom.source, 'rounds');
+    assert.deepEqual(restored.window, rows.slice(-40).map(row => row.multiplier));
+  });
+});
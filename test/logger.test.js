@@ -0,0 +1,53 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createLogger } = require('../lib/logger');
+
+function capture(options) {
+  const lines = [];
+  const log = createLogger({ ...options, write: line => lines.push(line) });
+  return { log, lines };
+}
+
+describe('logger', () => {
+  it('writes one JSON object per entry with its fields', () => {
+    const { log, lines } = capture();
+
+    log.info('Batch stored', { startRound: 1001, endRound: 1100 });
+
+    const entry = JSON.parse(lines[0]);
+    assert.equal(entry.level, 'info');
+    assert.equal(entry.msg, 'Batch stored');
+    assert.equal(entry.startRound, 1001);
+    assert.ok(!isNaN(Date.parse(entry.time)));
+  });
+
+  it('drops entries below the current level, read on every call', () => {
+    let level = 'warn';
+    const { log, lines } = capture({ level: () => level });
+
+    log.info('hidden');
+    log.error('shown');
+    level = 'debug';
+    log.debug('shown after reload');
+
+    assert.deepEqual(lines.map(line => JSON.parse(line).msg), ['shown', 'shown after reload']);
+  });
+
+  it('adds child fields to every entry and serializes errors', () => {
+    const { log, lines } = capture();
+
+    log.child({ requestId: 'abc' }).error('failed', { error: new Error('boom') });
+
+    const entry = JSON.parse(lines[0]);
+    assert.equal(entry.requestId, 'abc');
+    assert.equal(entry.error.message, 'boom');
+  });
+
+  it('writes readable lines in pretty format', () => {
+    const { log, lines } = capture({ format: 'pretty' });
+
+    log.warn('Queue low', { queueSize: 3 });
+
+    assert.match(lines[0], /WARN {2}Queue low queueSize=3$/);
+  });
+});
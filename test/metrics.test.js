@@ -0,0 +1,43 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createRegistry } = require('../lib/metrics');
+
+describe('metrics registry', () => {
+  it('renders counters and gauges with HELP and TYPE lines', () => {
+    const registry = createRegistry({ prefix: 'test_' });
+    const batches = registry.counter('batches_total', 'Batches');
+    const queue = registry.gauge('queue_size', 'Queue size');
+    registry.gauge('next_round', 'Next round', { collect: () => 42 });
+
+    batches.inc();
+    batches.inc(2);
+    queue.set(7, { room: 'main' });
+
+    const text = registry.render();
+    assert.match(text, /# HELP test_batches_total Batches\n# TYPE test_batches_total counter\ntest_batches_total 3\n/);
+    assert.match(text, /test_queue_size\{room="main"\} 7\n/);
+    assert.match(text, /test_next_round 42\n/);
+  });
+
+  it('renders cumulative histogram buckets', () => {
+    const registry = createRegistry();
+    const multipliers = registry.histogram('multiplier', 'Multipliers', { buckets: [2, 10] });
+
+    [1.5, 3, 20].forEach(value => multipliers.observe(value));
+
+    const text = registry.render();
+    assert.match(text, /multiplier_bucket\{le="2"\} 1\n/);
+    assert.match(text, /multiplier_bucket\{le="10"\} 2\n/);
+    assert.match(text, /multiplier_bucket\{le="\+Inf"\} 3\n/);
+    assert.match(text, /multiplier_sum 24.5\n/);
+    assert.match(text, /multiplier_count 3\n/);
+  });
+
+  it('refuses negative counter increments and duplicate names', () => {
+    const registry = createRegistry();
+    const counter = registry.counter('events_total', 'Events');
+
+    assert.throws(() => counter.inc(-1), /only increase/);
+    assert.throws(() => registry.counter('events_total', 'Again'), /already registered/);
+  });
+});
@@ -0,0 +1,42 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { runSimulation, theoreticalTierRtp, toCsv } = require('../lib/monte-carlo');
+const { DEFAULT_DISTRIBUTION } = require('../lib/generator');
+
+describe('Monte Carlo simulator', () => {
+  it('repeats a seeded run exactly', () => {
+    const first = runSimulation({ rounds: 2000, rng: 'seeded', seed: 'repeat' });
+    const second = runSimulation({ rounds: 2000, rng: 'seeded', seed: 'repeat' });
+
+    assert.equal(first.mean, second.mean);
+    assert.deepEqual(first.histogram, second.histogram);
+    assert.deepEqual(first.strategies, second.strategies);
+  });
+
+  it('converges on the theoretical RTP in provably-fair mode', () => {
+    const report = runSimulation({ rounds: 20000, mode: 'fair', seed: 'fair', cashoutTargets: [2] });
+
+    assert.equal(report.rtp.theoretical[0].target, 2);
+    assert.ok(Math.abs(report.rtp.empirical[0].rtp - report.rtp.theoretical[0].rtp) < 0.03);
+  });
+
+  it('derives the tier-table RTP from the cumulative tier probabilities', () => {
+    const [atMin, atMax] = theoreticalTierRtp(DEFAULT_DISTRIBUTION, [1.01, 50]);
+
+    assert.ok(Math.abs(atMin.winRate - 1) < 1e-9);
+    assert.equal(atMax.winRate, 0);
+  });
+
+  it('writes one CSV row per metric', () => {
+    const csv = toCsv(runSimulation({ rounds: 500, rng: 'seeded', seed: 'csv', strategies: ['flat'] }));
+    const lines = csv.trim().split('\n');
+
+    assert.equal(lines[0], 'section,name,value');
+    assert.ok(lines.includes('summary,rounds,500'));
+    assert.ok(lines.some(line => line.startsWith('strategy.flat,returnRate,')));
+  });
+
+  it('rejects unknown strategies', () => {
+    assert.throws(() => runSimulation({ rounds: 10, strategies: ['lucky'] }), /Unknown strategy/);
+  });
+});
@@ -0,0 +1,172 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fetch = require('node-fetch');
+const { validateSchema, coerceParameter } = require('../lib/schema');
+const { OPERATIONS, buildSpec, validateRequest, validateResponse } = require('../lib/openapi');
+const { SECRET, startBackend } = require('./helpers');
+
+const OPERATOR_HEADERS = { Authorization: `Bearer ${SECRET}`, 'Content-Type': 'application/json' };
+
+// "METHOD /path" for every route registered on an express router stack
+function routesOf(stack, prefix) {
+  return stack
+    .filter(layer => layer.route)
+    .flatMap(layer => Object.keys(layer.route.methods).map(method => `${method.toUpperCase()} ${prefix}${layer.route.path}`));
+}
+
+function documentedRoutes(spec) {
+  return Object.entries(spec.paths).flatMap(([path, methods]) => (
+    Object.keys(methods).map(method => `${method.toUpperCase()} ${path.replace(/\{(\w+)\}/g, ':$1')}`)
+  ));
+}
+
+describe('schema validation', () => {
+  const components = {
+    schemas: { Range: { type: 'object', required: ['from'], properties: { from: { type: 'integer', minimum: 1 } } } }
+  };
+
+  it('reports every failing location', () => {
+    const schema = {
+      type: 'object',
+      required: ['stake', 'player'],
+      additionalProperties: false,
+      properties: {
+        stake: { type: 'integer', minimum: 1 },
+        player: { type: 'string', pattern: '^[a-z]+$' },
+        tags: { type: 'array', items: { type: 'string' }, maxItems: 1 }
+      }
+    };
+
+    assert.deepEqual(validateSchema(schema, { stake: 5, player: 'ann' }), []);
+    assert.deepEqual(validateSchema(schema, { stake: 1.5, tags: ['a', 2], extra: true }, { path: 'body' }), [
+      'body.player is required',
+      'body.stake must be an integer',
+      'body.tags must have at most 1 items',
+      'body.tags[1] must be a string',
+      'body.extra is not allowed'
+    ]);
+  });
+
+  it('resolves references and nullable references', () => {
+    const nullableRange = { nullable: true, allOf: [{ $ref: '#/components/schemas/Range' }] };
+
+    assert.deepEqual(validateSchema(nullableRange, null, { components }), []);
+    assert.deepEqual(validateSchema(nullableRange, { from: 0 }, { components }), ['value.from must be at least 1']);
+    assert.deepEqual(validateSchema({ $ref: '#/components/schemas/Range' }, null, { components }), ['value must not be null']);
+    assert.throws(() => validateSchema({ $ref: '#/components/schemas/Nope' }, {}, { components }), /Unknown schema reference/);
+  });
+
+  it('coerces only well-formed parameters', () => {
+    assert.equal(coerceParameter({ type: 'integer' }, '42'), 42);
+    assert.equal(coerceParameter({ type: 'integer' }, '42abc'), '42abc');
+    assert.equal(coerceParameter({ type: 'integer' }, ''), '');
+    assert.equal(coerceParameter({ type: 'number' }, '1.5'), 1.5);
+    assert.equal(coerceParameter({ type: 'boolean' }, 'false'), false);
+  });
+});
+
+describe('operation contract', () => {
+  const operation = id => OPERATIONS.find(op => op.id === id);
+
+  it('gives every operation a unique id', () => {
+    const ids = OPERATIONS.map(op => op.id);
+    assert.equal(new Set(ids).size, ids.length);
+  });
+
+  it('validates path, query and body parameters', () => {
+    assert.deepEqual(validateRequest(operation('getMultiplier'), { params: { round: '12' }, query: {} }), []);
+    assert.deepEqual(validateRequest(operation('getMultiplier'), { params: { round: '12abc' }, query: {} }), ['round must be an integer']);
+    assert.deepEqual(validateRequest(operation('listMultipliers'), { params: {}, query: { from: '1', to: ['2', '3'] } }), ['to must be given once']);
+    assert.deepEqual(validateRequest(operation('listMultipliers'), { params: {}, query: {} }), ['from is required', 'to is required']);
+  });
+
+  it('rejects undocumented statuses', () => {
+    assert.deepEqual(validateResponse(operation('getMultiplier'), 418, {}), ['status 418 is not documented']);
+    assert.deepEqual(validateResponse(operation('getMultiplier'), 200, { round_number: 1, multiplier: 2.5 }), []);
+  });
+});
+
+describe('API contract against the running app', () => {
+  let simulator;
+  let backend;
+  let baseUrl;
+  let stop;
+
+  before(async () => {
+    ({ simulator, backend, baseUrl, stop } = await startBackend({ env: { VALIDATE_RESPONSES: 'fail' } }));
+
+    await fetch(`${baseUrl}/api/force-generation`, { method: 'POST', headers: OPERATOR_HEADERS });
+    for (let i = 0; i < 5; i++) simulator.consumeRound();
+  });
+
+  after(() => stop());
+
+  it('documents every route and nothing else', async () => {
+    const spec = await (await fetch(`${baseUrl}/api/docs`)).json();
+    const roomRoutes = backend.rooms.get('default').router.stack;
+    const served = [
+      ...routesOf(backend.app._router.stack, ''),
+      ...routesOf(roomRoutes, '/api'),
+      ...routesOf(roomRoutes, '/api/rooms/:roomId')
+    ];
+
+    assert.equal(spec.openapi, '3.0.3');
+    assert.deepEqual(documentedRoutes(spec).sort(), served.sort());
+  });
+
+  it('lists the room ids in the room paths', () => {
+    const spec = buildSpec({ roomIds: ['default', 'vip'], version: '1.0.0' });
+    const [roomId] = spec.paths['/api/rooms/{roomId}/current-round'].get.parameters;
+
+    assert.deepEqual(roomId.schema.enum, ['default', 'vip']);
+  });
+
+  it('rejects malformed round numbers', async () => {
+    for (const round of ['abc', '12abc', '1e3']) {
+      const response = await fetch(`${baseUrl}/api/multiplier/${round}`);
+      assert.equal(response.status, 400);
+      assert.deepEqual((await response.json()).details, ['round must be an integer']);
+    }
+  });
+
+  it('limits the /multipliers range', async () => {
+    const { rangeMaxRounds } = backend.config;
+    const tooWide = await fetch(`${baseUrl}/api/multipliers?from=1&to=${rangeMaxRounds + 1}`);
+    assert.equal(tooWide.status, 400);
+    assert.equal((await tooWide.json()).error, `Range is limited to ${rangeMaxRounds} rounds`);
+
+    const played = await fetch(`${baseUrl}/api/multipliers?from=1001&to=1003`);
+    assert.equal(played.status, 200);
+    assert.equal((await played.json()).length, 3);
+  });
+
+  it('rejects admin bodies that break the contract', async () => {
+    const response = await fetch(`${baseUrl}/api/admin/players/p1/deposits`, {
+      method: 'POST',
+      headers: OPERATOR_HEADERS,
+      body: JSON.stringify({ reference: 'top-up' })
+    });
+
+    assert.equal(response.status, 400);
+    const body = await response.json();
+    assert.equal(body.success, false);
+    assert.deepEqual(body.details, ['body.amount is required']);
+  });
+
+  it('checks the role before the request shape', async () => {
+    const response = await fetch(`${baseUrl}/api/admin/players/p1/deposits`, { method: 'POST', body: '{}' });
+
+    assert.equal(response.status, 401);
+  });
+
+  it('answers every parameterless GET within the contract', async () => {
+    const spec = await (await fetch(`${baseUrl}/api/docs`)).json();
+    const paths = Object.keys(spec.paths).filter(path => spec.paths[path].get && !path.includes('{'));
+
+    for (const path of paths) {
+      const response = await fetch(`${baseUrl}${path}`, { headers: OPERATOR_HEADERS });
+      assert.notEqual(response.status, 500, `${path} returned 500`);
+      assert.ok(spec.paths[path].get.responses[response.status], `${path} returned undocumented ${response.status}`);
+    }
+  });
+});
@@ -0,0 +1,227 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const net = require('net');
+const fetch = require('node-fetch');
+const { loadConfig, describeConfig } = require('../lib/config');
+const { parseReply } = require('../lib/redis');
+const { validateSinkEntries, createPublisher } = require('../lib/publisher');
+const { SECRET, startBackend } = require('./helpers');
+
+const OPERATOR_HEADERS = { Authorization: `Bearer ${SECRET}` };
+
+// Local stand-in for Redis: records every command and answers like Redis
+// would for the ones the sinks send
+function createRedisStandIn() {
+  const commands = [];
+  const server = net.createServer((socket) => {
+    let buffer = Buffer.alloc(0);
+    socket.on('data', (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      let command;
+      while ((command = parseReply(buffer)) !== null) {
+        buffer = buffer.subarray(command.offset);
+        commands.push(command.value);
+        const name = command.value[0].toUpperCase();
+        if (name === 'XADD') socket.write(`$3\r\n${commands.length}-0\r\n`);
+        else if (name === 'PUBLISH') socket.write(':1\r\n');
+        else if (name === 'AUTH' && command.value[1] !== 'hunter2') socket.write('-WRONGPASS invalid password\r\n');
+        else socket.write('+OK\r\n');
+      }
+    });
+  });
+  return {
+    commands,
+    start: () => new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port))),
+    stop: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+const batch = {
+  room: 'default',
+  startRound: 11,
+  endRound: 12,
+  multipliers: [
+    { round_number: 11, multiplier: 1.5, server_seed: 'secret', server_seed_hash: 'abc' },
+    { round_number: 12, multiplier: 3.2 }
+  ]
+};
+
+describe('publishing sink config', () => {
+  it('validates sink entries', () => {
+    assert.deepEqual(validateSinkEntries([
+      { name: 'replay', type: 'file', path: './data/batches.ndjson' },
+      { name: 'stream', type: 'redis', url: 'redis://localhost:6379', key: 'aviator:batches', maxLen: 1000 }
+    ]), []);
+
+    const errors = validateSinkEntries([
+      { name: 'socket', type: 'http', url: 'https://example.com' },
+      { name: 'a', type: 'kafka' },
+      { name: 'b', type: 'redis', url: 'http://localhost', key: 'k', mode: 'pubsub', maxLen: 10 },
+      { name: 'c', type: 'file', path: 'x', url: 'y' }
+    ]);
+    assert.deepEqual(errors, [
+      '[0] name "socket" is reserved for the socket server',
+      '[1] type must be one of http, file, redis',
+      '[2] redis sink needs a redis:// url',
+      '[2] maxLen only applies to stream mode',
+      '[3] unknown key "url" for a file sink'
+    ]);
+  });
+
+  it('parses PUBLISH_SINKS and redacts credentials', () => {
+    const config = loadConfig({
+      STORE: 'memory',
+      PUBLISH_SINKS: JSON.stringify([
+        { name: 'analytics', type: 'http', url: 'https://analytics.example/batches', secret: 'token' },
+        { name: 'stream', type: 'redis', url: 'redis://:hunter2@localhost:6379/2', key: 'batches' }
+      ])
+    });
+
+    assert.deepEqual(config.publishSinks.map(sink => sink.name), ['analytics', 'stream']);
+    const [analytics, stream] = describeConfig(config).values.publishSinks;
+    assert.equal(analytics.secret, '[redacted]');
+    assert.equal(stream.url, 'redis://:redacted@localhost:6379/2');
+
+    assert.throws(() => loadConfig({ STORE: 'memory', PUBLISH_SINKS: '[{"name":"x","type":"file"}]' }), /publishSinks\[0\] file sink needs a path/);
+  });
+});
+
+describe('publishing sinks', () => {
+  let redis;
+  let redisPort;
+  let dir;
+
+  before(async () => {
+    redis = createRedisStandIn();
+    redisPort = await redis.start();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'aviator-sinks-'));
+  });
+
+  after(async () => {
+    await redis.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const publisherFor = sinks => createPublisher({ socketServerUrl: 'http://127.0.0.1:1', publishSinks: sinks });
+
+  it('appends batches to an NDJSON file without the server seeds', async () => {
+    const filePath = path.join(dir, 'nested', 'batches.ndjson');
+    const sink = publisherFor([{ name: 'replay', type: 'file', path: filePath }]).get('replay');
+
+    await sink.publish(batch);
+    await sink.publish({ ...batch, startRound: 13, endRound: 13, multipliers: [{ round_number: 13, multiplier: 2 }] });
+
+    const lines = fs.readFileSync(filePath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    assert.deepEqual(lines.map(line => [line.room, line.startRound, line.endRound]), [['default', 11, 12], ['default', 13, 13]]);
+    assert.deepEqual(lines[0].multipliers[0], { round_number: 11, multiplier: 1.5, server_seed_hash: 'abc' });
+  });
+
+  it('adds batches to a Redis stream', async () => {
+    const sink = publisherFor([
+      { name: 'stream', type: 'redis', url: `redis://:hunter2@127.0.0.1:${redisPort}/3`, key: 'aviator:batches', maxLen: 500 }
+    ]).get('stream');
+
+    redis.commands.length = 0;
+    await sink.publish(batch);
+
+    const [auth, select, xadd] = redis.commands;
+    assert.deepEqual(auth, ['AUTH', 'hunter2']);
+    assert.deepEqual(select, ['SELECT', '3']);
+    assert.deepEqual(xadd.slice(0, 12), [
+      'XADD', 'aviator:batches', 'MAXLEN', '~', '500', '*',
+      'room', 'default', 'start_round', '11', 'end_round', '12'
+    ]);
+    assert.equal(JSON.parse(xadd[13]).length, 2);
+  });
+
+  it('publishes batches to a Redis channel', async () => {
+    const sink = publisherFor([
+      { name: 'live', type: 'redis', url: `redis://127.0.0.1:${redisPort}`, mode: 'pubsub', key: 'aviator:live' }
+    ]).get('live');
+
+    redis.commands.length = 0;
+    await sink.publish(batch);
+
+    const [[command, channel, message]] = redis.commands;
+    assert.deepEqual([command, channel], ['PUBLISH', 'aviator:live']);
+    assert.equal(JSON.parse(message).startRound, 11);
+  });
+
+  it('fails on Redis error replies', async () => {
+    const sink = publisherFor([
+      { name: 'stream', type: 'redis', url: `redis://:wrong@127.0.0.1:${redisPort}`, key: 'batches' }
+    ]).get('stream');
+
+    await assert.rejects(sink.publish(batch), /WRONGPASS/);
+  });
+});
+
+describe('publishing through the outbox', () => {
+  let simulator;
+  let redis;
+  let backend;
+  let baseUrl;
+  let stop;
+  let dir;
+  let filePath;
+
+  before(async () => {
+    redis = createRedisStandIn();
+    const redisPort = await redis.start();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'aviator-outbox-sinks-'));
+    filePath = path.join(dir, 'batches.ndjson');
+
+    const sinks = [
+      { name: 'replay', type: 'file', path: filePath },
+      { name: 'stream', type: 'redis', url: `redis://127.0.0.1:${redisPort}`, key: 'aviator:batches' },
+      // Nothing listens here, so every attempt fails
+      { name: 'analytics', type: 'http', url: 'http://127.0.0.1:1/batches', timeoutMs: 1000 }
+    ];
+    ({ simulator, backend, baseUrl, stop } = await startBackend({ env: { PUBLISH_SINKS: JSON.stringify(sinks) } }));
+  });
+
+  after(async () => {
+    await stop();
+    await redis.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function drainQueue() {
+    while (simulator.consumeRound()) { /* play every queued round */ }
+  }
+
+  it('tracks delivery per sink', async () => {
+    const response = await fetch(`${baseUrl}/api/force-generation`, { method: 'POST', headers: OPERATOR_HEADERS });
+    assert.equal(response.status, 200);
+
+    assert.equal(simulator.state.queue.length, 100);
+    assert.equal(fs.readFileSync(filePath, 'utf8').trim().split('\n').length, 1);
+    assert.equal(redis.commands.filter(command => command[0] === 'XADD').length, 1);
+
+    const { sinks } = await (await fetch(`${baseUrl}/api/admin/sinks`, { headers: OPERATOR_HEADERS })).json();
+    assert.deepEqual(sinks.map(sink => [sink.name, sink.primary, sink.pending]), [
+      ['socket', true, 0], ['replay', false, 0], ['stream', false, 0], ['analytics', false, 1]
+    ]);
+    const analytics = sinks.find(sink => sink.name === 'analytics');
+    assert.equal(analytics.oldestPending.attempts, 1);
+    assert.match(analytics.oldestPending.lastError, /ECONNREFUSED/);
+
+    const outbox = await (await fetch(`${baseUrl}/api/admin/outbox?sink=analytics`, { headers: OPERATOR_HEADERS })).json();
+    assert.deepEqual(outbox.entries.map(entry => [entry.sink, entry.rounds]), [['analytics', 100]]);
+    assert.equal((await fetch(`${baseUrl}/api/admin/outbox?sink=nope`, { headers: OPERATOR_HEADERS })).status, 400);
+  });
+
+  it('keeps generating while an extra sink is down', async () => {
+    drainQueue();
+    await backend.checkSocketQueueAndGenerate();
+
+    assert.equal(simulator.state.queue.length, 100);
+    assert.equal(fs.readFileSync(filePath, 'utf8').trim().split('\n').length, 2);
+    const pending = await backend.store.listDeliveries('pending');
+    assert.deepEqual(pending.map(entry => entry.sink), ['analytics', 'analytics']);
+    assert.equal((await backend.store.listDeliveries('delivered', 100, 'socket')).length, 2);
+  });
+});
@@ -0,0 +1,581 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fetch = require('node-fetch');
+const { webhookHeaders } = require('../lib/webhook');
+const { SECRET, startBackend } = require('./helpers');
+
+const VIEWER_KEY = 'viewer-key';
+
+// The internal secret doubles as an operator key
+const OPERATOR_HEADERS = { Authorization: `Bearer ${SECRET}` };
+const VIEWER_HEADERS = { Authorization: `Bearer ${VIEWER_KEY}` };
+
+describe('queue-based generation against the socket simulator', () => {
+  let simulator;
+  let backend;
+  let baseUrl;
+  let stop;
+
+  before(async () => {
+    ({ simulator, backend, baseUrl, stop } = await startBackend({
+      // Info logs cover every batch, which is too noisy for test output
+      env: { API_KEYS: `dashboard:viewer:${VIEWER_KEY}`, LOG_LEVEL: 'warn' }
+    }));
+  });
+
+  after(() => stop());
+
+  beforeEach(() => {
+    simulator.setAvailable(true);
+    simulator.setAcceptingQueue(true);
+  });
+
+  function drainQueue() {
+    while (simulator.consumeRound()) { /* play every queued round */ }
+  }
+
+  async function storedRoundCount() {
+    return (await backend.store.getRounds(0, Number.MAX_SAFE_INTEGER, ['round_number'])).length;
+  }
+
+  it('generates and queues a batch when the socket queue is low', async () => {
+    assert.equal(simulator.state.queue.length, 0);
+
+    await backend.checkSocketQueueAndGenerate();
+
+    assert.equal(await storedRoundCount(), 100);
+    assert.equal(simulator.state.queue.length, 100);
+    assert.equal(simulator.state.queue[0].round_number, 1001);
+    assert.equal(backend.getGenerationState().isGenerating, false);
+    assert.ok(backend.getGenerationState().lastQueueCheck > 0);
+  });
+
+  it('does not generate while the socket queue is healthy', async () => {
+    const before = await storedRoundCount();
+
+    await backend.checkSocketQueueAndGenerate();
+
+    assert.equal(await storedRoundCount(), before);
+    assert.equal(simulator.state.queue.length, 100);
+  });
+
+  it('reports backend and socket state from /api/queue-status', async () => {
+    simulator.consumeRound();
+
+    const response = await fetch(`${baseUrl}/api/queue-status`, { headers: VIEWER_HEADERS });
+    const body = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.equal(body.success, true);
+    assert.equal(body.backend.batchSize, 100);
+    assert.equal(body.backend.queueThreshold, 5);
+    assert.equal(body.socket.queueSize, 99);
+    assert.equal(body.socket.gamePhase, 'flying');
+    assert.equal(body.socket.currentRound, 1001);
+  });
+
+  it('generates through /api/trigger-generation once the queue runs low', async () => {
+    drainQueue();
+    const before = await storedRoundCount();
+
+    const response = await fetch(`${baseUrl}/api/trigger-generation`, { method: 'POST', headers: OPERATOR_HEADERS });
+    const body = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.equal(body.success, true);
+    assert.equal(await storedRoundCount(), before + 100);
+    assert.equal(simulator.state.queue[0].round_number, 1101);
+  });
+
+  it('generates through /api/force-generation even with a healthy queue', async () => {
+    const before = await storedRoundCount();
+
+    const response = await fetch(`${baseUrl}/api/force-generation`, { method: 'POST', headers: OPERATOR_HEADERS });
+    const body = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.equal(body.success, true);
+    assert.equal(body.currentRound, 1300);
+    assert.equal(await storedRoundCount(), before + 100);
+    assert.equal(simulator.state.queue.length, 200);
+  });
+
+  it('skips generation when the socket server is down', async () => {
+    drainQueue();
+    simulator.setAvailable(false);
+    const before = await storedRoundCount();
+
+    await backend.checkSocketQueueAndGenerate();
+
+    assert.equal(await storedRoundCount(), before);
+    assert.equal(backend.getGenerationState().isGenerating, false);
+
+    const response = await fetch(`${baseUrl}/api/queue-status`, { headers: VIEWER_HEADERS });
+    const body = await response.json();
+    assert.equal(response.status, 500);
+    assert.equal(body.success, false);
+  });
+
+  it('keeps undelivered batches in the outbox and redelivers them', async () => {
+    simulator.setAcceptingQueue(false);
+
+    await backend.checkSocketQueueAndGenerate();
+
+    let pending = await backend.store.listDeliveries('pending');
+    assert.equal(pending.length, 1);
+    assert.equal(pending[0].attempts, 1);
+    assert.equal(simulator.state.queue.length, 0);
+
+    // A low queue flushes the outbox instead of generating more rounds
+    const storedBefore = await storedRoundCount();
+    await backend.checkSocketQueueAndGenerate();
+    assert.equal(await storedRoundCount(), storedBefore);
+    assert.equal((await backend.store.listDeliveries('pending'))[0].attempts, 2);
+
+    const listResponse = await fetch(`${baseUrl}/api/admin/outbox`, { headers: OPERATOR_HEADERS });
+    const listBody = await listResponse.json();
+    assert.equal(listResponse.status, 200);
+    assert.equal(listBody.entries.length, 1);
+    assert.equal(listBody.entries[0].rounds, 100);
+
+    simulator.setAcceptingQueue(true);
+    const replayResponse = await fetch(`${baseUrl}/api/admin/outbox/${pending[0].id}/replay`, {
+      method: 'POST',
+      headers: OPERATOR_HEADERS
+    });
+    const replayBody = await replayResponse.json();
+
+    assert.equal(replayResponse.status, 200);
+    assert.equal(replayBody.entry.status, 'delivered');
+    assert.equal(simulator.state.queue.length, 100);
+    pending = await backend.store.listDeliveries('pending');
+    assert.equal(pending.length, 0);
+  });
+
+  it('rejects outbox admin routes without the internal token', async () => {
+    const response = await fetch(`${baseUrl}/api/admin/outbox`);
+    assert.equal(response.status, 401);
+  });
+
+  it('requires an operator key for generation routes', async () => {
+    const anonymous = await fetch(`${baseUrl}/api/force-generation`, { method: 'POST' });
+    assert.equal(anonymous.status, 401);
+
+    const viewer = await fetch(`${baseUrl}/api/force-generation`, { method: 'POST', headers: VIEWER_HEADERS });
+    assert.equal(viewer.status, 403);
+
+    const status = await fetch(`${baseUrl}/api/queue-status`);
+    assert.equal(status.status, 401);
+  });
+
+  it('hides the socket server URL from anonymous health checks', async () => {
+    const anonymous = await (await fetch(`${baseUrl}/health`)).json();
+    const viewer = await (await fetch(`${baseUrl}/health`, { headers: VIEWER_HEADERS })).json();
+
+    assert.equal(anonymous.socketServerUrl, undefined);
+    assert.equal(viewer.socketServerUrl, backend.config.socketServerUrl);
+  });
+
+  it('records admin actions with the actor and generated rounds in the audit log', async () => {
+    const response = await fetch(`${baseUrl}/api/admin/audit?action=generation.force&limit=1`, {
+      headers: VIEWER_HEADERS
+    });
+    const body = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.equal(body.entries.length, 1);
+    assert.equal(body.entries[0].actor, 'internal');
+    assert.equal(body.entries[0].role, 'operator');
+    assert.equal(body.entries[0].success, true);
+    assert.equal(body.entries[0].end_round - body.entries[0].start_round + 1, 100);
+  });
+
+  it('reports statistics for played rounds only and caches the result', async () => {
+    for (let i = 0; i < 10; i++) simulator.consumeRound();
+
+    const response = await fetch(`${baseUrl}/api/stats?from=1001&to=999999&targets=2`);
+    const body = await response.json();
+    const lastPlayed = Number(response.headers.get('x-last-played-round'));
+
+    assert.equal(response.status, 200);
+    assert.equal(body.to, lastPlayed);
+    assert.equal(body.count, lastPlayed - 1000);
+    assert.equal(body.rtp.length, 1);
+    assert.equal(body.rtp[0].target, 2);
+    assert.equal(body.cached, false);
+
+    const again = await (await fetch(`${baseUrl}/api/stats?from=1001&to=999999&targets=2`)).json();
+    assert.equal(again.cached, true);
+    assert.equal(again.count, body.count);
+  });
+
+  it('tracks round statuses from delivery through play and voids unplayed rounds', async () => {
+    simulator.consumeRound();
+    await backend.checkSocketQueueAndGenerate();
+    const current = simulator.state.currentRound;
+
+    const rows = await backend.store.getRounds(current - 1, current + 1, ['status']);
+    assert.deepEqual(rows.map(row => row.status), ['completed', 'in_play', 'delivered']);
+
+    const currentBody = await (await fetch(`${baseUrl}/api/current`)).json();
+    assert.equal(currentBody.round_number, current);
+    assert.equal(currentBody.status, 'in_play');
+    assert.equal(currentBody.multiplier, null);
+    assert.equal(currentBody.previous.round_number, current - 1);
+
+    const voidRounds = body => fetch(`${baseUrl}/api/admin/rounds/void`, {
+      method: 'POST',
+      headers: { ...OPERATOR_HEADERS, 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    const played = await voidRounds({ from: current, to: current + 1, reason: 'test' });
+    assert.equal(played.status, 409);
+
+    const last = simulator.state.queue[simulator.state.queue.length - 1].round_number;
+    const voided = await (await voidRounds({ from: last, reason: 'socket server dropped its queue' })).json();
+    assert.equal(voided.voided, 1);
+
+    const listed = await (await fetch(`${baseUrl}/api/admin/rounds?status=voided`, { headers: VIEWER_HEADERS })).json();
+    assert.deepEqual(listed.rounds.map(round => round.round_number), [last]);
+    assert.equal(listed.rounds[0].void_reason, 'socket server dropped its queue');
+    assert.equal(listed.counts.voided, 1);
+  });
+
+  it('rejects malformed stats queries', async () => {
+    const mixed = await fetch(`${baseUrl}/api/stats?from=1001&since=2024-01-01T00:00:00Z`);
+    assert.equal(mixed.status, 400);
+
+    const badTargets = await fetch(`${baseUrl}/api/stats?targets=abc`);
+    assert.equal(badTargets.status, 400);
+  });
+
+  it('stops reading a stats window one row past the limit', async () => {
+    const { statsMaxRounds } = backend.config;
+    const getRoundsCreatedBetween = backend.store.getRoundsCreatedBetween;
+    const reads = [];
+    backend.config.statsMaxRounds = 5;
+    backend.store.getRoundsCreatedBetween = async (...args) => {
+      const rows = await getRoundsCreatedBetween(...args);
+      reads.push({ limit: args[4], rows: rows.length });
+      return rows;
+    };
+
+    try {
+      const response = await fetch(`${baseUrl}/api/stats?since=2000-01-01T00:00:00Z`);
+      assert.equal(response.status, 400);
+      assert.equal((await response.json()).error, 'Window contains more than 5 rounds');
+      assert.deepEqual(reads, [{ limit: 6, rows: 6 }]);
+    } finally {
+      backend.config.statsMaxRounds = statsMaxRounds;
+      backend.store.getRoundsCreatedBetween = getRoundsCreatedBetween;
+    }
+  });
+
+  it('caches open stats windows across requests', async () => {
+    const first = await (await fetch(`${baseUrl}/api/stats?since=2000-01-01T00:00:00Z`)).json();
+    const second = await (await fetch(`${baseUrl}/api/stats?since=2000-01-01T00:00:00Z`)).json();
+
+    assert.equal(first.cached, false);
+    assert.equal(second.cached, true);
+    assert.equal(second.count, first.count);
+  });
+
+  it('reports adjustments on unplayed rounds to operators only', async () => {
+    const upcoming = simulator.state.queue[simulator.state.queue.length - 1].round_number;
+    const adjustments = (query, headers) => fetch(`${baseUrl}/api/admin/adjustments${query}`, { headers });
+
+    const played = await adjustments('', VIEWER_HEADERS);
+    assert.equal(played.status, 200);
+    assert.equal((await played.json()).to, Number(played.headers.get('x-last-played-round')));
+
+    const hidden = await adjustments(`?from=${upcoming}&to=${upcoming}`, VIEWER_HEADERS);
+    assert.equal(hidden.status, 400);
+
+    const operator = await adjustments(`?from=${upcoming}&to=${upcoming}`, OPERATOR_HEADERS);
+    assert.equal(operator.status, 200);
+    const body = await operator.json();
+    assert.deepEqual([body.from, body.to], [upcoming, upcoming]);
+    assert.ok(body.rules.length > 0);
+  });
+
+  it('stamps every generated row with the active distribution spec', async () => {
+    const rows = await backend.store.getRounds(1001, 1100, ['distribution_spec_id', 'distribution_spec_version']);
+    assert.ok(rows.every(row => row.distribution_spec_id === 'default' && row.distribution_spec_version === 2));
+
+    const response = await fetch(`${baseUrl}/api/admin/distribution-specs`, { headers: VIEWER_HEADERS });
+    const body = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.equal(body.active.id, 'default');
+    assert.deepEqual(body.specs.map(spec => [spec.spec_id, spec.version]), [['default', 2]]);
+    assert.equal(body.specs[0].fingerprint, body.active.fingerprint);
+  });
+
+  it('exposes the adjustment trail of played rounds and a rule report', async () => {
+    const lastPlayed = Number((await fetch(`${baseUrl}/api/stats`)).headers.get('x-last-played-round'));
+
+    const response = await fetch(`${baseUrl}/api/rounds/${lastPlayed}/audit`, { headers: VIEWER_HEADERS });
+    const body = await response.json();
+    assert.equal(response.status, 200);
+    assert.equal(body.adjustments[0].rule, 'entropy');
+    assert.equal(body.adjustments[body.adjustments.length - 1].after, body.multiplier);
+
+    const unplayed = await fetch(`${baseUrl}/api/rounds/${lastPlayed + 1}/audit`, { headers: VIEWER_HEADERS });
+    assert.equal(unplayed.status, 403);
+    const operator = await fetch(`${baseUrl}/api/rounds/${lastPlayed + 1}/audit`, { headers: OPERATOR_HEADERS });
+    assert.equal(operator.status, 200);
+
+    const report = await (await fetch(`${baseUrl}/api/admin/adjustments?from=1001&to=1100`, { headers: VIEWER_HEADERS })).json();
+    assert.equal(report.rounds, 100);
+    assert.equal(report.rules.find(rule => rule.rule === 'entropy').fired, 100);
+  });
+
+  it('rejects queue-low webhooks without a valid signature', async () => {
+    const body = { queueSize: 0, currentRound: simulator.state.currentRound };
+    const unsigned = await fetch(`${baseUrl}/api/webhooks/queue-low`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    assert.equal(unsigned.status, 401);
+
+    const wrongSecret = await fetch(`${baseUrl}/api/webhooks/queue-low`, {
+      method: 'POST',
+      headers: webhookHeaders('not-the-secret', body),
+      body: JSON.stringify(body)
+    });
+    assert.equal(wrongSecret.status, 401);
+
+    const stale = await fetch(`${baseUrl}/api/webhooks/queue-low`, {
+      method: 'POST',
+      headers: webhookHeaders(SECRET, body, Date.now() - 10 * 60 * 1000),
+      body: JSON.stringify(body)
+    });
+    assert.equal(stale.status, 401);
+  });
+
+  it('generates a batch when the socket server reports a low queue by webhook', async () => {
+    drainQueue();
+    const before = await storedRoundCount();
+
+    const { status, body } = await simulator.notifyQueueLow(`${baseUrl}/api/webhooks/queue-low`);
+
+    assert.equal(status, 200);
+    assert.equal(body.generated.endRound - body.generated.startRound + 1, 100);
+    assert.equal(await storedRoundCount(), before + 100);
+    assert.equal(simulator.state.queue.length, 100);
+  });
+
+  it('generates one batch when queue checks and the webhook race', async () => {
+    drainQueue();
+    const before = await storedRoundCount();
+
+    const polls = await Promise.all([backend.checkSocketQueueAndGenerate(), backend.checkSocketQueueAndGenerate()]);
+    assert.equal(polls.filter(Boolean).length, 1);
+    assert.equal(await storedRoundCount(), before + 100);
+
+    drainQueue();
+    const polled = backend.checkSocketQueueAndGenerate();
+    const webhook = await simulator.notifyQueueLow(`${baseUrl}/api/webhooks/queue-low`);
+    await polled;
+    assert.equal(webhook.status, 202);
+    assert.equal(await storedRoundCount(), before + 200);
+    assert.equal(simulator.state.queue.length, 100);
+  });
+
+  it('finds missing played rounds and voids them through the repair route', async () => {
+    const played = simulator.state.currentRound - 2;
+    const rows = backend.store.tables.multipliers;
+    rows.splice(rows.findIndex(row => row.round_number === played), 1);
+
+    const scanned = await (await fetch(`${baseUrl}/api/admin/consistency`, { headers: VIEWER_HEADERS })).json();
+    assert.equal(scanned.report.ok, false);
+    assert.deepEqual(scanned.report.gaps, [{ from: played, to: played, count: 1 }]);
+
+    const repair = body => fetch(`${baseUrl}/api/admin/consistency/repair`, {
+      method: 'POST',
+      headers: { ...OPERATOR_HEADERS, 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    const backfill = await (await repair({ mode: 'backfill', dryRun: false })).json();
+    assert.equal(backfill.repair.rounds, 0);
+    assert.equal(backfill.repair.skipped[0].from, played);
+
+    const dryRun = await (await repair({ mode: 'void', reason: 'lost row' })).json();
+    assert.equal(dryRun.repair.dryRun, true);
+    assert.equal(await backend.store.getRound(played, ['round_number']), null);
+
+    const applied = await (await repair({ mode: 'void', reason: 'lost row', dryRun: false })).json();
+    assert.equal(applied.repair.rounds, 1);
+    assert.equal((await backend.store.getRound(played, ['status'])).status, 'voided');
+
+    const rescanned = await (await fetch(`${baseUrl}/api/admin/consistency`, { headers: VIEWER_HEADERS })).json();
+    assert.equal(rescanned.report.ok, true);
+    const [entry] = await backend.store.listAuditEntries({ action: 'consistency.repair' });
+    assert.equal(entry.success, true);
+  });
+
+  it('reports each dependency on the readiness endpoint', async () => {
+    await fetch(`${baseUrl}/api/force-generation`, { method: 'POST', headers: OPERATOR_HEADERS });
+    const live = await fetch(`${baseUrl}/health/live`);
+    assert.equal(live.status, 200);
+
+    const ready = await fetch(`${baseUrl}/health/ready`);
+    const body = await ready.json();
+    assert.equal(ready.status, 200);
+    assert.equal(body.status, 'ok');
+    assert.deepEqual(Object.keys(body.checks), ['database', 'socketServer', 'queue', 'lastBatch', 'generation']);
+
+    simulator.setAvailable(false);
+    const degraded = await fetch(`${baseUrl}/health/ready`);
+    const degradedBody = await degraded.json();
+    assert.equal(degraded.status, 207);
+    assert.equal(degradedBody.status, 'degraded');
+    assert.equal(degradedBody.checks.socketServer.status, 'warn');
+    assert.equal(degradedBody.checks.socketServer.error, undefined);
+    simulator.setAvailable(true);
+
+    const getHighestRoundNumber = backend.store.getHighestRoundNumber;
+    backend.store.getHighestRoundNumber = async () => {
+      throw new Error('database unreachable');
+    };
+    try {
+      const down = await fetch(`${baseUrl}/health/ready`, { headers: VIEWER_HEADERS });
+      const downBody = await down.json();
+      assert.equal(down.status, 503);
+      assert.equal(downBody.status, 'unavailable');
+      assert.equal(downBody.checks.database.error, 'database unreachable');
+    } finally {
+      backend.store.getHighestRoundNumber = getHighestRoundNumber;
+    }
+  });
+
+  it('exposes generation metrics and echoes request ids', async () => {
+    assert.equal((await fetch(`${baseUrl}/metrics`)).status, 401);
+
+    const response = await fetch(`${baseUrl}/metrics`, { headers: { ...VIEWER_HEADERS, 'X-Request-Id': 'scrape-1' } });
+    const text = await response.text();
+    assert.equal(response.headers.get('x-request-id'), 'scrape-1');
+    assert.match(response.headers.get('content-type'), /^text\/plain;.*version=0.0.4/);
+
+    const value = name => Number(text.split('\n').find(line => line.startsWith(`${name} `)).slice(name.length + 1));
+    assert.ok(value('aviator_batches_generated_total{room="default"}') > 0);
+    assert.ok(value('aviator_socket_delivery_failures_total{room="default"}') > 0);
+    assert.equal(value('aviator_next_round_to_generate{room="default"}'), backend.getGenerationState().nextRoundToGenerate);
+    assert.equal(
+      value('aviator_generated_multiplier_count{room="default"}'),
+      value('aviator_generated_multiplier_bucket{room="default",le="+Inf"}')
+    );
+
+    const ping = await fetch(`${baseUrl}/ping`);
+    assert.match(ping.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+  });
+
+  it('stands by without generating when another instance holds the lease', async () => {
+    drainQueue();
+    const { instanceId } = backend.getGenerationState();
+    await backend.store.releaseLease('generator', instanceId);
+    await backend.store.acquireLease('generator', 'other-instance', 60000);
+
+    try {
+      const before = await storedRoundCount();
+
+      await backend.checkSocketQueueAndGenerate();
+      const response = await fetch(`${baseUrl}/api/force-generation`, { method: 'POST', headers: OPERATOR_HEADERS });
+
+      assert.equal(response.status, 409);
+      assert.equal(await storedRoundCount(), before);
+      assert.equal(backend.getGenerationState().isLeader, false);
+    } finally {
+      await backend.store.releaseLease('generator', 'other-instance');
+    }
+  });
+
+  it('rolls back and reuses the reserved range when the batch insert fails', async () => {
+    const insertMultipliers = backend.store.insertMultipliers;
+    backend.store.insertMultipliers = async () => {
+      throw new Error('insert failed');
+    };
+
+    let failedStart;
+    try {
+      drainQueue();
+      const before = await storedRoundCount();
+
+      const response = await fetch(`${baseUrl}/api/force-generation`, { method: 'POST', headers: OPERATOR_HEADERS });
+      const body = await response.json();
+
+      assert.equal(response.status, 500);
+      assert.equal(body.success, false);
+      assert.equal(await storedRoundCount(), before);
+      assert.equal(simulator.state.queue.length, 0);
+
+      const state = backend.getGenerationState();
+      assert.equal(state.isGenerating, false);
+      assert.equal(state.bufferedRounds, 0);
+      failedStart = state.nextRoundToGenerate;
+    } finally {
+      backend.store.insertMultipliers = insertMultipliers;
+    }
+
+    // The next batch reuses the released range instead of skipping past it
+    const response = await fetch(`${baseUrl}/api/force-generation`, { method: 'POST', headers: OPERATOR_HEADERS });
+    assert.equal(response.status, 200);
+    assert.equal(simulator.state.queue.length, 100);
+    assert.equal(simulator.state.queue[0].round_number, failedStart);
+  });
+});
+
+describe('webhooks without a webhook secret', () => {
+  let baseUrl;
+  let stop;
+
+  before(async () => {
+    ({ baseUrl, stop } = await startBackend({ env: { WEBHOOK_SECRET: undefined } }));
+  });
+
+  after(() => stop());
+
+  it('refuses calls signed with the socket secret', async () => {
+    const body = { round: 1001, status: 'in_play' };
+    const response = await fetch(`${baseUrl}/api/webhooks/round-status`, {
+      method: 'POST',
+      headers: webhookHeaders(SECRET, body),
+      body: JSON.stringify(body)
+    });
+
+    assert.equal(response.status, 503);
+    assert.equal((await response.json()).error, 'Webhook secret is not configured');
+  });
+});
+
+describe('round statuses after a restart', () => {
+  let simulator;
+  let backend;
+  let baseUrl;
+  let stop;
+
+  before(async () => {
+    ({ simulator, backend, baseUrl, stop } = await startBackend());
+  });
+
+  after(() => stop());
+
+  it('completes only the rounds the socket server was given', async () => {
+    await fetch(`${baseUrl}/api/force-generation`, { method: 'POST', headers: OPERATOR_HEADERS });
+    const last = simulator.state.queue[simulator.state.queue.length - 1].round_number;
+    // Stored but never published, like a batch whose delivery failed
+    await backend.store.insertMultipliers([last + 1, last + 2].map(round => ({ round_number: round, multiplier: 2 })));
+
+    const body = { round: last + 3, status: 'in_play' };
+    const response = await fetch(`${baseUrl}/api/webhooks/round-status`, {
+      method: 'POST',
+      headers: webhookHeaders(SECRET, body),
+      body: JSON.stringify(body)
+    });
+    assert.equal(response.status, 200);
+
+    const rows = await backend.store.getRounds(last - 1, last + 2, ['status']);
+    assert.deepEqual(rows.map(row => row.status), ['completed', 'completed', 'generated', 'generated']);
+  });
+});
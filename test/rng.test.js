@@ -0,0 +1,29 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createRng, createCryptoRng } = require('../lib/rng');
+
+const draws = (rng, count = 5) => Array.from({ length: count }, () => rng.next());
+
+describe('random number generators', () => {
+  it('repeats a seeded stream for the same seed', () => {
+    assert.deepEqual(draws(createRng('seeded', 'audit-1')), draws(createRng('seeded', 'audit-1')));
+    assert.notDeepEqual(draws(createRng('seeded', 'audit-1')), draws(createRng('seeded', 'audit-2')));
+    assert.throws(() => createRng('seeded'), /requires a seed/);
+  });
+
+  it('replays a crypto stream from its recorded seed', () => {
+    const original = createCryptoRng();
+    const values = draws(original);
+
+    assert.match(original.seed, /^[0-9a-f]{64}$/);
+    assert.deepEqual(draws(createCryptoRng(original.seed)), values);
+    for (const value of values) assert.ok(value >= 0 && value < 1);
+  });
+
+  it('gives every crypto seed its own stream', () => {
+    const streams = ['audit-1', 'zz', 'something-else', 'a'.repeat(64)].map(seed => draws(createCryptoRng(seed)));
+
+    assert.equal(new Set(streams.map(stream => stream.join())).size, streams.length);
+    assert.deepEqual(draws(createRng('crypto', 'audit-1')), streams[0]);
+  });
+});
@@ -0,0 +1,154 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fetch = require('node-fetch');
+const { webhookHeaders } = require('../lib/webhook');
+const { loadConfig } = require('../lib/config');
+const { createMemoryStore } = require('../lib/stores');
+const { SECRET, startSimulator, startBackend } = require('./helpers');
+
+const VIP_SECRET = 'vip-secret';
+const OPERATOR_HEADERS = { Authorization: `Bearer ${SECRET}` };
+
+describe('room registry config', () => {
+  const base = { STORE: 'memory', LOG_LEVEL: 'silent' };
+
+  it('parses rooms with their overrides', () => {
+    const config = loadConfig({ ...base, ROOMS: JSON.stringify([{ id: 'vip', socketServerUrl: 'http://vip', batchSize: '50' }]) });
+
+    assert.deepEqual(config.rooms, [{ id: 'vip', socketServerUrl: 'http://vip', batchSize: 50 }]);
+  });
+
+  it('rejects reserved, duplicate and invalid rooms', () => {
+    const load = rooms => () => loadConfig({ ...base, ROOMS: JSON.stringify(rooms) });
+
+    assert.throws(load([{ id: 'default', socketServerUrl: 'http://x' }]), /reserved/);
+    assert.throws(load([{ id: 'a', socketServerUrl: 'http://x' }, { id: 'a', socketServerUrl: 'http://y' }]), /duplicate id "a"/);
+    assert.throws(load([{ id: 'a' }]), /needs a socketServerUrl/);
+    assert.throws(load([{ id: 'a', socketServerUrl: 'http://x', port: 1 }]), /unknown key "port"/);
+    assert.throws(load([{ id: 'a', socketServerUrl: 'http://x', batchSize: 3 }]), /rooms\[a\]: queueThreshold \(5\) must be less than batchSize \(3\)/);
+  });
+});
+
+describe('memory store rooms', () => {
+  it('keeps round data per room and shares leases', async () => {
+    const store = createMemoryStore();
+    const vip = store.forRoom('vip');
+
+    await store.insertMultipliers([{ round_number: 1, multiplier: 2 }]);
+    await vip.insertMultipliers([{ round_number: 1, multiplier: 3 }, { round_number: 2, multiplier: 4 }]);
+
+    assert.equal(await store.getHighestRoundNumber(), 1);
+    assert.equal(await vip.getHighestRoundNumber(), 2);
+    assert.equal((await vip.getRound(1, ['multiplier'])).multiplier, 3);
+    assert.equal((await vip.reserveRoundRange(10, 'a', 100)).start_round, 100);
+    assert.equal((await store.reserveRoundRange(10, 'a', 100)).start_round, 100);
+
+    assert.equal(await store.acquireLease('generator:vip', 'a', 1000), true);
+    assert.equal(await vip.acquireLease('generator:vip', 'b', 1000), false);
+  });
+});
+
+describe('multiple rooms against their own socket servers', () => {
+  let mainSimulator;
+  let vipSimulator;
+  let backend;
+  let baseUrl;
+  let stop;
+
+  before(async () => {
+    let vipPort;
+    ({ simulator: vipSimulator, port: vipPort } = await startSimulator({ secret: VIP_SECRET }));
+    const rooms = [{
+      id: 'vip',
+      socketServerUrl: `http://127.0.0.1:${vipPort}`,
+      socketServerSecret: VIP_SECRET,
+      webhookSecret: VIP_SECRET,
+      startRound: 5000,
+      batchSize: 20
+    }];
+    ({ simulator: mainSimulator, backend, baseUrl, stop } = await startBackend({ env: { ROOMS: JSON.stringify(rooms) } }));
+  });
+
+  after(async () => {
+    await stop();
+    await vipSimulator.stop();
+  });
+
+  it('lists every room', async () => {
+    const body = await (await fetch(`${baseUrl}/api/rooms`)).json();
+
+    assert.deepEqual(body.rooms.map(room => [room.id, room.batchSize]), [['default', 100], ['vip', 20]]);
+    assert.equal(body.rooms[1].socketServerUrl, undefined);
+  });
+
+  it('generates each room on its own round counter and socket server', async () => {
+    const vip = await fetch(`${baseUrl}/api/rooms/vip/force-generation`, { method: 'POST', headers: OPERATOR_HEADERS });
+    assert.equal(vip.status, 200);
+    assert.deepEqual((await vip.json()).generated, { startRound: 5001, endRound: 5020 });
+
+    const main = await fetch(`${baseUrl}/api/force-generation`, { method: 'POST', headers: OPERATOR_HEADERS });
+    assert.deepEqual((await main.json()).generated, { startRound: 1001, endRound: 1100 });
+
+    assert.equal(vipSimulator.state.queue.length, 20);
+    assert.equal(vipSimulator.state.queue[0].round_number, 5001);
+    assert.equal(mainSimulator.state.queue.length, 100);
+    assert.equal(await backend.store.getHighestRoundNumber(), 1100);
+    assert.equal(await backend.rooms.get('vip').store.getHighestRoundNumber(), 5020);
+
+    const defaultRoute = await (await fetch(`${baseUrl}/api/rooms/default/current-round`)).json();
+    assert.equal(defaultRoute.currentRound, 1100);
+    const [entry] = (await (await fetch(`${baseUrl}/api/admin/audit?room=vip`, { headers: OPERATOR_HEADERS })).json()).entries;
+    assert.deepEqual([entry.action, entry.start_round], ['generation.force', 5001]);
+  });
+
+  it('serves played rounds per room', async () => {
+    vipSimulator.consumeRound();
+    vipSimulator.consumeRound();
+
+    const played = await fetch(`${baseUrl}/api/rooms/vip/multiplier/5001`);
+    assert.equal(played.status, 200);
+    const row = await backend.rooms.get('vip').store.getRound(5001, ['multiplier']);
+    assert.equal((await played.json()).multiplier, row.multiplier);
+
+    // Round 5001 does not exist in the default room
+    const main = await fetch(`${baseUrl}/api/multiplier/5001`);
+    assert.equal(main.status, 403);
+  });
+
+  it('verifies webhooks with the room secret', async () => {
+    const body = { queueSize: 10, currentRound: 5002 };
+    const send = (roomPath, secret) => fetch(`${baseUrl}${roomPath}/webhooks/queue-low`, {
+      method: 'POST',
+      headers: webhookHeaders(secret, body),
+      body: JSON.stringify(body)
+    });
+
+    assert.equal((await send('/api/rooms/vip', SECRET)).status, 401);
+    assert.equal((await send('/api/rooms/vip', VIP_SECRET)).status, 200);
+  });
+
+  it('reports readiness and metrics for every room', async () => {
+    const ready = await (await fetch(`${baseUrl}/health/ready`, { headers: OPERATOR_HEADERS })).json();
+    assert.ok(ready.checks.socketServer);
+    assert.ok(ready.checks['vip.socketServer']);
+
+    const metrics = await (await fetch(`${baseUrl}/metrics`, { headers: OPERATOR_HEADERS })).text();
+    assert.match(metrics, /^aviator_next_round_to_generate\{room="vip"\} 5021$/m);
+    assert.match(metrics, /^aviator_batches_generated_total\{room="vip"\} 1$/m);
+  });
+
+  it('returns 404 for unknown rooms', async () => {
+    const response = await fetch(`${baseUrl}/api/rooms/nope/current-round`);
+
+    assert.equal(response.status, 404);
+    assert.equal((await response.json()).error, 'Unknown room "nope"');
+  });
+
+  it('releases every room lease on shutdown', async () => {
+    const result = await backend.stop({ timeoutMs: 5000 });
+
+    assert.equal(result.clean, true);
+    assert.deepEqual(Object.keys(result.rooms), ['default', 'vip']);
+    assert.equal(await backend.store.acquireLease('generator:vip', 'next-instance', 1000), true);
+  });
+});